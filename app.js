@@ -11,6 +11,7 @@
 
 const LS_KEY      = 'hiv_cascade_state';
 const LS_LANG_KEY = 'hiv_cascade_lang';
+const LS_PROFILE_KEY = 'hiv_cascade_scoring_profile';
 
 /* ── Language ── */
 var currentLanguage = 'es'; /* default: Spanish */
@@ -99,15 +100,99 @@ const UI_STRINGS = {
     symptoms_dict_unavailable_detail: 'Recargue la p&aacute;gina o compruebe el estado KB.',
     symptoms_zero_label:           'Problemas activos detectados (0)',
     no_symptoms:                   '&#10003;&nbsp;No se han detectado problemas cl&iacute;nicos en la nota.',
+    drug_start_date:               function (d) { return 'desde ' + d; },
+    future_dates_ignored:          function (list) { return '<strong>Fechas posteriores a la nota:</strong> ' + list + '. No se usan como fecha de inicio; rev&iacute;selas.'; },
+    regimen_prn:                   'a demanda',
+    freq_daily:                    'una vez al d\u00EDa',
+    freq_night:                    'por la noche',
+    freq_weekly:                   'semanal',
+    freq_monthly:                  'mensual',
+    freq_every_hours:              function (n) { return 'cada ' + n + ' h'; },
+    freq_every_days:               function (n) { return 'cada ' + n + ' d\u00EDas'; },
+    freq_times_day:                function (n) { return n + ' veces al d\u00EDa'; },
+    route_oral:                    'v\u00EDa oral',
+    route_iv:                      'IV',
+    route_im:                      'IM',
+    route_sc:                      'SC',
+    route_inhaled:                 'inhalada',
+    route_transdermal:             'transd\u00E9rmica',
+    route_topical:                 't\u00F3pica',
+    route_sublingual:              'sublingual',
+    route_rectal:                  'rectal',
+    symptom_onset_date:            function (d) { return 'inicio ' + d; },
     symptoms_count:                function (a, i) { return 'Problemas detectados (' + a + ' activo' + (a === 1 ? '' : 's') + (i ? ', ' + i + ' no activo' + (i === 1 ? '' : 's') : '') + ')'; },
     inactive_mentions:             'Menciones no activas (negadas o hist&oacute;ricas):',
+    inactive_drug_mentions:        'Menciones de medicamentos no activas (excluidas del an&aacute;lisis):',
+    drug_status_discontinued:      'suspendido',
+    drug_status_historical:        'hist\u00F3rico',
+    drug_status_planned:           'previsto',
+    drug_status_allergy:           'alergia / intolerancia',
+    drug_status_negated:           'negado',
+    drug_status_family_history:    'antecedente familiar',
+    fuzzy_drug_matches:            'Posibles errores de escritura (coincidencia aproximada):',
+    fuzzy_review_pending:          'pendiente: excluida del an&aacute;lisis hasta aceptarla',
+    fuzzy_review_accepted:         'aceptada',
+    fuzzy_review_rejected:         'rechazada: excluida del an&aacute;lisis',
+    btn_accept_match:              'Aceptar',
+    btn_reject_match:              'Rechazar',
     none:                          'Ninguno',
     detection_warning:             '&#9888;&nbsp;La detecci&oacute;n es por palabras clave. Nombres comerciales, abreviaturas y t&eacute;rminos no incluidos en la KB pueden no identificarse.',
+    evidence_title:         'Evidencia en la nota',
+    evidence_scope_all:     'todas las se&ntilde;ales',
+    evidence_scope_signal:  function (id) { return 'se&ntilde;al ' + id; },
+    btn_show_evidence:      'Ver evidencia',
+    btn_show_all_evidence:  'Ver toda la evidencia',
+    ev_kind_index_drug:     'F&aacute;rmaco &iacute;ndice',
+    ev_kind_cascade_drug:   'F&aacute;rmaco de cascada',
+    ev_kind_drug:           'F&aacute;rmaco',
+    ev_kind_ade:            'EAM / s&iacute;ntoma',
+    ev_kind_modifier:       'Modificador cl&iacute;nico',
+    ev_kind_time_cue:       'Pista temporal',
+    ev_kind_lab:            'Anal&iacute;tica',
+    labs_section_label:     function (n) { return 'Valores anal&iacute;ticos (' + n + ')'; },
+    lab_flag_low:           'bajo',
+    lab_flag_high:          'alto',
+    demographics_label:     'Datos demogr&aacute;ficos',
+    demo_age:               function (n) { return n + ' a&ntilde;os'; },
+    demo_sex_male:          'var&oacute;n',
+    demo_sex_female:        'mujer',
+    demo_weight:            'Peso',
+    demo_height:            'Talla',
+    demo_bmi:               'IMC',
+    demo_bmi_computed:      'calculado',
 
     /* Step 3 */
     drug_class_none:   'sin clasificar',
     col_drug:          'Medicamento',
     col_class:         'Grupo farmacol&oacute;gico',
+    col_regimen:       'Pauta',
+    atc_group_by:      'Agrupar por nivel ATC:',
+    atc_level_1:       'anat&oacute;mico',
+    atc_level_2:       'terap&eacute;utico',
+    atc_level_3:       'farmacol&oacute;gico',
+    atc_level_4:       'qu&iacute;mico',
+    atc_no_code:       'Sin c&oacute;digo ATC',
+    acb_title:         'Carga anticolin&eacute;rgica (ACB)',
+    acb_drug_title:    'Puntuaci&oacute;n de la escala Anticholinergic Cognitive Burden',
+    burden_above:      function (th, id) { return '&ge; ' + th + ': activa ' + id; },
+    burden_below:      function (th) { return 'umbral ' + th; },
+    acb_none:          'Ning&uacute;n medicamento activo con puntuaci&oacute;n ACB.',
+    fall_load_title:   'F&aacute;rmacos que aumentan el riesgo de ca&iacute;das',
+    cns_load_title:    'Depresores del SNC',
+    load_none:         'Ning&uacute;n medicamento activo de este grupo.',
+    tag_fall_risk:     'Ca&iacute;das',
+    tag_fall_risk_title: 'Aumenta el riesgo de ca&iacute;das (STOPPFall)',
+    tag_cns_depressant: 'SNC',
+    tag_cns_depressant_title: 'Depresor del sistema nervioso central',
+    qt_alert_title:    function (level, n) { return 'Riesgo de prolongaci&oacute;n del QT ' + level + ': ' + n + ' f&aacute;rmacos y potenciadores implicados'; },
+    qt_level_high:     'alto',
+    qt_level_moderate: 'moderado',
+    qt_cat_known:      'riesgo conocido de TdP',
+    qt_cat_possible:   'riesgo posible de TdP',
+    qt_cat_conditional: 'riesgo condicional de TdP',
+    qt_boosted:        'niveles elevados por el potenciador',
+    qt_boosters:       function (list) { return 'Potenciadores que elevan sus niveles: ' + list; },
+    qt_monitoring:     'Monitorizaci&oacute;n recomendada:',
     class_summary:     function (drugs, mapped, unmapped) {
       return '<strong>' + drugs + ' medicamento' + (drugs === 1 ? '' : 's') +
         ' &rarr; ' + mapped + ' grupo' + (mapped === 1 ? '' : 's') + ' farmacol&oacute;gico' + (mapped === 1 ? '' : 's') +
@@ -128,13 +213,44 @@ const UI_STRINGS = {
     appr_often_appropriate:   'frecuentemente apropiado',
     appr_context_dependent:   'dependiente del contexto',
     via_symptom:          'v&iacute;a s&iacute;ntoma',
+    via_ade_map:          'v&iacute;a mapa EAM&rarr;tratamiento',
+    via_drug_class:       'por clase',
+    via_drug_class_title: function (labels) { return 'Ning\u00FAn ejemplo de la KB presente; coincidencia por clase: ' + labels; },
     risk_label:           'Riesgo:',
     ddi_alert:            '&#9888; Alerta de interacci&oacute;n:',
+    contraindicated_alert: function (cas, idx) { return '&#9940; F&aacute;rmaco de cascada contraindicado: ' + cas + ' con ' + idx + '.'; },
     clinical_action:      '&#128203; Acci&oacute;n cl&iacute;nica:',
     detection_reason:     '&#128269; Motivo de detecci&oacute;n:',
+    modifiers_applied:    'Modificadores cl&iacute;nicos aplicados:',
+    mod_scope_all:        'todas las cascadas',
+    mod_scope_cascade_id: function (id) { return 'cascada ' + id; },
+    mod_scope_risk_focus: function (f) { return 'foco de riesgo ' + f; },
+    mod_scope_drug_class: function (cls, drug) { return 'clase ' + cls + ' (' + drug + ')'; },
+    mod_trigger:          function (t) { return 'activado por &laquo;' + t + '&raquo;'; },
+    mod_capped:           'limitado por el tope del modificador',
+    alt_mechanisms:       function (n) { return 'Otros mecanismos posibles (' + n + ')'; },
+    alt_mechanisms_hint:  'La misma pareja de f&aacute;rmacos coincide con otras cascadas de la KB; arriba se muestra la se&ntilde;al m&aacute;s s&oacute;lida.',
     cascade_count:        function (n) { return '&#128204;&nbsp;' + n + (n === 1 ? ' posible cascada terap&eacute;utica detectada' : ' posibles cascadas terap&eacute;uticas detectadas'); },
     pharmacist_only_warning: '&#9888;&nbsp;Solo para revisi&oacute;n farmac&eacute;utica y cl&iacute;nica. No sustituye el juicio cl&iacute;nico profesional.',
 
+    /* DDI watchlist findings (Steps 4–6) */
+    ddi_section_title:        function (n) { return '&#9888;&nbsp;' + n + (n === 1 ? ' interacci&oacute;n farmacol&oacute;gica detectada' : ' interacciones farmacol&oacute;gicas detectadas'); },
+    ddi_none:                 '&#10003;&nbsp;Sin interacciones de la lista de vigilancia DDI entre los f&aacute;rmacos detectados.',
+    ddi_contraindicated_banner: function (n) { return '&#9940;&nbsp;<strong>' + n + (n === 1 ? ' combinaci&oacute;n contraindicada' : ' combinaciones contraindicadas') + '</strong> &mdash; revisar antes que cualquier otro hallazgo.'; },
+    ddi_sev_contraindicated:  'Contraindicada',
+    ddi_sev_major:            'Mayor',
+    ddi_sev_moderate:         'Moderada',
+    ddi_sev_minor:            'Menor',
+    ddi_mechanism_lbl:        'Mecanismo:',
+    ddi_consequence_lbl:      'Consecuencia:',
+    ddi_management_lbl:       'Manejo:',
+    ddi_cascade_relevance_lbl:'Relevancia para cascadas:',
+    safer_alts_title:         '&#8644; Alternativas m&aacute;s seguras:',
+    safer_alt_replace:        function (drug) { return 'Sustituir ' + drug; },
+    safer_alt_no_ddi:         'sin interacciones nuevas con la medicaci&oacute;n actual',
+    safer_alt_ddi:            function (id, sev, partner) { return 'interacci&oacute;n ' + id + ' (' + sev + ') con ' + partner; },
+    safer_alt_already:        'ya prescrito',
+
     /* Step 5 */
     clinical_review_label: 'Revisi&oacute;n cl&iacute;nica:',
     tally_confirmed:       function (n) { return n + ' confirmada' + (n === 1 ? '' : 's'); },
@@ -158,6 +274,7 @@ const UI_STRINGS = {
     label_patient_id:       'ID de paciente',
     label_generated:        'Generado',
     label_kb_version:       'Versi&oacute;n KB',
+    label_scoring_profile:  'Perfil de puntuaci&oacute;n',
     not_set:                'No establecido',
     section_drugs:          function (n) { return 'Medicamentos detectados (' + n + ')'; },
     section_classes:        function (n) { return 'Grupos farmacol&oacute;gicos (' + n + ')'; },
@@ -171,7 +288,19 @@ const UI_STRINGS = {
     main_interventions:     'Principales intervenciones sugeridas:',
     no_dominant_interventions: 'No hay intervenciones dominantes con los datos actuales.',
     section_findings:       function (n) { return 'Hallazgos farmacoterap&eacute;uticos (' + n + ')'; },
+    section_ddi:            function (n) { return 'Interacciones farmacol&oacute;gicas (' + n + ')'; },
+    label_ddi_total:        'Interacciones DDI detectadas:',
+    label_ddi_contraindicated: 'Interacciones contraindicadas:',
+    label_contraindicated_cascades: 'Cascadas contraindicadas:',
     no_cascades_report:     '&#10003;&nbsp;Sin se&ntilde;ales de cascada terap&eacute;utica detectadas.',
+    section_chains:         function (n) { return 'Cadenas de cascadas &mdash; causa ra&iacute;z (' + n + ')'; },
+    label_chains:           'Cadenas de cascadas:',
+    label_acb:              'Carga anticolin&eacute;rgica (ACB):',
+    label_fall_load:        'F&aacute;rmacos de riesgo de ca&iacute;das:',
+    label_cns_load:         'Depresores del SNC:',
+    chain_root_lbl:         'Causa ra&iacute;z:',
+    chain_length:           function (n) { return n + ' cascadas encadenadas'; },
+    chain_review_first:     'Revisar primero:',
 
     /* Verification status badges */
     ver_confirmed:   'Confirmada',
@@ -187,15 +316,21 @@ const UI_STRINGS = {
     /* Finding level */
     level_plausible_label:   'Cascada terap&eacute;utica plausible',
     level_preliminary_label: 'Se&ntilde;al farmacol&oacute;gica preliminar',
+    level_contraindicated_label: 'Cascada contraindicada',
 
     /* Report card field labels */
     tech_id:                  'ID t&eacute;cnico:',
     pharmacological_sequence: 'Secuencia farmacol&oacute;gica:',
     finding_level_lbl:        'Nivel de hallazgo:',
     pharmacy_priority_lbl:    'Prioridad farmac&eacute;utica:',
+    why_priority:             '&iquest;Por qu&eacute; esta prioridad?',
+    priority_total:           function (level) { return 'Total &rarr; ' + level; },
+    priority_thresholds:      function (alta, inter, profile) { return 'Umbrales: alta &ge; ' + alta + ', intermedia &ge; ' + inter + ' (perfil ' + profile + ').'; },
+    priority_override_contraindicated: 'Alta prioridad fija: el f&aacute;rmaco de cascada est&aacute; contraindicado, sea cual sea la puntuaci&oacute;n.',
     what_supports:            'Qu&eacute; lo apoya:',
     what_missing:             'Qu&eacute; falta:',
     level_assigned:           'Nivel asignado:',
+    temporal_grade_lbl:       'Grado temporal:',
     clinical_interpretation_lbl: 'Interpretaci&oacute;n cl&iacute;nica:',
     trigger_signal:           'Se&ntilde;al activadora:',
     factors_in_favor:         'Factores a favor',
@@ -208,6 +343,7 @@ const UI_STRINGS = {
     plausible_group:   function (n) { return '1) Cascadas terap&eacute;uticas plausibles (' + n + ')'; },
     no_plausible:      'Sin cascadas plausibles en esta nota.',
     preliminary_group: function (n) { return '2) Se&ntilde;ales farmacol&oacute;gicas preliminares (' + n + ')'; },
+    contraindicated_group: function (n) { return 'Cascadas con f&aacute;rmaco contraindicado &mdash; revisar primero (' + n + ')'; },
     no_preliminary:    'Sin se&ntilde;ales preliminares activas.',
 
     /* Export buttons */
@@ -245,21 +381,51 @@ const UI_STRINGS = {
     report_not_set:      'No establecido',
     report_date:         'Fecha informe: ',
     report_kb:           'KB: ',
+    report_scoring:      'Perfil de puntuaci\u00F3n: ',
     report_summary:      'Resumen:',
     report_total:        '- Cascadas detectadas: ',
     report_plausible_count: '- Cascadas plausibles: ',
     report_high_prio:    '- Cascadas de alta prioridad: ',
+    report_ddi_count:    '- Interacciones DDI: ',
+    report_ddi_contraindicated: '- Interacciones contraindicadas: ',
+    report_contraindicated_count: '- Cascadas contraindicadas: ',
+    report_acb:          '- Carga anticolin\u00E9rgica (ACB): ',
+    report_burden_above: function (th, id) { return '\u2265 ' + th + ', activa ' + id; },
+    report_fall_load:    '- F\u00E1rmacos que aumentan el riesgo de ca\u00EDdas: ',
+    report_cns_load:     '- Depresores del SNC: ',
+    report_qt_alert:     function (level, n) { return '- ALERTA QT (riesgo ' + level + ', ' + n + '): '; },
+    report_qt_cat_known: 'conocido',
+    report_qt_cat_possible: 'posible',
+    report_qt_cat_conditional: 'condicional',
+    report_qt_boosted:   'elevado por potenciador',
+    report_qt_boosters:  'potenciadores: ',
+    report_ddi_section:  function (n) { return 'Interacciones farmacol\u00F3gicas (' + n + '):'; },
+    report_ddi_consequence: '   - Consecuencia: ',
+    report_ddi_management:  '   - Manejo: ',
+    report_safer_alts:      '   - Alternativas m\u00E1s seguras: ',
+    report_chains_section: function (n) { return 'Cadenas de cascadas (' + n + '):'; },
+    report_chain_root:   '   - Causa ra\u00EDz: ',
+    report_chain_first:  '   - Revisar primero: ',
     report_drugs_list:   '- Medicamentos detectados: ',
     report_none:         'Ninguno',
     report_classes_list: '- Grupos farmacol\u00F3gicos: ',
+    report_labs_list:    '- Anal\u00EDtica: ',
+    report_demographics: '- Datos demogr\u00E1ficos: ',
+    report_demo_age:     function (n) { return n + ' a\u00F1os'; },
+    report_demo_male:    'var\u00F3n',
+    report_demo_female:  'mujer',
+    report_demo_bmi:     'IMC ',
     report_not_classified: 'No clasificados',
     report_no_cascades:  'No se han detectado cascadas terap\u00E9uticas con los datos actuales.',
     report_plausible_section:    function (n) { return 'Cascadas terap\u00E9uticas plausibles (' + n + '):'; },
     report_preliminary_section:  function (n) { return 'Se\u00F1ales farmacol\u00F3gicas preliminares (' + n + '):'; },
+    report_contraindicated_section: function (n) { return 'Cascadas con f\u00E1rmaco contraindicado (' + n + '):'; },
     report_seq:          '   - Secuencia: ',
     report_finding:      '   - Nivel de hallazgo: ',
     report_prio:         '   - Prioridad farmac\u00E9utica: ',
     report_verif:        '   - Estado de verificaci\u00F3n: ',
+    report_alt_mechanisms: '   - Otros mecanismos posibles: ',
+    report_temporal:     '   - Grado temporal: ',
     report_evidence:     '   - Evidencia a favor: ',
     report_missing_conf: '   - Qu\u00E9 falta para confirmar: ',
     report_rec:          '   - Recomendaci\u00F3n cl\u00EDnica breve: ',
@@ -275,13 +441,25 @@ const UI_STRINGS = {
     temporality_supportive:   'Temporalidad compatible (inicio/cambio terap\u00E9utico detectado).',
     temporality_weak:         'Temporalidad d\u00E9bil por posible uso cr\u00F3nico/preexistente.',
     temporality_unknown:      'Temporalidad no demostrada en la nota.',
+    temporality_dated:        function (a, b) { return 'Cronolog\u00EDa fechada compatible: f\u00E1rmaco \u00EDndice ' + a + ', f\u00E1rmaco de cascada ' + b + '.'; },
+    temporality_dated_reversed: function (a, b) { return 'Cronolog\u00EDa fechada inversa: el f\u00E1rmaco de cascada (' + b + ') precede al f\u00E1rmaco \u00EDndice (' + a + ').'; },
+    temporal_grade_detail:    function (label, days) { return 'Gradaci\u00F3n temporal ' + label + (days !== null && days !== undefined ? ' (' + days + ' d\u00EDas entre f\u00E1rmaco \u00EDndice y f\u00E1rmaco de cascada).' : '.'); },
+    temporal_tx_advisory:     'Temporalmente indeterminado (TX): las fechas de inicio no sit\u00FAan el f\u00E1rmaco \u00EDndice (T0) antes del de cascada en un plazo plausible (T1/T2, hasta 365 d\u00EDas).',
+    index_prn_use:            function (drug) { return 'Uso a demanda de ' + drug + ': la exposici\u00F3n intermitente explica peor el efecto adverso que el tratamiento continuado.'; },
+    index_scheduled_use:      function (drug, reg) { return 'Tratamiento continuado con ' + drug + ' (' + reg + ').'; },
+    class_match_note:         function (drug, label) { return drug + ' no figura entre los ejemplos de la cascada; coincide solo por clase (' + label + ').'; },
+    temporal_indeterminate:   'TX \u00B7 indeterminado',
     symptom_detected:         'S\u00EDntoma compatible detectado en la nota.',
     ade_detected:             function (term) { return 'ADE/s\u00EDntoma compatible detectado (' + term + ').'; },
+    lab_ade_detected:         function (lab, ade) { return 'Anal\u00EDtica compatible con el EAM: ' + lab + ' (' + ade + ').'; },
     kb_has_recommendation:    'KB aporta una recomendaci\u00F3n/intervenci\u00F3n cl\u00EDnica.',
     explicit_kb_evidence:     'Existe evidencia farmacol\u00F3gica expl\u00EDcita en KB (p. ej., alerta DDI).',
     missing_clinical_support: 'Falta soporte cl\u00EDnico adicional para elevarla a cascada plausible.',
     level_plausible_reason:   'Clasificada como plausible por soporte cl\u00EDnico detectable.',
     level_preliminary_reason: 'Permanece preliminar: co-ocurrencia farmacol\u00F3gica sin soporte cl\u00EDnico suficiente.',
+    level_tx_reason:          'Aviso temporalmente indeterminado: sin gradaci\u00F3n T0 + T1/T2 ni pistas temporales en la nota no puede marcarse como cascada plausible.',
+    level_contraindicated_reason: 'Nivel m\u00E1ximo: la KB contraindica el f\u00E1rmaco de cascada con el f\u00E1rmaco \u00EDndice, con o sin apoyo cl\u00EDnico en la nota.',
+    contraindicated_support:  function (cas, idx) { return 'La KB contraindica ' + cas + ' con ' + idx + '.'; },
     default_interpretation:   'Posible cascada terap\u00E9utica a confirmar con revisi\u00F3n cl\u00EDnica individualizada.',
     no_kb_intervention:       'No hay intervenci\u00F3n espec\u00EDfica en KB; revisar indicaci\u00F3n, balance beneficio-riesgo y alternativas.',
     certainty_gap_text:       'Para aumentar certeza: confirmar temporalidad, causalidad alternativa y respuesta tras ajustes terap\u00E9uticos.',
@@ -293,6 +471,8 @@ const UI_STRINGS = {
     prio_reason_probability:    function (conf) { return 'Probabilidad ' + conf + '.'; },
     prio_reason_symptom_bridge: 'Puente sint\u00F3mico con evidencia cl\u00EDnica directa.',
     prio_reason_pharmacological:'Se\u00F1al farmacol\u00F3gica de especificidad variable.',
+    prio_reason_ade_named:      'La KB describe el EAM del par de f\u00E1rmacos.',
+    prio_reason_therapeutic_plausibility:'EAM documentado en la nota y tratado con un f\u00E1rmaco compatible.',
     prio_reason_actionable:     'Existe intervenci\u00F3n farmac\u00E9utica accionable.',
     prio_reason_less_defined:   'Intervenci\u00F3n menos definida con los datos actuales.',
     prio_reason_no_clinical:    'Penalizaci\u00F3n: se\u00F1al sin soporte cl\u00EDnico adicional.',
@@ -307,10 +487,12 @@ const UI_STRINGS = {
     verif_evolution:     'Evoluci\u00F3n tras ajustes terap\u00E9uticos (dechallenge/rechallenge cuando sea cl\u00EDnicamente seguro).',
     verif_symptom_active:'Validar si el s\u00EDntoma estaba activo (no negado) y su gravedad actual en la entrevista cl\u00EDnica.',
     verif_no_ade:        'Falta EAM expl\u00EDcito en la nota: revisar historia cl\u00EDnica para documentar manifestaci\u00F3n adversa concreta.',
+    verif_ade_treatment: 'Confirmar que el f\u00E1rmaco de tratamiento se prescribi\u00F3 para este EAM y no por otra indicaci\u00F3n.',
 
     /* Signal explanation */
     signal_bridge_base:       'Se activ\u00F3 por coincidencia de f\u00E1rmaco causal + s\u00EDntoma detectado + f\u00E1rmaco usado para tratar ese s\u00EDntoma.',
     signal_bridge_incomplete: ' Temporalidad incompleta en el texto actual.',
+    signal_therapeutic_plausibility: function (weight, score) { return 'Se activ\u00F3 por EAM detectado + f\u00E1rmaco de tratamiento del mapa EAM\u2192tratamiento + f\u00E1rmaco \u00EDndice compatible (peso ' + weight + ', puntuaci\u00F3n ' + score + ').'; },
     signal_drug_drug:         'Se activ\u00F3 por presencia simult\u00E1nea de f\u00E1rmaco \u00EDndice y f\u00E1rmaco de cascada compatibles con el patr\u00F3n de la KB.',
 
     /* Alternative-indication penalty — shown when a known diagnosis could independently explain the cascade drug */
@@ -320,6 +502,10 @@ const UI_STRINGS = {
     /* HIV modifier-only signal — drug_drug signal upgraded only by HIV context, no direct ADE in note */
     hiv_modifier_only_note:       'Se\u00F1al impulsada principalmente por modificador de contexto VIH; falta evidencia directa del EAM en la nota cl\u00EDnica.',
     prio_reason_hiv_modifier_only: 'Penalizaci\u00F3n: modificador VIH sin apoyo directo de EAM en el texto.',
+    prio_reason_temporal_advisory: 'Penalizaci\u00F3n: temporalmente indeterminado (TX).',
+    prio_reason_prn_use:           'Penalizaci\u00F3n: f\u00E1rmaco \u00EDndice pautado a demanda.',
+    prio_reason_class_match:       'Penalizaci\u00F3n: coincidencia por clase, sin ejemplo expl\u00EDcito de la KB.',
+    prio_reason_contraindicated:   'Alta prioridad: f\u00E1rmaco de cascada contraindicado con el f\u00E1rmaco \u00EDndice.',
 
     /* Unknown step */
     unknown_step: 'Paso desconocido.'
@@ -381,15 +567,99 @@ const UI_STRINGS = {
     symptoms_dict_unavailable_detail: 'Reload the page or check KB status.',
     symptoms_zero_label:           'Active problems detected (0)',
     no_symptoms:                   '&#10003;&nbsp;No clinical problems detected in the note.',
+    drug_start_date:               function (d) { return 'since ' + d; },
+    future_dates_ignored:          function (list) { return '<strong>Dates after the note:</strong> ' + list + '. Not used as start dates; please check them.'; },
+    regimen_prn:                   'PRN',
+    freq_daily:                    'once daily',
+    freq_night:                    'at night',
+    freq_weekly:                   'weekly',
+    freq_monthly:                  'monthly',
+    freq_every_hours:              function (n) { return 'every ' + n + ' h'; },
+    freq_every_days:               function (n) { return 'every ' + n + ' days'; },
+    freq_times_day:                function (n) { return n + ' times a day'; },
+    route_oral:                    'oral',
+    route_iv:                      'IV',
+    route_im:                      'IM',
+    route_sc:                      'SC',
+    route_inhaled:                 'inhaled',
+    route_transdermal:             'transdermal',
+    route_topical:                 'topical',
+    route_sublingual:              'sublingual',
+    route_rectal:                  'rectal',
+    symptom_onset_date:            function (d) { return 'onset ' + d; },
     symptoms_count:                function (a, i) { return 'Problems detected (' + a + ' active' + (i ? ', ' + i + ' inactive' : '') + ')'; },
     inactive_mentions:             'Inactive mentions (negated or historical):',
+    inactive_drug_mentions:        'Inactive medication mentions (excluded from analysis):',
+    drug_status_discontinued:      'discontinued',
+    drug_status_historical:        'historical',
+    drug_status_planned:           'planned',
+    drug_status_allergy:           'allergy / intolerance',
+    drug_status_negated:           'negated',
+    drug_status_family_history:    'family history',
+    fuzzy_drug_matches:            'Possible misspellings (approximate match):',
+    fuzzy_review_pending:          'pending: excluded from analysis until accepted',
+    fuzzy_review_accepted:         'accepted',
+    fuzzy_review_rejected:         'rejected: excluded from analysis',
+    btn_accept_match:              'Accept',
+    btn_reject_match:              'Reject',
     none:                          'None',
     detection_warning:             '&#9888;&nbsp;Detection is keyword-based. Brand names, abbreviations and terms not in the KB may not be identified.',
+    evidence_title:         'Evidence in the note',
+    evidence_scope_all:     'all signals',
+    evidence_scope_signal:  function (id) { return 'signal ' + id; },
+    btn_show_evidence:      'Show evidence',
+    btn_show_all_evidence:  'Show all evidence',
+    ev_kind_index_drug:     'Index drug',
+    ev_kind_cascade_drug:   'Cascade drug',
+    ev_kind_drug:           'Drug',
+    ev_kind_ade:            'ADE / symptom',
+    ev_kind_modifier:       'Clinical modifier',
+    ev_kind_time_cue:       'Time cue',
+    ev_kind_lab:            'Lab value',
+    labs_section_label:     function (n) { return 'Laboratory values (' + n + ')'; },
+    lab_flag_low:           'low',
+    lab_flag_high:          'high',
+    demographics_label:     'Demographics',
+    demo_age:               function (n) { return n + ' years'; },
+    demo_sex_male:          'male',
+    demo_sex_female:        'female',
+    demo_weight:            'Weight',
+    demo_height:            'Height',
+    demo_bmi:               'BMI',
+    demo_bmi_computed:      'computed',
 
     /* Step 3 */
     drug_class_none:   'unclassified',
     col_drug:          'Medication',
     col_class:         'Pharmacological group',
+    col_regimen:       'Regimen',
+    atc_group_by:      'Group by ATC level:',
+    atc_level_1:       'anatomical',
+    atc_level_2:       'therapeutic',
+    atc_level_3:       'pharmacological',
+    atc_level_4:       'chemical',
+    atc_no_code:       'No ATC code',
+    acb_title:         'Anticholinergic burden (ACB)',
+    acb_drug_title:    'Anticholinergic Cognitive Burden scale score',
+    burden_above:      function (th, id) { return '&ge; ' + th + ': activates ' + id; },
+    burden_below:      function (th) { return 'threshold ' + th; },
+    acb_none:          'No active medication with an ACB score.',
+    fall_load_title:   'Fall-risk-increasing drugs',
+    cns_load_title:    'CNS depressants',
+    load_none:         'No active medication in this group.',
+    tag_fall_risk:     'Falls',
+    tag_fall_risk_title: 'Increases fall risk (STOPPFall)',
+    tag_cns_depressant: 'CNS',
+    tag_cns_depressant_title: 'Central nervous system depressant',
+    qt_alert_title:    function (level, n) { return (level.charAt(0).toUpperCase() + level.slice(1)) + ' QT-prolongation risk: ' + n + ' drugs and boosters involved'; },
+    qt_level_high:     'high',
+    qt_level_moderate: 'moderate',
+    qt_cat_known:      'known TdP risk',
+    qt_cat_possible:   'possible TdP risk',
+    qt_cat_conditional: 'conditional TdP risk',
+    qt_boosted:        'levels raised by the booster',
+    qt_boosters:       function (list) { return 'Boosters raising their levels: ' + list; },
+    qt_monitoring:     'Recommended monitoring:',
     class_summary:     function (drugs, mapped, unmapped) {
       return '<strong>' + drugs + ' medication' + (drugs === 1 ? '' : 's') +
         ' &rarr; ' + mapped + ' pharmacological group' + (mapped === 1 ? '' : 's') + ' identified' +
@@ -410,13 +680,44 @@ const UI_STRINGS = {
     appr_often_appropriate:   'often appropriate',
     appr_context_dependent:   'context-dependent',
     via_symptom:          'via symptom',
+    via_ade_map:          'via ADE&rarr;treatment map',
+    via_drug_class:       'class match',
+    via_drug_class_title: function (labels) { return 'No KB example present; matched by class: ' + labels; },
     risk_label:           'Risk:',
     ddi_alert:            '&#9888; Interaction alert:',
+    contraindicated_alert: function (cas, idx) { return '&#9940; Contraindicated cascade drug: ' + cas + ' with ' + idx + '.'; },
     clinical_action:      '&#128203; Clinical action:',
     detection_reason:     '&#128269; Detection reason:',
+    modifiers_applied:    'Clinical modifiers applied:',
+    mod_scope_all:        'all cascades',
+    mod_scope_cascade_id: function (id) { return 'cascade ' + id; },
+    mod_scope_risk_focus: function (f) { return 'risk focus ' + f; },
+    mod_scope_drug_class: function (cls, drug) { return 'class ' + cls + ' (' + drug + ')'; },
+    mod_trigger:          function (t) { return 'triggered by &ldquo;' + t + '&rdquo;'; },
+    mod_capped:           'held by the modifier cap',
+    alt_mechanisms:       function (n) { return 'Other possible mechanisms (' + n + ')'; },
+    alt_mechanisms_hint:  'The same drug pair also matches other KB cascades; the strongest signal is shown above.',
     cascade_count:        function (n) { return '&#128204;&nbsp;' + n + ' possible therapeutic cascade' + (n === 1 ? '' : 's') + ' detected'; },
     pharmacist_only_warning: '&#9888;&nbsp;For pharmaceutical and clinical review only. Does not replace professional clinical judgement.',
 
+    /* DDI watchlist findings (Steps 4–6) */
+    ddi_section_title:        function (n) { return '&#9888;&nbsp;' + n + ' drug-drug interaction' + (n === 1 ? '' : 's') + ' detected'; },
+    ddi_none:                 '&#10003;&nbsp;No DDI watchlist interactions between the detected drugs.',
+    ddi_contraindicated_banner: function (n) { return '&#9940;&nbsp;<strong>' + n + ' contraindicated combination' + (n === 1 ? '' : 's') + '</strong> &mdash; review before any other finding.'; },
+    ddi_sev_contraindicated:  'Contraindicated',
+    ddi_sev_major:            'Major',
+    ddi_sev_moderate:         'Moderate',
+    ddi_sev_minor:            'Minor',
+    ddi_mechanism_lbl:        'Mechanism:',
+    ddi_consequence_lbl:      'Consequence:',
+    ddi_management_lbl:       'Management:',
+    ddi_cascade_relevance_lbl:'Cascade relevance:',
+    safer_alts_title:         '&#8644; Safer alternatives:',
+    safer_alt_replace:        function (drug) { return 'Replace ' + drug; },
+    safer_alt_no_ddi:         'no new interactions with current medication',
+    safer_alt_ddi:            function (id, sev, partner) { return 'interaction ' + id + ' (' + sev + ') with ' + partner; },
+    safer_alt_already:        'already prescribed',
+
     /* Step 5 */
     clinical_review_label: 'Clinical review:',
     tally_confirmed:       function (n) { return n + ' confirmed'; },
@@ -440,6 +741,7 @@ const UI_STRINGS = {
     label_patient_id:       'Patient ID',
     label_generated:        'Generated',
     label_kb_version:       'KB version',
+    label_scoring_profile:  'Scoring profile',
     not_set:                'Not set',
     section_drugs:          function (n) { return 'Medications detected (' + n + ')'; },
     section_classes:        function (n) { return 'Pharmacological groups (' + n + ')'; },
@@ -453,7 +755,19 @@ const UI_STRINGS = {
     main_interventions:     'Main suggested interventions:',
     no_dominant_interventions: 'No dominant interventions with current data.',
     section_findings:       function (n) { return 'Pharmacotherapy findings (' + n + ')'; },
+    section_ddi:            function (n) { return 'Drug-drug interactions (' + n + ')'; },
+    label_ddi_total:        'DDI interactions detected:',
+    label_ddi_contraindicated: 'Contraindicated interactions:',
+    label_contraindicated_cascades: 'Contraindicated cascades:',
     no_cascades_report:     '&#10003;&nbsp;No therapeutic cascade signals detected.',
+    section_chains:         function (n) { return 'Cascade chains &mdash; root cause (' + n + ')'; },
+    label_chains:           'Cascade chains:',
+    label_acb:              'Anticholinergic burden (ACB):',
+    label_fall_load:        'Fall-risk-increasing drugs:',
+    label_cns_load:         'CNS depressants:',
+    chain_root_lbl:         'Root cause:',
+    chain_length:           function (n) { return n + ' linked cascades'; },
+    chain_review_first:     'Review first:',
 
     /* Verification status badges */
     ver_confirmed:   'Confirmed',
@@ -469,15 +783,21 @@ const UI_STRINGS = {
     /* Finding level */
     level_plausible_label:   'Plausible therapeutic cascade',
     level_preliminary_label: 'Preliminary pharmacological signal',
+    level_contraindicated_label: 'Contraindicated cascade',
 
     /* Report card field labels */
     tech_id:                  'Technical ID:',
     pharmacological_sequence: 'Pharmacological sequence:',
     finding_level_lbl:        'Finding level:',
     pharmacy_priority_lbl:    'Pharmacy priority:',
+    why_priority:             'Why this priority?',
+    priority_total:           function (level) { return 'Total &rarr; ' + level; },
+    priority_thresholds:      function (alta, inter, profile) { return 'Thresholds: high &ge; ' + alta + ', intermediate &ge; ' + inter + ' (' + profile + ' profile).'; },
+    priority_override_contraindicated: 'High priority regardless of score: the cascade drug is contraindicated.',
     what_supports:            'What supports it:',
     what_missing:             'What is missing:',
     level_assigned:           'Level assigned:',
+    temporal_grade_lbl:       'Temporal grade:',
     clinical_interpretation_lbl: 'Clinical interpretation:',
     trigger_signal:           'Trigger signal:',
     factors_in_favor:         'Factors in favour',
@@ -490,6 +810,7 @@ const UI_STRINGS = {
     plausible_group:   function (n) { return '1) Plausible therapeutic cascades (' + n + ')'; },
     no_plausible:      'No plausible cascades in this note.',
     preliminary_group: function (n) { return '2) Preliminary pharmacological signals (' + n + ')'; },
+    contraindicated_group: function (n) { return 'Cascades with a contraindicated drug &mdash; review first (' + n + ')'; },
     no_preliminary:    'No active preliminary signals.',
 
     /* Export buttons */
@@ -527,21 +848,51 @@ const UI_STRINGS = {
     report_not_set:      'Not set',
     report_date:         'Report date: ',
     report_kb:           'KB: ',
+    report_scoring:      'Scoring profile: ',
     report_summary:      'Summary:',
     report_total:        '- Cascades detected: ',
     report_plausible_count: '- Plausible cascades: ',
     report_high_prio:    '- High-priority cascades: ',
+    report_ddi_count:    '- DDI interactions: ',
+    report_ddi_contraindicated: '- Contraindicated interactions: ',
+    report_contraindicated_count: '- Contraindicated cascades: ',
+    report_acb:          '- Anticholinergic burden (ACB): ',
+    report_burden_above: function (th, id) { return '\u2265 ' + th + ', activates ' + id; },
+    report_fall_load:    '- Fall-risk-increasing drugs: ',
+    report_cns_load:     '- CNS depressants: ',
+    report_qt_alert:     function (level, n) { return '- QT ALERT (' + level + ' risk, ' + n + '): '; },
+    report_qt_cat_known: 'known',
+    report_qt_cat_possible: 'possible',
+    report_qt_cat_conditional: 'conditional',
+    report_qt_boosted:   'raised by booster',
+    report_qt_boosters:  'boosters: ',
+    report_ddi_section:  function (n) { return 'Drug-drug interactions (' + n + '):'; },
+    report_ddi_consequence: '   - Consequence: ',
+    report_ddi_management:  '   - Management: ',
+    report_safer_alts:      '   - Safer alternatives: ',
+    report_chains_section: function (n) { return 'Cascade chains (' + n + '):'; },
+    report_chain_root:   '   - Root cause: ',
+    report_chain_first:  '   - Review first: ',
     report_drugs_list:   '- Medications detected: ',
     report_none:         'None',
     report_classes_list: '- Pharmacological groups: ',
+    report_labs_list:    '- Laboratory values: ',
+    report_demographics: '- Demographics: ',
+    report_demo_age:     function (n) { return n + ' years'; },
+    report_demo_male:    'male',
+    report_demo_female:  'female',
+    report_demo_bmi:     'BMI ',
     report_not_classified: 'Not classified',
     report_no_cascades:  'No therapeutic cascades detected with current data.',
     report_plausible_section:    function (n) { return 'Plausible therapeutic cascades (' + n + '):'; },
     report_preliminary_section:  function (n) { return 'Preliminary pharmacological signals (' + n + '):'; },
+    report_contraindicated_section: function (n) { return 'Cascades with a contraindicated drug (' + n + '):'; },
     report_seq:          '   - Sequence: ',
     report_finding:      '   - Finding level: ',
     report_prio:         '   - Pharmacy priority: ',
     report_verif:        '   - Verification status: ',
+    report_alt_mechanisms: '   - Other possible mechanisms: ',
+    report_temporal:     '   - Temporal grade: ',
     report_evidence:     '   - Evidence in favour: ',
     report_missing_conf: '   - What is missing to confirm: ',
     report_rec:          '   - Brief clinical recommendation: ',
@@ -557,13 +908,25 @@ const UI_STRINGS = {
     temporality_supportive:   'Compatible temporality (drug start / therapeutic change detected).',
     temporality_weak:         'Weak temporality \u2014 possible chronic or pre-existing use.',
     temporality_unknown:      'Temporality not demonstrated in the note.',
+    temporality_dated:        function (a, b) { return 'Dated chronology compatible: index drug ' + a + ', cascade drug ' + b + '.'; },
+    temporality_dated_reversed: function (a, b) { return 'Reversed dated chronology: the cascade drug (' + b + ') precedes the index drug (' + a + ').'; },
+    temporal_grade_detail:    function (label, days) { return 'Temporal grade ' + label + (days !== null && days !== undefined ? ' (' + days + ' days between index and cascade drug).' : '.'); },
+    temporal_tx_advisory:     'Temporally indeterminate (TX): the start dates do not place the index drug (T0) before the cascade drug within a plausible timeframe (T1/T2, up to 365 days).',
+    index_prn_use:            function (drug) { return 'As-needed use of ' + drug + ': intermittent exposure explains the adverse effect less well than continuous therapy.'; },
+    index_scheduled_use:      function (drug, reg) { return 'Scheduled ' + drug + ' therapy (' + reg + ').'; },
+    class_match_note:         function (drug, label) { return drug + ' is not a listed example for this cascade; matched by class only (' + label + ').'; },
+    temporal_indeterminate:   'TX \u00B7 indeterminate',
     symptom_detected:         'Compatible symptom detected in the note.',
     ade_detected:             function (term) { return 'Compatible ADE/symptom detected (' + term + ').'; },
+    lab_ade_detected:         function (lab, ade) { return 'Lab value consistent with the ADE: ' + lab + ' (' + ade + ').'; },
     kb_has_recommendation:    'KB provides a clinical recommendation/intervention.',
     explicit_kb_evidence:     'Explicit pharmacological evidence in KB (e.g. DDI alert).',
     missing_clinical_support: 'Additional clinical support needed to elevate to plausible cascade.',
     level_plausible_reason:   'Classified as plausible due to detectable clinical support.',
     level_preliminary_reason: 'Remains preliminary: pharmacological co-occurrence without sufficient clinical support.',
+    level_tx_reason:          'Temporally indeterminate advisory: without a T0 + T1/T2 grade or temporal cues in the note it cannot be flagged as a plausible cascade.',
+    level_contraindicated_reason: 'Highest level: the KB lists the cascade drug as contraindicated with the index drug, with or without clinical support in the note.',
+    contraindicated_support:  function (cas, idx) { return 'The KB contraindicates ' + cas + ' with ' + idx + '.'; },
     default_interpretation:   'Possible therapeutic cascade to confirm with individualised clinical review.',
     no_kb_intervention:       'No specific KB intervention; review indication, benefit-risk balance and alternatives.',
     certainty_gap_text:       'To increase certainty: confirm temporality, alternative causality and response after therapeutic adjustments.',
@@ -575,6 +938,8 @@ const UI_STRINGS = {
     prio_reason_probability:    function (conf) { return 'Probability: ' + conf + '.'; },
     prio_reason_symptom_bridge: 'Symptom bridge with direct clinical evidence.',
     prio_reason_pharmacological:'Pharmacological signal of variable specificity.',
+    prio_reason_ade_named:      'The KB names the ADE for the drug pair.',
+    prio_reason_therapeutic_plausibility:'ADE documented in the note and treated with a compatible drug.',
     prio_reason_actionable:     'Actionable pharmaceutical intervention exists.',
     prio_reason_less_defined:   'Intervention less defined with current data.',
     prio_reason_no_clinical:    'Penalty: signal without additional clinical support.',
@@ -589,10 +954,12 @@ const UI_STRINGS = {
     verif_evolution:     'Evolution after therapeutic adjustments (dechallenge/rechallenge when clinically safe).',
     verif_symptom_active:'Validate whether the symptom was active (not negated) and its current severity in the clinical interview.',
     verif_no_ade:        'Missing explicit ADE in the note: review medical history to document the specific adverse manifestation.',
+    verif_ade_treatment: 'Confirm the treatment drug was prescribed for this ADE and not for another indication.',
 
     /* Signal explanation */
     signal_bridge_base:       'Triggered by coincidence of causal drug + detected symptom + drug used to treat that symptom.',
     signal_bridge_incomplete: ' Incomplete temporality in the current text.',
+    signal_therapeutic_plausibility: function (weight, score) { return 'Triggered by detected ADE + treatment drug from the ADE\u2192treatment map + compatible index drug (weight ' + weight + ', score ' + score + ').'; },
     signal_drug_drug:         'Triggered by simultaneous presence of index drug and cascade drug compatible with the KB pattern.',
 
     /* Alternative-indication penalty — shown when a known diagnosis could independently explain the cascade drug */
@@ -602,6 +969,10 @@ const UI_STRINGS = {
     /* HIV modifier-only signal — drug_drug signal upgraded only by HIV context, no direct ADE in note */
     hiv_modifier_only_note:       'Signal driven mainly by HIV clinical context modifier; direct ADE evidence is lacking in the clinical note.',
     prio_reason_hiv_modifier_only: 'Penalty: HIV context modifier without direct ADE support in the text.',
+    prio_reason_temporal_advisory: 'Penalty: temporally indeterminate (TX).',
+    prio_reason_prn_use:           'Penalty: index drug taken as needed.',
+    prio_reason_class_match:       'Penalty: class-level match, no explicit KB example.',
+    prio_reason_contraindicated:   'High priority: cascade drug contraindicated with the index drug.',
 
     /* Unknown step */
     unknown_step: 'Unknown step.'
@@ -639,10 +1010,21 @@ const state = {
   /* Step 5 clinician classifications, keyed by cascade_id.
      Values: 'confirmed' | 'possible' | 'not_cascade' */
   cascadeClassifications: {},
+  /* Step 2 clinician review of fuzzy drug matches, keyed by the misspelt
+     token.  Values: 'accepted' | 'rejected' (absent = pending) */
+  drugMatchReviews: {},
   /* Cache for detectCascades() — invalidated when note or KB changes */
   detectedCascades: null,
+  /* Cache for detectDDIs() — invalidated together with detectedCascades */
+  detectedDDIs: null,
   /* Drug mention resolver cache (rebuilt when KB changes) */
-  drugResolver: null
+  drugResolver: null,
+  /* Steps 4 / 6 — signal whose evidence is highlighted (null = all signals) */
+  evidenceFocus: null,
+  /* Step 3 — ATC level (1–4) the classification table is grouped by */
+  atcGroupLevel: 2,
+  /* Scoring profile id from kb/scoring_profiles.json (null = the file's default) */
+  scoringProfile: null
 };
 
 /* ============================================================
@@ -655,7 +1037,8 @@ function saveState() {
       patientId: state.patientId,
       clinicalNote: state.clinicalNote,
       symptomsDetected: state.symptomsDetected,
-      cascadeClassifications: state.cascadeClassifications
+      cascadeClassifications: state.cascadeClassifications,
+      drugMatchReviews: state.drugMatchReviews
     };
     localStorage.setItem(LS_KEY, JSON.stringify(payload));
     localStorage.setItem(LS_LANG_KEY, currentLanguage);
@@ -681,6 +1064,8 @@ function loadState() {
     if (Array.isArray(saved.symptomsDetected))                 state.symptomsDetected       = saved.symptomsDetected;
     if (saved.cascadeClassifications && typeof saved.cascadeClassifications === 'object' &&
         !Array.isArray(saved.cascadeClassifications))          state.cascadeClassifications = saved.cascadeClassifications;
+    if (saved.drugMatchReviews && typeof saved.drugMatchReviews === 'object' &&
+        !Array.isArray(saved.drugMatchReviews))                state.drugMatchReviews       = saved.drugMatchReviews;
   } catch (err) {
     console.error('[Storage] Could not load state:', err);
   }
@@ -691,6 +1076,13 @@ function loadState() {
   } catch (err) {
     console.error('[Storage] Could not load language preference:', err);
   }
+  /* Restore scoring profile choice (a site preference, kept across cases) */
+  try {
+    var savedProfile = localStorage.getItem(LS_PROFILE_KEY);
+    if (savedProfile) state.scoringProfile = savedProfile;
+  } catch (err) {
+    console.error('[Storage] Could not load scoring profile preference:', err);
+  }
 }
 
 function clearState() {
@@ -701,7 +1093,9 @@ function clearState() {
     state.clinicalNote = '';
     state.symptomsDetected = [];
     state.cascadeClassifications = {};
+    state.drugMatchReviews = {};
     state.detectedCascades = null;
+    state.detectedDDIs = null;
     state.drugResolver = null;
   } catch (err) {
     console.error('[Storage] Could not clear state:', err);
@@ -730,6 +1124,10 @@ async function loadKB(track) {
     symptomDictionary: folder + '/kb_symptoms.json',
     clinicalModifiers:  folder + '/kb_clinical_modifiers.json',
     adeTreatmentMap:    folder + '/ade_treatment_map.json',
+    alternativeIndications: folder + '/kb_alternative_indications.json',
+    saferAlternatives:  folder + '/kb_safer_alternatives.json',
+    /* Scoring profiles are site policy, shared by both tracks */
+    scoringProfiles:   'kb/scoring_profiles.json',
     /* Shared drug name dictionary — lives at kb/ root, not inside a track
      * subfolder, because variant/brand-name mappings are track-independent. */
     drugDictionary:    'kb/drug_dictionary.json'
@@ -762,9 +1160,10 @@ async function loadKB(track) {
 
   const loaded = results.filter(r => r.status === 'fulfilled').length;
   updateKBStatus(loaded, failed.length);
-  runKBValidation();
   invalidateDrugResolver();
   invalidateDetectedCascades();
+  /* After the resolver reset: validation cross-checks dictionary variants */
+  runKBValidation();
 
   /* Immutability guard — in dev mode, freeze all loaded KB objects so any
    * accidental mutation throws TypeError instead of silently corrupting state. */
@@ -826,6 +1225,31 @@ function runKBValidation() {
    * A single validation pass covers both needs — no second validateKBStrict call. */
   var opResult = validateKBOperational(kbData);
 
+  /* The auxiliary KB files reference cascade, DDI and class taxonomy ids, so
+   * they are checked against the loaded KB and their findings are folded into
+   * the same banner. */
+  var vihCascades = (state.kb.vihModifiers && state.kb.vihModifiers.art_related_cascades) || [];
+  var classNodes  = (state.kb.drugDictionary && state.kb.drugDictionary.class_taxonomy) || [];
+  var interactions = (state.kb.ddiWatchlist && state.kb.ddiWatchlist.interactions) || [];
+  var crossRefs = {
+    cascadeIds: (kbData.cascades || []).concat(vihCascades).map(function (c) { return c.id; }),
+    ddiIds:     interactions.length ? interactions.map(function (d) { return d.id; }) : null,
+    classIds:   classNodes.length ? classNodes.map(function (n) { return n.id; }) : null,
+    drugNames:  state.kb.drugDictionary ? Object.keys(getDrugResolver().byVariant) : null
+  };
+  [
+    { file: 'kb_alternative_indications', kb: state.kb.alternativeIndications,
+      validate: typeof validateAlternativeIndications === 'function' ? validateAlternativeIndications : null },
+    { file: 'kb_safer_alternatives', kb: state.kb.saferAlternatives,
+      validate: typeof validateSaferAlternatives === 'function' ? validateSaferAlternatives : null }
+  ].forEach(function (aux) {
+    if (!aux.kb || !aux.validate) return;
+    var auxResult = aux.validate(aux.kb, crossRefs);
+    auxResult.errors.forEach(function (e) { opResult.errors.push(aux.file + ' ' + e); });
+    auxResult.warnings.forEach(function (w) { opResult.warnings.push(aux.file + ' ' + w); });
+    if (!auxResult.ok) opResult.ok = false;
+  });
+
   var byField    = opResult.fallbackByField    || {};
   var byFieldIds = opResult.fallbackByFieldIds || {};
   var hasFallback = opResult.fallbackCascadeCount > 0;
@@ -1028,8 +1452,8 @@ function downloadJSON(obj, filename) {
  * Output shape for each mention:
  * {
  *   mention, canonical, drug_class,
- *   match_type: 'exact'|'alias'|'combo'|'normalized',
- *   confidence: 'high'|'medium'
+ *   match_type: 'exact'|'alias'|'combo'|'normalized'|'dict'|'fdc'|'fuzzy',
+ *   confidence: 'high'|'medium'|'low'
  * }
  */
 function normalizeDrugText(text) {
@@ -1058,18 +1482,13 @@ function buildDrugResolver() {
     (state.kb.vihModifiers && state.kb.vihModifiers.art_related_cascades) || []
   );
 
+  /* Single-component abbreviations and brands only; co-formulated products
+   * live in drug_dictionary.json → fixed_dose_combinations. */
   var MANUAL_ALIASES = {
     'azt': 'zidovudine',
     'tdf': 'tenofovir disoproxil fumarate',
     'dtg': 'dolutegravir',
-    'biktarvy': 'bictegravir',
-    'descovy': 'tenofovir disoproxil fumarate',
-    'truvada': 'tenofovir disoproxil fumarate',
-    'kaletra': 'lopinavir/ritonavir',
     'prezista': 'darunavir',
-    'rezolsta': 'darunavir/cobicistat',
-    'symtuza': 'darunavir/cobicistat',
-    'evotaz': 'atazanavir/cobicistat',
     'reyataz': 'atazanavir',
     'norvir': 'ritonavir',
     'isentress': 'raltegravir',
@@ -1139,6 +1558,34 @@ function buildDrugResolver() {
     });
   });
 
+  /* ── Fixed-dose combinations (drug_dictionary.json) ─────────────────────
+   * A brand or written combination ("Biktarvy", "FTC/TAF") stands for every
+   * component; resolveDrugMentions() emits one mention per component.  The
+   * table is authoritative, so it overrides any single-drug mapping of the
+   * same variant. */
+  var fdcEntries = (state.kb.drugDictionary && state.kb.drugDictionary.fixed_dose_combinations) || [];
+  fdcEntries.forEach(function (fdc) {
+    var components = (fdc.components || []).map(function (c) {
+      var meta = resolver.byVariant[normalizeDrugText(c)];
+      return { canonical: c, drug_class: meta ? meta.drug_class : '' };
+    });
+    if (components.length < 2) return;
+    var product = fdc.components.join('/');
+    [fdc.name].concat(fdc.variants || []).forEach(function (variant) {
+      var normVariant = normalizeDrugText(variant);
+      if (!normVariant || normVariant.length < 2) return;
+      resolver.byVariant[normVariant] = {
+        variant: variant,
+        canonical: product,
+        drug_class: '',
+        match_type: 'fdc',
+        confidence: 'high',
+        fdc: fdc.name,
+        components: components
+      };
+    });
+  });
+
   var escaped = Object.keys(resolver.byVariant)
     .sort(function (a, b) { return b.length - a.length; })
     .map(function (term) { return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); });
@@ -1147,6 +1594,14 @@ function buildDrugResolver() {
     resolver.variantPattern = new RegExp('(^|[^a-z0-9])(' + escaped.join('|') + ')(?=[^a-z0-9]|$)', 'gi');
   }
 
+  /* Fuzzy vocabulary: single-word variants bucketed by first letter */
+  resolver.fuzzyVocab = {};
+  resolver.fuzzyCache = {};
+  Object.keys(resolver.byVariant).forEach(function (term) {
+    if (term.length < FUZZY_MIN_TOKEN_LENGTH || !/^[a-z]+$/.test(term)) return;
+    (resolver.fuzzyVocab[term.charAt(0)] = resolver.fuzzyVocab[term.charAt(0)] || []).push(term);
+  });
+
   return resolver;
 }
 
@@ -1157,6 +1612,150 @@ function getDrugResolver() {
   return state.drugResolver;
 }
 
+/* ── Fuzzy second pass ──────────────────────────────────────────────────────
+ * Tokens the exact regex missed ("amlodipno", "furosemdia", "omeprazol20mg")
+ * are compared against single-word KB variants sharing their first letter.
+ * Only tokens of FUZZY_MIN_TOKEN_LENGTH letters or more are tried.  Plain
+ * inflections ("statin" / "statins") and suggestions tied with a different
+ * drug at the same distance are dropped; FUZZY_STOPWORDS lists everyday words
+ * that sit one edit away from a brand name. */
+var FUZZY_MIN_TOKEN_LENGTH = 6;
+
+var FUZZY_STOPWORDS = [
+  'completa', 'completo', 'compleja', 'complejo',   /* Complera */
+  'singular',                                        /* Singulair */
+  'correction'                                       /* Correctol */
+];
+
+function fuzzyMaxDistance(length) {
+  return length >= 10 ? 2 : 1;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transposition).
+ * Gives up early and returns max + 1 once every cell of a row exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  var prev2 = null;
+  var prev = [];
+  var i, j;
+  for (j = 0; j <= b.length; j++) prev[j] = j;
+  for (i = 1; i <= a.length; i++) {
+    var row = [i];
+    var rowMin = i;
+    for (j = 1; j <= b.length; j++) {
+      var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      var d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      row[j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Closest KB variant for `word`, or null when none is near or the best is ambiguous. */
+function closestDrugVariant(resolver, word) {
+  if (Object.prototype.hasOwnProperty.call(resolver.fuzzyCache, word)) return resolver.fuzzyCache[word];
+  var max = fuzzyMaxDistance(word.length);
+  var best = null;
+  var ambiguous = false;
+  (resolver.fuzzyVocab[word.charAt(0)] || []).forEach(function (term) {
+    if (term.indexOf(word) === 0 || word.indexOf(term) === 0) return;
+    var d = editDistance(word, term, max);
+    if (d > max) return;
+    if (!best || d < best.distance) {
+      best = { variant: term, distance: d };
+      ambiguous = false;
+    } else if (d === best.distance &&
+               resolver.byVariant[term].canonical !== resolver.byVariant[best.variant].canonical) {
+      ambiguous = true;
+    }
+  });
+  resolver.fuzzyCache[word] = ambiguous ? null : best;
+  return resolver.fuzzyCache[word];
+}
+
+/**
+ * Fuzzy candidates in the normalised note, skipping tokens inside an exact
+ * match span.  A token glued to its dose ("omeprazol20mg") is tried on its
+ * letters alone.  Each candidate carries the clinician's review from
+ * state.drugMatchReviews: 'pending' | 'accepted' | 'rejected'.
+ *
+ * @returns {Array<{ word, index, suggestion, distance, review, meta }>}
+ */
+function findFuzzyDrugMatches(normalized, resolver, covered) {
+  var found = [];
+  var tokenRe = /[a-z0-9]+/g;
+  var t;
+  while ((t = tokenRe.exec(normalized)) !== null) {
+    var start = t.index;
+    var end = start + t[0].length;
+    var inExact = covered.some(function (span) { return start < span.end && end > span.start; });
+    if (inExact) continue;
+    var parts = /^([a-z]+)(\d[a-z0-9]*)?$/.exec(t[0]);
+    if (!parts || parts[1].length < FUZZY_MIN_TOKEN_LENGTH) continue;
+    var word = parts[1];
+    if (resolver.byVariant[word] ? !parts[2] : FUZZY_STOPWORDS.indexOf(word) >= 0) continue;
+    var best = resolver.byVariant[word] ? { variant: word, distance: 0 } : closestDrugVariant(resolver, word);
+    if (!best) continue;
+    found.push({
+      word: word,
+      index: start,
+      suggestion: best.variant,
+      distance: best.distance,
+      review: state.drugMatchReviews[word] || 'pending',
+      meta: resolver.byVariant[best.variant]
+    });
+  }
+  return found;
+}
+
+/** Spans of exact resolver matches in the normalised note. */
+function exactVariantSpans(normalized, resolver) {
+  var spans = [];
+  var match;
+  resolver.variantPattern.lastIndex = 0;
+  while ((match = resolver.variantPattern.exec(normalized)) !== null) {
+    var from = match.index + match[1].length;
+    spans.push({ start: from, end: from + match[2].length });
+  }
+  return spans;
+}
+
+/**
+ * Fuzzy drug suggestions for Step 2 review, rejected ones included so the
+ * clinician can undo a rejection.
+ */
+function getFuzzyDrugSuggestions(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+  var resolver = getDrugResolver();
+  if (!resolver.variantPattern) return [];
+  var normalized = normalizeDrugText(noteText);
+  var seen = {};
+  return findFuzzyDrugMatches(normalized, resolver, exactVariantSpans(normalized, resolver))
+    .filter(function (f) {
+      if (seen[f.word]) return false;
+      seen[f.word] = true;
+      return true;
+    })
+    .map(function (f) {
+      return {
+        word: f.word,
+        suggestion: f.suggestion,
+        canonical: f.meta.components ? f.meta.fdc : f.meta.canonical,
+        distance: f.distance,
+        review: f.review
+      };
+    });
+}
+
 function resolveDrugMentions(noteText) {
   if (!noteText || !noteText.trim()) return [];
 
@@ -1170,8 +1769,29 @@ function resolveDrugMentions(noteText) {
   var normalized = normalizeDrugText(noteText);
   var mentions = [];
   var seen = {};
+  var covered = [];
   var match;
 
+  function pushMentions(meta, surface, index, matchType, confidence, extra) {
+    var base = meta.components || [{ canonical: meta.canonical, drug_class: meta.drug_class }];
+    base.forEach(function (c) {
+      var m = {
+        mention: surface,        /* surface form found in note */
+        canonical: c.canonical,  /* normalised generic INN passed to cascade engine */
+        drug_class: c.drug_class || '',
+        match_type: matchType,
+        confidence: confidence,
+        start_index: index
+      };
+      if (meta.components) {
+        m.fdc = meta.fdc;
+        m.fdc_product = meta.canonical;
+      }
+      Object.keys(extra || {}).forEach(function (k) { m[k] = extra[k]; });
+      mentions.push(m);
+    });
+  }
+
   /* Dictionary matching: the compiled regex tests every known variant (from
    * KB cascade examples, manual aliases, and drug_dictionary.json) against
    * the normalised note in one pass.  Each match's captured group [2] is the
@@ -1183,24 +1803,37 @@ function resolveDrugMentions(noteText) {
 
     var meta = resolver.byVariant[variant];
     if (!meta) continue;
+    covered.push({ start: match.index + match[1].length, end: match.index + match[1].length + variant.length });
 
     /* Deduplicate: same canonical at the same offset is only reported once. */
     var dedupeKey = meta.canonical + '::' + match.index;
     if (seen[dedupeKey]) continue;
     seen[dedupeKey] = true;
 
-    mentions.push({
-      mention: variant,        /* surface form found in note */
-      canonical: meta.canonical, /* normalised generic INN passed to cascade engine */
-      drug_class: meta.drug_class || '',
-      match_type: meta.match_type || 'normalized',
-      confidence: meta.confidence || 'medium',
-      start_index: match.index
-    });
+    /* A fixed-dose combination yields one mention per component, same surface form */
+    pushMentions(meta, variant, match.index, meta.match_type || 'normalized', meta.confidence || 'medium');
   }
 
+  /* Fuzzy pass: only corrections the clinician accepted reach the analysis.
+   * A token that is an exact variant glued to its dose ("omeprazol20mg")
+   * needs no review. */
+  findFuzzyDrugMatches(normalized, resolver, covered).forEach(function (f) {
+    if (f.review === 'rejected' || (f.review === 'pending' && f.distance > 0)) return;
+    pushMentions(f.meta, f.word, f.index, 'fuzzy', f.review === 'accepted' ? 'medium' : 'low', {
+      fuzzy_suggestion: f.suggestion,
+      edit_distance: f.distance,
+      fuzzy_review: f.review
+    });
+  });
+
   mentions.sort(function (a, b) { return a.start_index - b.start_index; });
-  return mentions;
+  var positions = mentionRawPositions(noteText, mentions);
+  mentions.forEach(function (m, i) {
+    m.span = positions[i] ? textSpan(positions[i].index, positions[i].length) : null;
+  });
+  attachMentionDates(noteText, mentions, positions);
+  attachMentionDosing(noteText, mentions, positions);
+  return attachMentionStatus(noteText, mentions, positions);
 }
 
 /**
@@ -1324,6 +1957,76 @@ function isNegatedSymptom(noteText, matchIndex, matchLength) {
   return { negated: false, reason: '' };
 }
 
+/* Drug-mention status cues, tested against an accent-folded window.  Each
+ * pattern must be global: the cue nearest to the mention wins. */
+var DRUG_STATUS_CUES_BEFORE = [
+  { status: 'allergy', re: /\b(?:alergi(?:a|as|co|ca)|intoleran(?:cia|te)|hipersensibilidad|reaccion (?:adversa|alergica) (?:a|al)|allerg(?:y|ies|ic)|intoleran(?:ce|t)|hypersensitivity)\b/g },
+  { status: 'negated', re: /\b(?:no (?:toma|tomaba|recibe|lleva|usa|esta (?:tomando|en tratamiento con))|niega (?:tomar|consumo de|uso de)|nunca ha tomado|sin tratamiento con|not (?:on|taking|receiving)|denies (?:taking|using)|never (?:took|taken|used|on))\b/g },
+  { status: 'discontinued', re: /\b(?:se (?:suspende|suspendio|suspenden|retira|retiro|retiran)|suspend(?:er|o|emos|ido|ida|idos|idas)|retir(?:ar|o|amos|ado|ada|ados|adas)|deja(?:r)? de tomar|dejo de tomar|ha dejado|fin de|stop(?:ped|s)?|discontinu(?:ed|es)|ceased|withdrawn|held|no longer (?:on|taking))\b/g },
+  { status: 'planned', re: /\b(?:(?:valorar|plantear|considerar|proponer|pendiente de|se plantea|se propone|se valorara) (?:iniciar|anadir|empezar|introducir|pautar|comenzar)|(?:will|plan to|planning to) (?:start|begin|initiate|add)|consider(?:ing)? (?:starting|adding))\b/g },
+  { status: 'historical', re: /\b(?:previ(?:o|a|amente)|tomaba|tomo|recibio|recibia|llevo|habia tomado|en el pasado|previous(?:ly)?|prior (?:use of|treatment with)|in the past|former(?:ly)?|used to|history of|hx of|was on|took)\b/g },
+  /* Continuation cues reset an earlier status in the same window
+   * ("se suspende amlodipino, se mantiene furosemida") */
+  { status: 'active', re: /\b(?:se mantiene|mantiene|mantener|mantenemos|continua|continuar|continuamos|sigue con|seguir con|seguimos con|toma|tomando|en tratamiento con|se inicia|inicia|se pauta|se anade|se reintroduce|reinicia|se cambia a|cambio a|cambiamos a|se sustituye por|sustituid[oa] por|continues?|continued|taking|currently on|started|restarted|switch(?:ed|ing)? to|changed to|replaced (?:by|with))\b/g }
+];
+
+var DRUG_STATUS_CUES_AFTER = [
+  { status: 'allergy',      re: /^\(?\s*(?:alergia|alergic[oa]|intolerancia|allergy|allergic|intolerance)\b/ },
+  { status: 'discontinued', re: /^\(?\s*(?:se suspende|se retira|suspendid[oa]|retirad[oa]|stopped|discontinued|withdrawn|held)\b/ },
+  { status: 'historical',   re: /^\(?\s*(?:hasta|until)\s+(?:\w+\s+)?(?:de\s+)?(?:19|20)\d{2}\b/ }
+];
+
+/**
+ * Classify a drug mention at `matchIndex`…`matchIndex+matchLength` as
+ * active, discontinued, historical, planned, allergy (incl. intolerance) or
+ * negated.  Same window approach as isNegatedSymptom(), but clipped at the
+ * sentence boundary so a cue in the previous sentence cannot leak in, and
+ * the cue nearest to the mention decides.
+ *
+ * @param {number} [windowStart]  Earliest index the pre-window may reach;
+ *   see mentionCueWindowStarts()
+ * @returns {{ status: string, cue: string }}
+ */
+function classifyDrugMention(noteText, matchIndex, matchLength, windowStart) {
+  var fold = function (str) {
+    return str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  };
+
+  /* ---- pre-window: up to 80 chars / 6 tokens, within the sentence ---- */
+  var preRaw = noteText.slice(Math.max(0, matchIndex - 80, windowStart || 0), matchIndex);
+  var boundary = Math.max(preRaw.lastIndexOf('. '), preRaw.lastIndexOf(';'), preRaw.lastIndexOf('\n'));
+  if (boundary !== -1) preRaw = preRaw.slice(boundary + 1);
+  var preStr = fold(preRaw.trim().split(/[\s,()\!\?]+/).filter(Boolean).slice(-6).join(' '));
+
+  var best = null;
+  DRUG_STATUS_CUES_BEFORE.forEach(function (c) {
+    c.re.lastIndex = 0;
+    var m;
+    while ((m = c.re.exec(preStr))) {
+      var end = m.index + m[0].length;
+      if (!best || end > best.end) best = { status: c.status, cue: m[0], end: end };
+    }
+  });
+  /* A negated stop cue ("no se suspende", "do not stop") keeps the drug active */
+  var negatedStop = best && best.status === 'discontinued' &&
+    /\b(?:no|not|sin|do not|don't)\s+$/.exec(preStr.slice(0, best.end - best.cue.length));
+  if (negatedStop) best = { status: 'active', cue: preStr.slice(negatedStop.index, best.end), end: best.end };
+  if (best && best.status !== 'active') return { status: best.status, cue: best.cue };
+
+  /* ---- post-window: the rest of the clause (max 40 chars) ---- */
+  var postRaw = noteText.slice(matchIndex + matchLength, Math.min(noteText.length, matchIndex + matchLength + 40));
+  var stop = /[.;,\n]/.exec(postRaw);
+  /* Skip dose / frequency tokens ("amlodipino 10 mg suspendido") */
+  var postStr = fold(stop ? postRaw.slice(0, stop.index) : postRaw).trim()
+    .replace(/^(?:[\d.,\/]+\s*(?:mg|mcg|g|ml|ui|h)?\s*)+/, '');
+  for (var i = 0; i < DRUG_STATUS_CUES_AFTER.length; i++) {
+    var a = DRUG_STATUS_CUES_AFTER[i].re.exec(postStr);
+    if (a) return { status: DRUG_STATUS_CUES_AFTER[i].status, cue: a[0].replace(/^\(\s*/, '') };
+  }
+
+  return { status: 'active', cue: best ? best.cue : '' };
+}
+
 /**
  * Scan ±40 characters (≈ ±8 tokens) around `matchIndex` for temporal cues
  * that hint at whether a drug was recently started, a symptom is new, or a
@@ -1336,7 +2039,7 @@ function isNegatedSymptom(noteText, matchIndex, matchLength) {
  * @param {number} matchIndex character offset of the term being evaluated
  * @returns {{ drugStartHint: boolean, symptomNewHint: boolean,
  *             treatmentAddedHint: boolean, chronicHint: boolean,
- *             details: string }}
+ *             spans: Array<{start: number, end: number}>, details: string }}
  */
 function detectTimeCues(noteText, matchIndex) {
   var R = 40; /* radius in characters */
@@ -1344,250 +2047,1956 @@ function detectTimeCues(noteText, matchIndex) {
   var end   = Math.min(noteText.length, matchIndex + R);
   var ctx   = noteText.slice(start, end).toLowerCase();
 
+  /* Cue words found, as note spans, for evidence highlighting */
+  var spans = [];
+  function cue(patterns) {
+    var found = false;
+    patterns.forEach(function (re) {
+      var m = re.exec(ctx);
+      if (!m) return;
+      found = true;
+      spans.push(textSpan(start + m.index, m[0].length));
+    });
+    return found;
+  }
+
   return {
     /* EN: started/initiated/… | ES: inicia/se inicia/se empezó/tras iniciar/… */
-    drugStartHint: (
-      /\b(started|initiated|begin|began|since\s+starting|after\s+starting|on\s+\d|commenced)\b/.test(ctx) ||
-      /\b(inicia|se\s+inicia|se\s+empez[oó]|tras\s+iniciar|al\s+iniciar|comienza|se\s+pauta)\b/.test(ctx)
-    ),
+    drugStartHint: cue([
+      /\b(started|initiated|begin|began|since\s+starting|after\s+starting|on\s+\d|commenced)\b/,
+      /\b(inicia|se\s+inicia|se\s+empez[oó]|tras\s+iniciar|al\s+iniciar|comienza|se\s+pauta)\b/
+    ]),
     /* EN: since/after/worsened/new/… | ES: nuevo/reciente/empeora/presenta/aparece/desde hace */
-    symptomNewHint: (
-      /\b(since|after|worsened|new|recent|developed|onset|appearing|presenting\s+with|new[- ]onset)\b/.test(ctx) ||
-      /\b(nuevo|nueva|reciente|recientemente|empeora|presenta|aparece|desde\s+hace|de\s+nueva\s+aparici[oó]n)\b/.test(ctx)
-    ),
+    symptomNewHint: cue([
+      /\b(since|after|worsened|new|recent|developed|onset|appearing|presenting\s+with|new[- ]onset)\b/,
+      /\b(nuevo|nueva|reciente|recientemente|empeora|presenta|aparece|desde\s+hace|de\s+nueva\s+aparici[oó]n)\b/
+    ]),
     /* EN: added/given/prescribed/… | ES: se añade/se pauta/se prescribe/se inicia/a demanda/prn */
-    treatmentAddedHint: (
-      /\b(added|given|prescribed|initiated|started|commenced|prn\s+started|increased)\b/.test(ctx) ||
-      /\b(se\s+a[nñ]ade|se\s+pauta|se\s+prescribe|se\s+inicia|a\s+demanda|prn)\b/.test(ctx)
-    ),
+    treatmentAddedHint: cue([
+      /\b(added|given|prescribed|initiated|started|commenced|prn\s+started|increased)\b/,
+      /\b(se\s+a[nñ]ade|se\s+pauta|se\s+prescribe|se\s+inicia|a\s+demanda|prn)\b/
+    ]),
     /* EN: chronic/long-term/… | ES: crónico/de base/habitual/desde hace años/largo tiempo */
-    chronicHint: (
-      /\b(chronic|long[- ]term|longstanding|long\s+standing|baseline|ongoing|persistent|established|years|months|pre[- ]existing)\b/.test(ctx) ||
-      /\b(cr[oó]nic[oa]|de\s+base|habitual|desde\s+hace\s+a[nñ]os|de\s+a[nñ]os|largo\s+tiempo|de\s+larga\s+evoluci[oó]n)\b/.test(ctx)
-    ),
+    chronicHint: cue([
+      /\b(chronic|long[- ]term|longstanding|long\s+standing|baseline|ongoing|persistent|established|years|months|pre[- ]existing)\b/,
+      /\b(cr[oó]nic[oa]|de\s+base|habitual|desde\s+hace\s+a[nñ]os|de\s+a[nñ]os|largo\s+tiempo|de\s+larga\s+evoluci[oó]n)\b/
+    ]),
+    spans: spans,
     details: ctx.trim().slice(0, 80)
   };
 }
 
-/**
- * Return the index drug examples for a cascade entry, handling both the
- * singular field name used in kb_core_cascades.json ("index_drug_examples")
- * and the plural form used in kb_vih_modifiers.json ("index_drugs_examples").
- */
-function getIndexExamples(cascade) {
-  return cascade.index_drug_examples || cascade.index_drugs_examples || [];
-}
+/* ============================================================
+   NOTE SECTIONS — heading-based segmentation (ES/EN)
+   Mentions are tagged with the section they fall in; a few
+   sections change how a mention counts (see SECTION_RULES).
+   ============================================================ */
 
-/**
- * Return the cascade drug examples for a cascade entry, handling both the
- * singular field name used in kb_core_cascades.json ("cascade_drug_examples")
- * and the plural form used in kb_vih_modifiers.json ("cascade_drugs_examples").
+/* Tested in order against the accent-folded heading; the first match wins, so
+ * "Comorbilidades y medicación activa" is a medication section. */
+var SECTION_HEADINGS = [
+  { section: 'family_history', re: /\b(?:antecedentes familiares|historia familiar|family history|fhx?)\b/ },
+  { section: 'allergies',      re: /\b(?:alergi\w*|allerg\w*|intolerancias?|intolerances?|ram)\b/ },
+  { section: 'plan',           re: /\b(?:plan\w*|recomendaciones|recommendations|tratamiento propuesto|propuesta|conducta|next steps)\b/ },
+  { section: 'medications',    re: /\b(?:medicacion\w*|medicamentos|medications?|meds|farmacos|tratamientos?|treatment|tar|terapia antirretroviral|antiretroviral therapy|art)\b/ },
+  { section: 'past_history',   re: /\b(?:antecedentes(?: personales| medicos| patologicos)?|past (?:medical )?history|pmh)\b/ },
+  { section: 'comorbidities',  re: /\b(?:comorbilidad\w*|comorbidit\w*|problemas (?:activos|de salud)|active problems|diagnosticos|diagnoses)\b/ },
+  { section: 'symptoms',       re: /\b(?:sintomas\w*|motivo de consulta|enfermedad actual|anamnesis|exploracion\w*|chief complaint|presenting complaint|history of present illness|hpi|symptoms|physical exam\w*)\b/ },
+  { section: 'labs',           re: /\b(?:analitica|laboratorio|labs?|laboratory|pruebas complementarias|investigations|resultados|results)\b/ },
+  { section: 'assessment',     re: /\b(?:valoracion|impresion\w*|juicio clinico|assessment|notas? del clinico|comentarios?|discusion|discussion|evolucion)\b/ },
+  { section: 'summary',        re: /\b(?:resumen|summary|datos del paciente|patient data)\b/ }
+];
+
+/*
+ * How a section changes its mentions.  `drugStatus` is the status of a drug
+ * mention with no explicit cue of its own; `symptomInactive` marks symptoms as not the patient's;
+ * `weight` ranks mentions of the same drug (the medication list wins).
+ * Past history is deliberately neutral: "Antecedentes personales" usually
+ * lists ongoing chronic conditions and their treatment.
  */
-function getCascadeExamples(cascade) {
-  return cascade.cascade_drug_examples || cascade.cascade_drugs_examples || [];
+var SECTION_RULES = {
+  family_history: { drugStatus: 'family_history', symptomInactive: true, weight: 0 },
+  allergies:      { drugStatus: 'allergy',        symptomInactive: false, weight: 0 },
+  plan:           { drugStatus: 'planned',        symptomInactive: false, weight: 0 },
+  medications:    { drugStatus: null,             symptomInactive: false, weight: 2 }
+};
+
+function sectionForHeading(heading) {
+  var folded = heading.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  for (var i = 0; i < SECTION_HEADINGS.length; i++) {
+    if (SECTION_HEADINGS[i].re.test(folded)) return SECTION_HEADINGS[i].section;
+  }
+  return null;
 }
 
 /**
- * Scan `noteText` for clinical context terms defined in kb_clinical_modifiers.json.
- * Returns an array of matched modifier objects (augmented with the KB entry).
+ * Split a note into headed sections.  Recognised headings:
+ *   - decorated lines: "=== RESUMEN ===", "## Plan", "--- Alergias ---"
+ *     (an unknown decorated heading closes the previous section as 'other')
+ *   - an ALL-CAPS line of up to five words
+ *   - "Heading:" alone on a line, running to the next heading or blank line
+ *   - "Heading: text", covering that line only
+ *   - "… . Heading: text" after a sentence break, covering the rest of the line
+ * The last three nest inside a decorated or ALL-CAPS section.
  *
  * @param {string} noteText
- * @returns {Array<Object>} Matched modifier entries from the KB
+ * @returns {Array<{ section: string, heading: string, start: number, end: number }>}
+ *   Character ranges in note order; text outside them is unsectioned.
  */
-function detectClinicalContextModifiers(noteText) {
-  if (!noteText || !noteText.trim()) return [];
-  var modifiers = (state.kb.clinicalModifiers && state.kb.clinicalModifiers.clinical_modifiers) || [];
-  if (!modifiers.length) return [];
+function segmentNoteSections(noteText) {
+  var text = noteText || '';
+  var sections = [];
+  var outer = null;    /* decorated / ALL-CAPS heading: runs to the next one */
+  var inner = null;    /* "Heading:" line: runs to a blank line */
+  var offset = 0;
+
+  function close(sec, at) {
+    if (sec) { sec.end = at; sections.push(sec); }
+    return null;
+  }
 
-  var normalizedNote = normalizeDrugText(noteText);
-  var matched = [];
+  text.split('\n').forEach(function (line) {
+    var lineStart = offset;
+    var lineEnd   = offset + line.length;
+    offset = lineEnd + 1;
+    var trimmed = line.trim();
 
-  modifiers.forEach(function (mod) {
-    var keywords = [];
-    if (mod.trigger_context) {
-      keywords = keywords.concat(mod.trigger_context.keywords_en || []);
-      keywords = keywords.concat(mod.trigger_context.keywords_es || []);
+    if (!trimmed) {
+      inner = close(inner, lineStart);
+      return;
     }
-    for (var ki = 0; ki < keywords.length; ki++) {
-      var kw = normalizeDrugText(keywords[ki]);
-      if (kw && normalizedNote.indexOf(kw) !== -1) {
-        matched.push(mod);
-        return; /* one match per modifier is enough */
-      }
+
+    var decorated = /^(?:={2,}|#{1,6}|-{3,}|\*{2,})\s*(.*?)\s*(?:={2,}|-{3,}|\*{2,})?\s*:?\s*$/.exec(trimmed);
+    var caps = !decorated && trimmed.split(/\s+/).length <= 5 && /[A-Z\u00C0-\u00DD]{4}/.test(trimmed) &&
+               trimmed === trimmed.toUpperCase() && !/\d/.test(trimmed);
+    var heading = decorated ? decorated[1] : (caps ? trimmed.replace(/:$/, '') : '');
+    var section = heading ? sectionForHeading(heading) : null;
+    if (decorated && heading || section) {
+      inner = close(inner, lineStart);
+      outer = close(outer, lineStart);
+      outer = { section: section || 'other', heading: heading, start: lineStart };
+      return;
     }
+
+    /* Every "Heading:" at the start of the line or of a sentence within it;
+     * each runs to the next one on the line */
+    var colonRe = /(^|[.;]\s+)([A-Za-z\u00C0-\u017F](?:[^:\n|.;]|\.(?!\s)){1,40}?)\s*:\s*/g;
+    var indent = line.indexOf(trimmed);
+    var found = [];
+    var colon;
+    while ((colon = colonRe.exec(trimmed))) {
+      section = colon[2].split(/\s+/).length <= 5 ? sectionForHeading(colon[2]) : null;
+      if (!section) continue;
+      found.push({
+        section: section,
+        heading: colon[2],
+        start:   colon.index ? lineStart + indent + colon.index + colon[1].length : lineStart,
+        bodyAt:  colon.index + colon[0].length
+      });
+    }
+    if (!found.length) return;
+
+    inner = close(inner, found[0].start);
+    if (found.length === 1 && found[0].start === lineStart && !trimmed.slice(found[0].bodyAt)) {
+      inner = { section: found[0].section, heading: found[0].heading, start: lineStart };
+      return;
+    }
+    found.forEach(function (h, i) {
+      sections.push({ section: h.section, heading: h.heading, start: h.start,
+                      end: i + 1 < found.length ? found[i + 1].start : lineEnd });
+    });
   });
+  close(inner, text.length);
+  close(outer, text.length);
 
-  return matched;
+  return sections.sort(function (a, b) { return a.start - b.start; });
 }
 
-/**
- * Post-process detected cascade signals by applying clinical context modifiers.
- * For each active modifier:
- *   - Upgrades signal confidence by one level (low→medium, medium→high)
- *   - Appends a context message to clinical_hint / clinical_hint_es
- *
- * @param {Array} signals   Output of detectCascades (before modifier pass)
- * @param {Array} modifiers Output of detectClinicalContextModifiers
- * @returns {Array} Signals with updated confidence and appended context messages
- */
-function applyClinicalModifiers(signals, modifiers) {
-  if (!signals.length || !modifiers.length) return signals;
+/* Innermost section containing character offset `index`, or an 'unsectioned' stub */
+function sectionAt(sections, index) {
+  var found = null;
+  sections.forEach(function (s) {
+    if (index >= s.start && index < s.end && (!found || s.start >= found.start)) found = s;
+  });
+  return found || { section: 'unsectioned', heading: '', start: 0, end: 0 };
+}
 
-  var CONFIDENCE_UPGRADE = { 'low': 'medium', 'medium': 'high', 'high': 'high' };
+function sectionRule(section) {
+  return SECTION_RULES[section] || { drugStatus: null, symptomInactive: false, weight: 1 };
+}
 
-  return signals.map(function (sig) {
-    var upgraded = Object.assign({}, sig);
-    var appendedEn = [];
-    var appendedEs = [];
+/* ============================================================
+   DATE EXTRACTION — absolute and relative dates (ES/EN)
+   Dates are resolved against the note's encounter date and
+   attached to the nearest drug and symptom mentions.
+   ============================================================ */
+var DAY_MS = 86400000;
+
+var MONTH_INDEX = {
+  ene: 0, enero: 0, jan: 0, january: 0,
+  feb: 1, febrero: 1, february: 1,
+  mar: 2, marzo: 2, march: 2,
+  abr: 3, abril: 3, apr: 3, april: 3,
+  may: 4, mayo: 4,
+  jun: 5, junio: 5, june: 5,
+  jul: 6, julio: 6, july: 6,
+  ago: 7, agosto: 7, aug: 7, august: 7,
+  sep: 8, sept: 8, set: 8, septiembre: 8, september: 8,
+  oct: 9, octubre: 9, october: 9,
+  nov: 10, noviembre: 10, november: 10,
+  dic: 11, diciembre: 11, dec: 11, december: 11
+};
 
-    modifiers.forEach(function (mod) {
-      if (!mod.effect || !mod.effect.priority_upgrade) return;
+var RELATIVE_UNIT_DAYS = {
+  dia: 1, dias: 1, day: 1, days: 1,
+  semana: 7, semanas: 7, week: 7, weeks: 7,
+  mes: 30, meses: 30, month: 30, months: 30,
+  ano: 365, anos: 365, year: 365, years: 365
+};
 
-      /* Upgrade confidence one level */
-      var current = (upgraded.confidence || 'low').toLowerCase();
-      upgraded.confidence = CONFIDENCE_UPGRADE[current] || current;
+/* Spelled-out quantities in relative phrases ("hace dos semanas", "three months ago") */
+var NUMBER_WORDS = {
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+  nueve: 9, diez: 10, once: 11, doce: 12, quince: 15, veinte: 20,
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
 
-      /* Collect context messages */
-      if (mod.message_en) appendedEn.push('[' + mod.name_en + '] ' + mod.message_en);
-      if (mod.message_es) appendedEs.push('[' + mod.name_es + '] ' + mod.message_es);
+/* Start cue written right before a date ("desde ene 2024", "iniciado el 05/02/2024") */
+var DATE_START_CUE = /(?:^|[^a-z])(?:desde|since|from|inicio|iniciad[oa]|inicia|comenzo|empezo|started|starting|began)(?:\s+(?:el|en|on|in|de))?\s*$/;
 
-      /* Tag which modifiers contributed */
-      if (!upgraded.clinical_modifiers) upgraded.clinical_modifiers = [];
-      upgraded.clinical_modifiers.push(mod.id);
-    });
+/* Quantity assumed for vague phrases ("hace años", "for months") */
+var VAGUE_UNIT_QTY = { dia: 3, semana: 2, mes: 3, ano: 2 };
 
-    if (appendedEn.length) {
-      upgraded.clinical_hint = (upgraded.clinical_hint ? upgraded.clinical_hint + ' | ' : '') + appendedEn.join(' | ');
-    }
-    if (appendedEs.length) {
-      upgraded.clinical_hint_es = (upgraded.clinical_hint_es ? upgraded.clinical_hint_es + ' | ' : '') + appendedEs.join(' | ');
-    }
+/* Fixed relative phrases → days before the reference date */
+var RELATIVE_PHRASES = {
+  'ayer': 1, 'yesterday': 1,
+  'la semana pasada': 7, 'last week': 7,
+  'el mes pasado': 30, 'last month': 30,
+  'el ano pasado': 365, 'last year': 365
+};
 
-    return upgraded;
-  });
+function isoDay(ms) {
+  return ms === null || ms === undefined ? null : new Date(ms).toISOString().split('T')[0];
+}
+
+/* Day/month order for numeric dates: dd/mm unless the second part can only be a day */
+function numericDate(a, b, year) {
+  var day = +a; var month = +b;
+  if (month > 12 && day <= 12) { day = +b; month = +a; }
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return Date.UTC(+year, month - 1, day);
 }
 
 /**
- * Scan `noteText` against every loaded cascade entry (core + HIV modifiers).
- * A signal fires when at least one index_drug_example AND at least one
- * cascade_drug_example are both found in the note (case-insensitive whole-word
- * match via drugFoundInNote).
- *
- * Handles both KB field-name variants via getIndexExamples / getCascadeExamples.
- * Handles both confidence-field names: "confidence" (core) / "plausibility" (VIH).
- *
- * @param {string} noteText
- * @returns {Array<{
- *   cascade_id, cascade_name,
- *   index_drug, cascade_drug,
- *   confidence, risk_focus,
- *   ade_en, appropriateness,
- *   ddi_warning, clinical_hint
- * }>}
+ * Encounter date of the note ("Fecha: 2024-03-15", "Date: 15/03/2024").
+ * @returns {number|null} UTC epoch ms
  */
-function detectCascades(noteText) {
-  if (!noteText || !noteText.trim()) return [];
+function detectEncounterDate(noteText) {
+  var m = /\b(?:fecha|date)\b[^:\n]{0,20}:\s*(?:(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}))/i.exec(noteText || '');
+  if (!m) return null;
+  return m[1] ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : numericDate(m[4], m[5], m[6]);
+}
 
-  var mentions = resolveDrugMentions(noteText);
-  var mentionByCanonical = {};
-  mentions.forEach(function (m) {
-    var key = normalizeDrugText(m.canonical);
-    if (!mentionByCanonical[key]) mentionByCanonical[key] = [];
-    mentionByCanonical[key].push(m);
-  });
+/* Reference date for relative expressions: encounter date, else today */
+function noteReferenceDate(noteText) {
+  return detectEncounterDate(noteText) || Date.now();
+}
 
-  var allCascades = [].concat(
-    (state.kb.coreCascades && state.kb.coreCascades.cascades) || [],
-    (state.kb.vihModifiers && state.kb.vihModifiers.art_related_cascades) || []
-  );
+/**
+ * Find date expressions in `text`.
+ *   absolute: ISO (2024-03-15), numeric (15/03/2024), "15 de marzo de 2023",
+ *             "March 15, 2023", month + year ("ene 2024"), "desde/since 2019"
+ *   relative: "hace 3 meses", "desde hace dos semanas", "2 weeks ago",
+ *             "durante 3 meses", "for six months", "ayer", "last month"
+ *   vague:    "desde hace años", "hace unos meses", "for years"
+ * Relative and vague expressions need `refDate`.  Month-only dates resolve to
+ * the 15th, bare years to 1 July.  A date after `refDate` is flagged `future`.
+ *
+ * @returns {Array<{ date: number, text: string, index: number, future: boolean,
+ *                   precision: 'day'|'month'|'year'|'relative'|'approximate' }>}
+ *   In text order; `text` is the matched span of the original text.
+ */
+function findDateExpressions(text, refDate) {
+  /* Case- and accent-folded copy with the same offsets as the NFC text */
+  var raw  = (text || '').normalize('NFC');
+  var norm = raw.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  var found = [];
+  var m;
+  function push(date, str, index, precision) {
+    if (date === null || isNaN(date)) return;
+    found.push({ date: date, text: raw.slice(index, index + str.length), index: index, precision: precision,
+                 future: refDate !== null && refDate !== undefined && date > refDate });
+  }
 
-  var detected = [];
+  var iso = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+  while ((m = iso.exec(norm))) push(Date.UTC(+m[1], +m[2] - 1, +m[3]), m[0], m.index, 'day');
 
-  allCascades.forEach(function (cascade) {
-    var indexExamples   = getIndexExamples(cascade);
-    var cascadeExamples = getCascadeExamples(cascade);
+  var numeric = /\b(\d{1,2})[\/.-](\d{1,2})[\/.-]((?:19|20)\d{2})\b/g;
+  while ((m = numeric.exec(norm))) push(numericDate(m[1], m[2], m[3]), m[0], m.index, 'day');
 
-    var foundIndex = null;
-    var foundIndexMeta = null;
-    indexExamples.some(function (d) {
-      var hit = mentionByCanonical[normalizeDrugText(d)];
-      if (hit && hit.length) {
-        foundIndex = d;
-        foundIndexMeta = hit[0];
-        return true;
-      }
-      return false;
-    });
+  var dayMonthYear = /\b(\d{1,2})\s+(?:de\s+)?([a-z]+)\.?,?\s+(?:de\s+)?((?:19|20)\d{2})\b/g;
+  while ((m = dayMonthYear.exec(norm))) {
+    if (MONTH_INDEX[m[2]] === undefined) continue;
+    push(Date.UTC(+m[3], MONTH_INDEX[m[2]], +m[1]), m[0], m.index, 'day');
+  }
 
-    var foundCascade = null;
-    var foundCascadeMeta = null;
-    cascadeExamples.some(function (d) {
-      var hit = mentionByCanonical[normalizeDrugText(d)];
-      if (hit && hit.length) {
-        foundCascade = d;
-        foundCascadeMeta = hit[0];
-        return true;
-      }
-      return false;
-    });
+  var monthDayYear = /\b([a-z]+)\.?\s+(\d{1,2}),?\s+((?:19|20)\d{2})\b/g;
+  while ((m = monthDayYear.exec(norm))) {
+    if (MONTH_INDEX[m[1]] === undefined) continue;
+    push(Date.UTC(+m[3], MONTH_INDEX[m[1]], +m[2]), m[0], m.index, 'day');
+  }
 
-    if (!foundIndex || !foundCascade) return;
+  var monthYear = /\b([a-z]+)\.?\s+(?:de\s+|of\s+)?((?:19|20)\d{2})\b/g;
+  while ((m = monthYear.exec(norm))) {
+    if (MONTH_INDEX[m[1]] === undefined) continue;
+    push(Date.UTC(+m[2], MONTH_INDEX[m[1]], 15), m[0], m.index, 'month');
+  }
 
-    detected.push({
-      cascade_id:    cascade.id,
-      cascade_name:  cascade.name_en || cascade.id,
-      cascade_name_es: cascade.name_es || '',
-      signal_type:   'drug_drug',
-      index_drug:    foundIndex,
-      cascade_drug:  foundCascade,
-      drug_resolution: {
-        index: foundIndexMeta,
-        cascade: foundCascadeMeta
-      },
-      confidence:    cascade.confidence || cascade.plausibility || 'low',
-      risk_focus:    cascade.risk_focus || [],
-      ade_en:        cascade.ade_en || '',
-      ade_es:        cascade.ade_es || '',
-      appropriateness: cascade.appropriateness || '',
-      ddi_warning:   cascade.ddi_warning_en || '',
-      ddi_warning_es: cascade.ddi_warning_es || '',
-      clinical_hint: cascade.clinical_note_en || cascade.recommended_first_action_en || '',
-      clinical_hint_es: cascade.clinical_note_es || cascade.recommended_first_action_es || ''
-    });
-  });
+  var bareYear = /\b(?:desde|since|en|in|from)\s+((?:19|20)\d{2})\b/g;
+  while ((m = bareYear.exec(norm))) push(Date.UTC(+m[1], 6, 1), m[0], m.index, 'year');
 
-  var allSignals = detected.concat(detectSymptomCascades(noteText, mentionByCanonical));
+  if (refDate !== null && refDate !== undefined) {
+    var relative = /\b(?:(?:desde\s+)?hace|durante|for)\s+(\d+|[a-z]+)\s+([a-z]+)\b|\b(\d+|[a-z]+)\s+([a-z]+)\s+ago\b/g;
+    while ((m = relative.exec(norm))) {
+      var word = m[1] || m[3];
+      var qty  = /^\d+$/.test(word) ? +word : NUMBER_WORDS[word];
+      var unit = RELATIVE_UNIT_DAYS[m[2] || m[4]];
+      if (qty && unit) push(refDate - qty * unit * DAY_MS, m[0], m.index, 'relative');
+    }
 
-  /* Post-process: apply clinical context modifiers (priority upgrade + messages) */
-  var activeModifiers = detectClinicalContextModifiers(noteText);
-  if (activeModifiers.length) {
-    allSignals = applyClinicalModifiers(allSignals, activeModifiers);
-  }
+    var vague = /\b(?:(?:desde\s+)?hace|durante|for)\s+(?:unos\s+|unas\s+|varios\s+|varias\s+|algunos\s+|algunas\s+|several\s+|a\s+few\s+)?(dias|semanas|meses|anos|days|weeks|months|years)\b|\b(?:several\s+|a\s+few\s+)?(days|weeks|months|years)\s+ago\b/g;
+    while ((m = vague.exec(norm))) {
+      var vUnit = RELATIVE_UNIT_DAYS[m[1] || m[2]];
+      var vKey  = vUnit === 1 ? 'dia' : vUnit === 7 ? 'semana' : vUnit === 30 ? 'mes' : 'ano';
+      push(refDate - VAGUE_UNIT_QTY[vKey] * vUnit * DAY_MS, m[0], m.index, 'approximate');
+    }
 
-  /* ── Deduplication: suppress near-duplicate signals ────────────────────
-   * After modifiers have been applied (so final confidence is known), remove
-   * signals that share the same (index_drug, cascade_drug) pair, keeping only
-   * the strongest one.  Suppressed IDs are stored on the winner for JSON export.
-   * ─────────────────────────────────────────────────────────────────────── */
-  allSignals = suppressDuplicateSignals(allSignals);
+    Object.keys(RELATIVE_PHRASES).forEach(function (phrase) {
+      var re = new RegExp('\\b' + phrase + '\\b', 'g');
+      var pm;
+      while ((pm = re.exec(norm))) push(refDate - RELATIVE_PHRASES[phrase] * DAY_MS, pm[0], pm.index, 'relative');
+    });
+  }
 
-  return allSignals;
+  /* Drop matches nested inside an earlier, longer one ("2021" inside "jul 2021") */
+  found.sort(function (a, b) { return a.index - b.index || b.text.length - a.text.length; });
+  return found.filter(function (f, i) {
+    for (var j = 0; j < i; j++) {
+      if (f.index < found[j].index + found[j].text.length) return false;
+    }
+    return true;
+  });
 }
 
 /**
- * Symptom-bridge cascade detection.
- * Fires when ALL THREE of these are present in `noteText`:
- *   1. A drug listed in a symptom's caused_by_drug_examples
- *   2. The symptom itself (detected via state.symptomsDetected)
- *   3. A drug listed in the same symptom's treated_by_drug_examples
- *
- * Uses state.symptomsDetected if already populated (e.g. by Step 2);
- * otherwise runs extractSymptoms() so Step 4 works independently.
+ * Every date expression in the note, resolved against its encounter date.
+ * `future` marks dates after it, which are never used as start or onset dates.
  *
  * @param {string} noteText
- * @returns {Array} Same signal shape as detectCascades()
+ * @returns {Array<{ date: string, text: string, precision: string, future: boolean }>}
  */
-function detectSymptomCascades(noteText, mentionByCanonical) {
+function extractTemporalExpressions(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+  return findDateExpressions(noteText, noteReferenceDate(noteText)).map(function (f) {
+    return { date: isoDay(f.date), text: f.text, precision: f.precision, future: f.future };
+  });
+}
+
+/* Character span { start, end } of a match in the note, or null */
+function textSpan(index, length) {
+  return typeof index === 'number' && index >= 0 ? { start: index, end: index + length } : null;
+}
+
+/**
+ * Date written next to a mention at `index`…`index+length`: a date after it
+ * on the same line (up to the next drug mention, `stopAt`), otherwise the
+ * last date before it on the same line.  After the mention, dates behind a
+ * start cue win over the others and the earliest of them is taken, so
+ * "metformina 1 g (desde ene 2024; era 500 mg desde jun 2023)" starts in
+ * jun 2023 rather than at the dose change.  Dates after `refDate` are
+ * skipped.  `index` on the result is an offset into `noteText`.
+ *
+ * @returns {{ date: number, text: string, index: number, precision: string }|null}
+ */
+function findMentionDate(noteText, index, length, refDate, stopAt) {
+  var lineStart = noteText.lastIndexOf('\n', index - 1) + 1;
+  var lineEnd   = noteText.indexOf('\n', index + length);
+  if (lineEnd === -1) lineEnd = noteText.length;
+  var notFuture = function (d) { return !d.future; };
+
+  var postEnd = Math.min(lineEnd, index + length + 80);
+  if (typeof stopAt === 'number' && stopAt > index) postEnd = Math.min(postEnd, stopAt);
+  var postText = noteText.slice(index + length, postEnd);
+  var post = findDateExpressions(postText, refDate).filter(notFuture);
+  if (post.length) {
+    var folded = postText.normalize('NFC').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    var cued = post.filter(function (d) {
+      return DATE_START_CUE.test(folded.slice(Math.max(0, d.index - 25), d.index)) ||
+        /^(?:desde|since|from)\b/.test(folded.slice(d.index));
+    });
+    var best = cued.length
+      ? cued.reduce(function (a, b) { return b.date < a.date ? b : a; })
+      : post[0];
+    return Object.assign({}, best, { index: index + length + best.index });
+  }
+
+  var preStart = Math.max(lineStart, index - 60);
+  var pre = findDateExpressions(noteText.slice(preStart, index), refDate).filter(notFuture);
+  if (pre.length) return Object.assign({}, pre[pre.length - 1], { index: preStart + pre[pre.length - 1].index });
+  return null;
+}
+
+/**
+ * Raw-note positions of resolveDrugMentions() results.  start_index is an
+ * offset into normalizeDrugText(note), which collapses whitespace, so it can
+ * only sit at or before the raw offset; the first raw occurrence of the
+ * surface form from there on is taken.
+ *
+ * @returns {Array<{ index: number, length: number }|null>} Parallel to `mentions`
+ */
+function mentionRawPositions(noteText, mentions) {
+  var folded = noteText.normalize('NFC').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return mentions.map(function (meta) {
+    var escaped = meta.mention.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\//g, '\\s*/\\s*');
+    var re = new RegExp(escaped, 'g');
+    var m;
+    while ((m = re.exec(folded))) {
+      if (m.index >= (meta.start_index || 0)) return { index: m.index, length: m[0].length };
+    }
+    return findTermInNote(noteText, meta.mention);
+  });
+}
+
+/**
+ * Attach start_date / start_date_text to each mention (in place).  The date
+ * search after a mention stops at the next mention so that "amlodipino y
+ * furosemida desde 2023" dates furosemide only.  A fixed-dose combination
+ * written twice on one line ("darunavir/cobicistat/… (Symtuza) desde 2019")
+ * is one product: its undated component mentions take the date found for
+ * the same drug on that line.
+ */
+function attachMentionDates(noteText, mentions, positions) {
+  if (!mentions.length) return mentions;
+  var refDate = noteReferenceDate(noteText);
+  positions = positions || mentionRawPositions(noteText, mentions);
+  mentions.forEach(function (m, i) {
+    var pos = positions[i];
+    var next = null;
+    positions.forEach(function (p) {
+      if (p && pos && p.index > pos.index && (next === null || p.index < next)) next = p.index;
+    });
+    var found = pos ? findMentionDate(noteText, pos.index, pos.length, refDate, next) : null;
+    m.start_date      = found ? isoDay(found.date) : null;
+    m.start_date_text = found ? found.text : '';
+    m.start_date_span = found ? textSpan(found.index, found.text.length) : null;
+  });
+
+  var lineOf = function (pos) { return pos ? noteText.lastIndexOf('\n', pos.index - 1) + 1 : -1; };
+  mentions.forEach(function (m, i) {
+    if (m.start_date || !positions[i]) return;
+    var line = lineOf(positions[i]);
+    for (var j = 0; j < mentions.length; j++) {
+      var other = mentions[j];
+      if (!other.start_date || !positions[j]) continue;
+      var sameProduct = positions[j].index === positions[i].index;
+      if (sameProduct || (other.canonical === m.canonical && lineOf(positions[j]) === line)) {
+        m.start_date      = other.start_date;
+        m.start_date_text = other.start_date_text;
+        m.start_date_span = other.start_date_span;
+        break;
+      }
+    }
+  });
+  return mentions;
+}
+
+/* ============================================================
+   DOSAGE EXTRACTION — strength, frequency, route, PRN
+   Parsed from the text that follows each drug mention, up to
+   the next mention, the end of the sentence or the line.
+   ============================================================ */
+
+var DOSE_PATTERN = /(\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)*)\s*(mg|mcg|\u00b5g|ug|g|ml|ui|iu|meq|mmol|%)(?![a-z])/;
+
+/* Order matters only for ties; the earliest match in the segment wins.
+ * `night` marks bedtime forms, labelled as such rather than "once daily". */
+var FREQUENCY_PATTERNS = [
+  { re: /(?:^|[^a-z])((?:cada|c\/)\s*(\d+)\s*(?:h|hr?s?|horas?)|every\s+(\d+)\s*(?:h|hrs?|hours?)|q\s?(\d+)\s?h)(?![a-z])/,
+    perDay: function (m) { return 24 / +(m[2] || m[3] || m[4]); } },
+  { re: /(\/\s*(\d+)\s*(?:h|hr?s?|horas?))(?![a-z])/,
+    perDay: function (m) { return 24 / +m[2]; } },
+  { re: /(?:^|[^a-z])((?:cada|every)\s+(\d+)\s*(?:dias|days))(?![a-z])/,
+    perDay: function (m) { return 1 / +m[2]; } },
+  { re: /(?:^|[^a-z])((\d+)\s*(?:veces|vez|times?)\s*(?:al|a|per|\/)\s*(?:dia|day))(?![a-z])/,
+    perDay: function (m) { return +m[2]; } },
+  { re: /(?:^|[^a-z])(bid|b\.i\.d\.?|twice (?:daily|a day))(?![a-z])/,                         perDay: 2 },
+  { re: /(?:^|[^a-z])(tid|t\.i\.d\.?|three times (?:daily|a day))(?![a-z])/,                    perDay: 3 },
+  { re: /(?:^|[^a-z])(qid|q\.i\.d\.?|four times (?:daily|a day))(?![a-z])/,                     perDay: 4 },
+  { re: /(?:^|[^a-z])(semanal(?:mente)?|cada semana|(?:once )?weekly)(?![a-z])/,                perDay: 1 / 7 },
+  { re: /(?:^|[^a-z])(mensual(?:mente)?|cada mes|(?:once )?monthly)(?![a-z])/,                  perDay: 1 / 30 },
+  { re: /(?:^|[^a-z])(por la noche|de noche|cada noche|nocturn[oa]|al acostarse|antes de (?:dormir|acostarse)|nocte|qhs|nightly|at (?:night|bedtime))(?![a-z])/,
+    perDay: 1, night: true },
+  { re: /(\/\s?noche)(?![a-z])/,                                                             perDay: 1, night: true },
+  { re: /(?:^|[^a-z])(od|qd|once (?:daily|a day)|daily|diari[oa](?:mente)?|al dia|cada dia|una vez al dia|en el desayuno|con el desayuno)(?![a-z])/,
+    perDay: 1 },
+  { re: /(\/\s?(?:dia|d|24\s?h))(?![a-z])/,                                                   perDay: 1 }
+];
+
+var ROUTE_PATTERNS = [
+  { route: 'oral',        re: /(?:^|[^a-z])(v\.?o\.?|p\.?o\.?|(?:via |por via )?oral)(?![a-z])/ },
+  { route: 'iv',          re: /(?:^|[^a-z])(i\.?v\.?|e\.?v\.?|intravenos[oa]|intravenous(?:ly)?|endovenos[oa])(?![a-z])/ },
+  { route: 'im',          re: /(?:^|[^a-z])(i\.?m\.?|intramuscular)(?![a-z])/ },
+  { route: 'sc',          re: /(?:^|[^a-z])(s\.?c\.?|s\/c|subcutane[oa]|subcutaneous(?:ly)?)(?![a-z])/ },
+  { route: 'inhaled',     re: /(?:^|[^a-z])(inhalad[oa]|inhaled|inhalacion|inhalation)(?![a-z])/ },
+  { route: 'transdermal', re: /(?:^|[^a-z])(transdermic[oa]|transdermal|parche|patch)(?![a-z])/ },
+  { route: 'topical',     re: /(?:^|[^a-z])(topic[oa]|topical(?:ly)?)(?![a-z])/ },
+  { route: 'sublingual',  re: /(?:^|[^a-z])(sublingual)(?![a-z])/ },
+  { route: 'rectal',      re: /(?:^|[^a-z])(rectal|supositorios?|suppositor(?:y|ies))(?![a-z])/ }
+];
+
+var PRN_PATTERN = /(?:^|[^a-z])(a demanda|si precisa|s\/p|si dolor|si necesario|si lo necesita|en caso de (?:dolor|necesidad|crisis)|de rescate|ocasional(?:mente)?|puntual(?:mente)?|prn|p\.r\.n\.?|as needed|as required|when needed|if needed|on demand)(?![a-z])/;
+
+/**
+ * Normalised, localised label for a parsed frequency: "cada 8 h",
+ * "por la noche", "semanal"...
+ */
+function frequencyLabel(perDay, night) {
+  if (night && perDay === 1) return tUI('freq_night');
+  if (perDay === 1)          return tUI('freq_daily');
+  if (perDay === 1 / 7)      return tUI('freq_weekly');
+  if (perDay === 1 / 30)     return tUI('freq_monthly');
+  var hours = 24 / perDay, days = 1 / perDay;
+  if (perDay > 1 && hours === Math.round(hours)) return tUI('freq_every_hours', hours);
+  if (perDay < 1 && days === Math.round(days))   return tUI('freq_every_days', days);
+  return tUI('freq_times_day', Math.round(perDay * 100) / 100);
+}
+
+/**
+ * Parse strength, frequency, route and PRN status from a text segment.
+ * `frequency` is a normalised label (see frequencyLabel()); `prn_text` keeps
+ * the original wording; `doses_per_day` is null when no frequency is stated.
+ *
+ * @returns {{ dose: string, frequency: string, doses_per_day: number|null,
+ *             route: string, prn: boolean, prn_text: string }}
+ */
+function parseDosage(text) {
+  var raw  = (text || '').normalize('NFC');
+  var norm = raw.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  var result = { dose: '', frequency: '', doses_per_day: null, route: '', prn: false, prn_text: '' };
+
+  var d = DOSE_PATTERN.exec(norm);
+  if (d) result.dose = d[1].replace(/\s+/g, '') + ' ' + d[2];
+
+  var best = null;
+  FREQUENCY_PATTERNS.forEach(function (f) {
+    var m = f.re.exec(norm);
+    if (!m) return;
+    var start = m.index + m[0].indexOf(m[1]);
+    if (best && best.start <= start) return;
+    best = { start: start, night: !!f.night, perDay: typeof f.perDay === 'function' ? f.perDay(m) : f.perDay };
+  });
+  if (best && isFinite(best.perDay)) {
+    result.frequency     = frequencyLabel(best.perDay, best.night);
+    result.doses_per_day = Math.round(best.perDay * 100) / 100;
+  }
+
+  var bestRoute = null;
+  ROUTE_PATTERNS.forEach(function (r) {
+    var m = r.re.exec(norm);
+    if (m && (!bestRoute || m.index < bestRoute.index)) bestRoute = { index: m.index, route: r.route };
+  });
+  if (bestRoute) result.route = bestRoute.route;
+
+  var p = PRN_PATTERN.exec(norm);
+  if (p) {
+    var pStart = p.index + p[0].indexOf(p[1]);
+    result.prn      = true;
+    result.prn_text = raw.slice(pStart, pStart + p[1].length);
+  }
+  return result;
+}
+
+/**
+ * Attach dose / frequency / doses_per_day / route / prn / prn_text to each
+ * mention (in place), parsed from the text between the mention and the next
+ * one, cut at the end of the sentence or line (max 80 characters).
+ */
+function attachMentionDosing(noteText, mentions, positions) {
+  if (!mentions.length) return mentions;
+  positions = positions || mentionRawPositions(noteText, mentions);
+  mentions.forEach(function (m, i) {
+    var pos = positions[i];
+    var segment = '';
+    if (pos) {
+      var start = pos.index + pos.length;
+      var end = Math.min(noteText.length, start + 80);
+      positions.forEach(function (p) {
+        if (p && p.index >= start && p.index < end) end = p.index;
+      });
+      segment = noteText.slice(start, end);
+      var stop = /[;\n]|\.(?:\s|$)/.exec(segment);
+      if (stop) segment = segment.slice(0, stop.index);
+    }
+    var dosing = parseDosage(segment);
+    Object.keys(dosing).forEach(function (k) { m[k] = dosing[k]; });
+  });
+  return mentions;
+}
+
+/**
+ * Status of the drug mention at `pos` ({index, length} in the raw note):
+ * classifyDrugMention() cues first; a mention with no explicit cue takes the
+ * status its section imposes (Plan → planned, Alergias → allergy), with the
+ * heading as cue, so "mantener X" under Plan stays active.
+ *
+ * @param {Array} sections  segmentNoteSections(noteText)
+ * @param {number} [windowStart]  See classifyDrugMention()
+ * @returns {{ section: string, status: string, cue: string }}
+ */
+function drugMentionStatus(noteText, sections, pos, windowStart) {
+  if (!pos) return { section: 'unsectioned', status: 'active', cue: '' };
+  var sec = sectionAt(sections, pos.index);
+  var cls = classifyDrugMention(noteText, pos.index, pos.length, windowStart);
+  var imposed = sectionRule(sec.section).drugStatus;
+  if (cls.status === 'active' && !cls.cue && imposed) cls = { status: imposed, cue: sec.heading };
+  return { section: sec.section, status: cls.status, cue: cls.cue };
+}
+
+/**
+ * Where the status-cue window before each position may start: after the
+ * previous mention and after the last comma or "(" since it, so that
+ * "amlodipino 10 mg (retirado en 2023), furosemida" leaves furosemide
+ * active.  A mention joined to the previous one only by a list separator
+ * ("se suspenden amlodipino, furosemida y omeprazol") shares its window.
+ * Components of one product share a position and a window.
+ *
+ * @returns {Array<number|undefined>} Indexed like `positions`
+ */
+function mentionCueWindowStarts(noteText, positions) {
+  var order = positions.map(function (p, i) { return i; })
+    .filter(function (i) { return positions[i]; })
+    .sort(function (a, b) { return positions[a].index - positions[b].index; });
+  var starts = [];
+  var prev = null;
+  order.forEach(function (i) {
+    var pos = positions[i];
+    var from = prev ? prev.end : 0;
+    var gap = noteText.slice(from, Math.max(from, pos.index));
+    var start;
+    if (prev && (prev.index === pos.index || /^(?:[\s,\/]|\b(?:y|e|o|and|or)\b)*$/i.test(gap))) {
+      start = prev.start;
+    } else {
+      start = from + Math.max(gap.lastIndexOf(','), gap.lastIndexOf('(')) + 1;
+    }
+    starts[i] = start;
+    prev = { index: pos.index, end: Math.max(prev ? prev.end : 0, pos.index + pos.length), start: start };
+  });
+  return starts;
+}
+
+/**
+ * Attach section / status / status_cue to each mention (in place); see
+ * drugMentionStatus().  Mentions whose position cannot be recovered are left
+ * active.
+ */
+function attachMentionStatus(noteText, mentions, positions) {
+  positions = positions || mentionRawPositions(noteText, mentions);
+  var sections = segmentNoteSections(noteText);
+  var windowStarts = mentionCueWindowStarts(noteText, positions);
+  mentions.forEach(function (m, i) {
+    var st = drugMentionStatus(noteText, sections, positions[i], windowStarts[i]);
+    m.section    = st.section;
+    m.status     = st.status;
+    m.status_cue = st.cue;
+  });
+  return mentions;
+}
+
+function isActiveMention(m) {
+  return !m.status || m.status === 'active';
+}
+
+/**
+ * Non-active drug mentions (discontinued, historical, planned, allergy,
+ * negated), in note order.  These are excluded from cascade and DDI detection.
+ *
+ * @returns {Array<{ drug, mention, status, cue }>}
+ */
+function getInactiveDrugMentions(noteText) {
+  return resolveDrugMentions(noteText)
+    .filter(function (m) { return !isActiveMention(m); })
+    .map(function (m) {
+      return { drug: m.canonical, mention: m.mention, status: m.status, cue: m.status_cue };
+    });
+}
+
+/**
+ * Regimen per canonical drug, merged over all of its mentions: the first
+ * stated dose, frequency and route win; PRN holds only when every mention
+ * that states a regimen says so.
+ *
+ * @returns {Object.<string, Object>} Keyed by normalizeDrugText(canonical)
+ */
+function getDrugRegimens(noteText) {
+  var regimens = {};
+  var scheduled = {};
+  resolveDrugMentions(noteText).forEach(function (m) {
+    var key = normalizeDrugText(m.canonical);
+    var r = regimens[key] || (regimens[key] = {
+      drug: m.canonical, dose: '', frequency: '', doses_per_day: null, route: '', prn: false, prn_text: ''
+    });
+    if (!r.dose && m.dose) r.dose = m.dose;
+    if (!r.frequency && m.frequency) { r.frequency = m.frequency; r.doses_per_day = m.doses_per_day; }
+    if (!r.route && m.route) r.route = m.route;
+    if (m.prn) {
+      if (!r.prn_text) r.prn_text = m.prn_text;
+    } else if (m.dose || m.frequency) {
+      scheduled[key] = true;
+    }
+  });
+  Object.keys(regimens).forEach(function (key) {
+    regimens[key].prn = !!regimens[key].prn_text && !scheduled[key];
+  });
+  return regimens;
+}
+
+function hasRegimen(r) {
+  return !!(r && (r.dose || r.frequency || r.route || r.prn));
+}
+
+/* "10 mg \u00B7 cada 24 h \u00B7 oral \u00B7 a demanda" (plain text; escape for HTML) */
+function formatRegimen(r) {
+  if (!hasRegimen(r)) return '';
+  var parts = [];
+  if (r.dose)      parts.push(r.dose);
+  if (r.frequency) parts.push(r.frequency);
+  if (r.route)     parts.push(tUI('route_' + r.route));
+  if (r.prn)       parts.push(tUI('regimen_prn'));
+  return parts.join(' \u00B7 ');
+}
+
+/* ============================================================
+   LABORATORY VALUES — analyte, value, unit and date (ES/EN)
+   Values are converted to one unit per analyte; flagged values
+   feed modifier conditions and count as ADE evidence.
+   ============================================================ */
+
+/* Name patterns run on the accent-folded, lower-case note.  `units` maps a
+ * compacted unit (see compactLabUnit()) to a factor, or a function, into
+ * `unit`.  `ade_low` / `ade_high` name the ADE a flagged value evidences. */
+var LAB_ANALYTES = [
+  { id: 'cd4', label: 'CD4', names: ['linfocitos cd4\\+?', 'cd4\\+?(?: count)?', 'recuento de cd4'],
+    unit: 'cells/\u00B5L', integer: true, low: 200,
+    units: { 'cells/ul': 1, 'celulas/ul': 1, 'cel/ul': 1, 'cells/mm3': 1, 'celulas/mm3': 1, 'cel/mm3': 1, '/ul': 1, '/mm3': 1 } },
+  { id: 'viral_load', label: 'VL', names: ['carga viral(?: (?:de )?(?:vih|hiv))?', 'cv', 'viral load', 'vl', 'arn[- ]vih', 'hiv[- ]rna', 'rna[- ]vih'],
+    unit: 'copies/mL', integer: true, high: 50, undetectable: 50,
+    units: { 'copies/ml': 1, 'copias/ml': 1, 'cp/ml': 1, 'c/ml': 1 } },
+  { id: 'egfr', label: 'eGFR', names: ['egfr', 'gfr', 'fge', 'tfge?', 'filtrado glomerular(?: estimado)?', 'ckd[- ]epi'],
+    unit: 'mL/min/1.73m\u00B2', low: 60,
+    units: { 'ml/min/1.73m2': 1, 'ml/min': 1, 'ml/min/1.73': 1 },
+    ade_low: ['egfr decline', 'tfge', 'renal failure', 'insuficiencia renal'] },
+  { id: 'creatinine', label: 'Cr', names: ['creatinina(?: serica| plasmatica)?', '(?:serum )?creatinine'],
+    unit: 'mg/dL', high: 1.3,
+    units: { 'mg/dl': 1, 'umol/l': 1 / 88.4 } },
+  { id: 'potassium', label: 'K', names: ['potasio(?: serico| plasmatico)?', 'potasemia', 'kalemia', '(?:serum )?potassium', 'k\\+?'],
+    unit: 'mmol/L', low: 3.5, high: 5.0,
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ade_low: ['hypokalemia', 'hypokalaemia', 'hipopotasemia', 'hipokalemia'],
+    ade_high: ['hyperkalemia', 'hyperkalaemia', 'hiperpotasemia', 'hiperkalemia'] },
+  { id: 'sodium', label: 'Na', names: ['sodio(?: serico| plasmatico)?', 'natremia', '(?:serum )?sodium', 'na\\+?'],
+    unit: 'mmol/L', low: 135, high: 145,
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ade_low: ['hyponatremia', 'hyponatraemia', 'hiponatremia'] },
+  { id: 'magnesium', label: 'Mg', names: ['magnesio(?: serico| plasmatico)?', 'magnesemia', '(?:serum )?magnesium'],
+    unit: 'mg/dL', low: 1.7,
+    units: { 'mg/dl': 1, 'mmol/l': 2.43, 'meq/l': 1.215 },
+    ade_low: ['hypomagnesemia', 'hypomagnesaemia', 'hipomagnesemia'] },
+  { id: 'ck', label: 'CK', names: ['ck', 'cpk', 'creatin(?:a|ina)[- ]?(?:quinasa|kinasa|cinasa)', 'creatine kinase'],
+    unit: 'U/L', high: 200,
+    units: { 'u/l': 1, 'ui/l': 1, 'iu/l': 1 },
+    ade_high: ['elevated ck', 'ck elevada', 'myopathy', 'miopatia'] },
+  { id: 'ldl', label: 'LDL', names: ['ldl[- ]?c?', 'c[- ]ldl', 'colesterol ldl', 'ldl[- ]colesterol', 'ldl cholesterol'],
+    unit: 'mg/dL', high: 160,
+    units: { 'mg/dl': 1, 'mmol/l': 38.67 },
+    ade_high: ['dyslipidemia', 'dyslipidaemia', 'dislipemia', 'dislipidemia', 'hypercholesterolemia', 'hipercolesterolemia'] },
+  { id: 'hba1c', label: 'HbA1c', names: ['hba1c', 'hb a1c', 'a1c', 'hemoglobina glicosilada', 'hemoglobina glicada', 'glycated haemoglobin', 'glycated hemoglobin'],
+    unit: '%', high: 6.5,
+    units: { '%': 1, 'mmol/mol': function (v) { return v / 10.929 + 2.15; } },
+    ade_high: ['hyperglycemia', 'hyperglycaemia', 'hiperglucemia', 'type 2 diabetes', 'diabetes tipo 2', 'new-onset diabetes',
+      'diabetes de nueva aparicion', 'steroid-induced diabetes', 'diabetes inducida', 'diabetes corticoidea'] },
+  { id: 'glucose', label: 'Glu', names: ['glucosa(?: basal| en ayunas)?', 'glucemia(?: basal| en ayunas)?', '(?:fasting )?(?:plasma )?glucose'],
+    unit: 'mg/dL', high: 126,
+    units: { 'mg/dl': 1, 'mmol/l': 18.016 },
+    ade_high: ['hyperglycemia', 'hyperglycaemia', 'hiperglucemia'] },
+  { id: 'tsh', label: 'TSH', names: ['tsh', 'tirotropina', 'thyrotropin'],
+    unit: 'mU/L', high: 4.5,
+    units: { 'mu/l': 1, 'mui/l': 1, 'uui/ml': 1, 'uu/ml': 1, 'miu/l': 1, 'uiu/ml': 1 },
+    ade_high: ['hypothyroidism', 'hipotiroidismo'] },
+  { id: 'b12', label: 'B12', names: ['vitamina b12', 'vitamin b12', 'b12', 'cobalamina', 'cobalamin'],
+    unit: 'pg/mL', low: 200,
+    units: { 'pg/ml': 1, 'pmol/l': 1.355, 'ng/l': 1 },
+    ade_low: ['vitamin b12 deficiency', 'deficit de vitamina b12', 'b12 deficiency'] }
+];
+
+var LAB_QUALIFIER_RE = /^(indetectable|undetectable|no detectable|not detected|suprimida|suppressed)/;
+var LAB_VALUE_RE = /^(<=|>=|\u2264|\u2265|<|>)?\s*(\d+(?:[.,]\d+)*)\s*((?:[a-z\u00B5\u03BC%][a-z0-9\u00B5\u03BC%\u00B2\u00B3]*)?(?:\s*\/\s*[a-z0-9\u00B5\u03BC\u00B2\u00B3,.]*[a-z0-9\u00B5\u03BC\u00B2\u00B3])*)/;
+/* A unit no analyte uses: a percentage, a ratio or a dose ("B12 1000 mcg") */
+var LAB_FOREIGN_UNIT_RE = /[\/%]|^(?:mg|mcg|ug|g|ui|iu|meq|mmol)$/;
+
+/* "mL/min/1,73 m2" → "ml/min/1.73m2": the key LAB_ANALYTES units use */
+function compactLabUnit(unit) {
+  return (unit || '').toLowerCase().replace(/\s+/g, '').replace(/[\u00B5\u03BC]/g, 'u')
+    .replace(/\u00B2/g, '2').replace(/\u00B3/g, '3').replace(/,/g, '.');
+}
+
+function labNumber(str, analyte) {
+  if (analyte.integer && /^\d{1,3}(?:[.,]\d{3})+$/.test(str)) return +str.replace(/[.,]/g, '');
+  return parseFloat(str.replace(',', '.'));
+}
+
+/**
+ * Laboratory values written in the note, e.g. "CD4: 620 células/\u03BCL",
+ * "carga viral indetectable", "FGe 45 mL/min/1,73m\u00B2", "K+ 3,1 mEq/L".
+ * A name must be followed by a value within a short gap (":", "de",
+ * "(CKD-EPI)"), so "riesgo CV alto" or "vitamina B12 oral" are not labs.
+ * Values in a family-history section are skipped.  A value without a
+ * recognised unit is taken to be in the analyte's unit.
+ *
+ * @param {string} noteText
+ * @returns {Array<{ analyte: string, label: string, value: number, unit: string,
+ *   comparator: string, qualifier: string, flag: string, raw_value: string,
+ *   raw_unit: string, text: string, date: string|null, section: string,
+ *   span: {start: number, end: number} }>} In note order
+ */
+function extractLabValues(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+  var raw  = noteText.normalize('NFC');
+  var norm = raw.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  var refDate = noteReferenceDate(noteText);
+  var sections = segmentNoteSections(noteText);
+  var labs = [];
+  var taken = [];
+
+  LAB_ANALYTES.forEach(function (analyte) {
+    var re = new RegExp('(^|[^a-z0-9])(' + analyte.names.join('|') + ')(?![a-z0-9])', 'g');
+    var m;
+    while ((m = re.exec(norm))) {
+      var nameStart = m.index + m[1].length;
+      var nameEnd = nameStart + m[2].length;
+      if (taken.some(function (t) { return nameStart < t.end && nameEnd > t.start; })) continue;
+
+      /* Gap between name and value: punctuation, a short parenthesis, "de"/"of"/"is" */
+      var gap = /^\s*(?:\([^)\n]{0,15}\)\s*)?(?:[:=]|\b(?:de|of|is|was|en)\b)?\s*/.exec(norm.slice(nameEnd));
+      var valueStart = nameEnd + gap[0].length;
+      var rest = norm.slice(valueStart, valueStart + 40);
+
+      var comparator = '';
+      var value, rawValue, rawUnit = '', qualifier = '';
+      var q = analyte.undetectable ? LAB_QUALIFIER_RE.exec(rest) : null;
+      var v = q ? null : LAB_VALUE_RE.exec(rest);
+      if (q) {
+        qualifier = 'undetectable';
+        comparator = '<';
+        value = analyte.undetectable;
+        rawValue = q[1];
+      } else if (v) {
+        comparator = ({ '\u2264': '<=', '\u2265': '>=' })[v[1]] || v[1] || '';
+        rawValue = v[2];
+        value = labNumber(v[2], analyte);
+        var unitKey = compactLabUnit(v[3]);
+        var factor = analyte.units[unitKey];
+        if (factor === undefined && LAB_FOREIGN_UNIT_RE.test(unitKey)) continue;
+        if (factor !== undefined) {
+          rawUnit = raw.slice(valueStart + v[0].length - v[3].length, valueStart + v[0].length);
+          value = typeof factor === 'function' ? factor(value) : value * factor;
+        }
+      } else {
+        continue;
+      }
+      if (isNaN(value)) continue;
+
+      /* An unrecognised unit is left out of the span */
+      var end = valueStart + (q ? q[0].length : rawUnit ? v[0].length : v[0].indexOf(v[2]) + v[2].length);
+      end = raw.slice(0, end).replace(/\s+$/, '').length;
+      var section = sectionAt(sections, nameStart);
+      if (sectionRule(section.section).symptomInactive) continue;
+      taken.push({ start: nameStart, end: end });
+
+      var found = findMentionDate(noteText, nameStart, end - nameStart, refDate, null);
+      value = Math.round(value * 100) / 100;
+      var flag = analyte.low !== undefined && value < analyte.low && comparator.charAt(0) !== '>' ? 'low'
+               : analyte.high !== undefined && value > analyte.high && comparator.charAt(0) !== '<' ? 'high' : '';
+      labs.push({
+        analyte:    analyte.id,
+        label:      analyte.label,
+        value:      value,
+        unit:       analyte.unit,
+        comparator: comparator,
+        qualifier:  qualifier,
+        flag:       flag,
+        raw_value:  rawValue,
+        raw_unit:   rawUnit,
+        text:       raw.slice(nameStart, end),
+        date:       found ? isoDay(found.date) : null,
+        section:    section.section,
+        span:       textSpan(nameStart, end - nameStart)
+      });
+    }
+  });
+
+  return labs.sort(function (a, b) { return a.span.start - b.span.start; });
+}
+
+/* "K 3.1 mmol/L", "VL <50 copies/mL" (plain text) */
+function formatLabValue(lab) {
+  return lab.label + ' ' + lab.comparator + lab.value + ' ' + lab.unit;
+}
+
+/* Latest value of `analyte`: the most recent dated one, else the last written */
+function latestLabValue(labs, analyte) {
+  var hits = labs.filter(function (l) { return l.analyte === analyte; });
+  if (!hits.length) return null;
+  return hits.slice().sort(function (a, b) {
+    if (a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
+    if (!!a.date !== !!b.date) return a.date ? 1 : -1;
+    return a.span.start - b.span.start;
+  }).pop();
+}
+
+/**
+ * The ADEs a KB ADE label names, one per item: "Hypokalaemia, muscle cramps,
+ * weakness" → three items; parenthesised detail is dropped.  When the label
+ * leads with a syndrome ("Cushing syndrome (…), hyperglycemia, …") the rest
+ * are its manifestations, so only the syndrome counts.
+ */
+function adeLabelItems(text) {
+  var items = normalizeSymptomText(String(text || '').replace(/\([^)]*\)/g, ' '))
+    .split(/[,;\/]/)
+    .map(function (item) { return item.trim(); })
+    .filter(Boolean);
+  return items.length && /\b(?:syndrome|sindrome)\b/.test(items[0]) ? items.slice(0, 1) : items;
+}
+
+/**
+ * First flagged lab whose ADE terms name one of the ADEs in `adeTexts` (KB
+ * ADE wording, see adeLabelItems()), matched as whole words within an item.
+ *
+ * @returns {Object|null} extractLabValues() entry
+ */
+function findLabADE(labs, adeTexts) {
+  var items = [];
+  adeTexts.filter(hasText).forEach(function (text) { items = items.concat(adeLabelItems(text)); });
+  if (!items.length) return null;
+  return labs.find(function (lab) {
+    if (!lab.flag) return false;
+    var analyte = LAB_ANALYTES.find(function (a) { return a.id === lab.analyte; });
+    var terms = (analyte && analyte['ade_' + lab.flag]) || [];
+    return terms.some(function (term) {
+      var t = ' ' + normalizeSymptomText(term) + ' ';
+      return items.some(function (item) { return (' ' + item + ' ').indexOf(t) !== -1; });
+    });
+  }) || null;
+}
+
+var CONDITION_OPS = {
+  '<':  function (a, b) { return a < b; },
+  '<=': function (a, b) { return a <= b; },
+  '>':  function (a, b) { return a > b; },
+  '>=': function (a, b) { return a >= b; },
+  '==': function (a, b) { return a === b; }
+};
+
+/**
+ * Lab value that meets a modifier condition from `trigger_context.conditions`,
+ * e.g. { "source": "lab", "analyte": "egfr", "op": "<", "value": 60 }.  Only
+ * the latest value of the analyte is tested.
+ *
+ * @returns {Object|null} extractLabValues() entry
+ */
+function labConditionMet(cond, labs) {
+  var test = CONDITION_OPS[cond.op];
+  if (cond.source !== 'lab' || !test) return null;
+  var lab = latestLabValue(labs, cond.analyte);
+  return lab && test(lab.value, cond.value) ? lab : null;
+}
+
+/* ============================================================
+   DEMOGRAPHICS — age, sex, weight, height and BMI (ES/EN)
+   Read from the phrases that state them ("Varón de 58 años",
+   "72-year-old woman", "Peso: 70 kg"), never from a bare
+   number of years, so "hace 80 años" is not an age.
+   ============================================================ */
+
+var SEX_TERMS = {
+  varon: 'male', hombre: 'male', masculino: 'male', senor: 'male', chico: 'male', male: 'male', man: 'male', m: 'male', h: 'male', v: 'male',
+  mujer: 'female', femenino: 'female', senora: 'female', chica: 'female', female: 'female', woman: 'female', f: 'female'
+};
+
+/* Words between "Paciente"/"Varón" and "de NN años": not "con VIH de 20 años" */
+var DEMO_NOUN_RE = '\\b(varon|hombre|mujer|paciente|senor|senora|chico|chica)\\b(?:\\s+(?!con\\b|desde\\b|hace\\b|en\\b)[a-z]+){0,2}?\\s+de\\s+(\\d{1,3})\\s+(?:anos|a\\.)(?!\\s+de\\s+(?:evolucion|diagnostico|seguimiento|tratamiento|duracion))';
+
+/* Patterns run on the accent-folded, lower-case note; `parse` turns the match
+ * into the field value (null rejects it). */
+var DEMOGRAPHIC_FIELDS = [
+  { field: 'age', unit: 'years',
+    patterns: [
+      new RegExp(DEMO_NOUN_RE, 'g'),
+      /\b(\d{1,3})\s+anos\s+de\s+edad\b/g,
+      /\b(?:edad|age|aged)\s*[:=]?\s*(\d{1,3})\b(?:\s*(?:anos|years?)\b)?/g,
+      /\b(\d{1,3})\s*-?\s*(?:years?|yrs?)\s*-?\s*old\b/g,
+      /\b(\d{1,3})\s*(?:yo|y\/o|y\.o\.)(?![a-z])/g
+    ],
+    parse: function (m) { var n = +m[m.length - 1]; return n <= 120 ? n : null; } },
+  { field: 'sex', unit: '',
+    patterns: [
+      /\b(?:sexo|sex|genero|gender)\s*[:=]?\s*(masculino|femenino|varon|hombre|mujer|male|female|m|f|h|v)\b/g,
+      new RegExp(DEMO_NOUN_RE.replace('paciente|', ''), 'g'),
+      /\b\d{1,3}\s*-?\s*(?:years?|yrs?)\s*-?\s*old\s+(man|woman|male|female)\b/g,
+      /\b\d{1,3}\s*(?:yo|y\/o)\s+(m|f|male|female|man|woman)\b/g
+    ],
+    parse: function (m) { return SEX_TERMS[m[1]] || null; } },
+  { field: 'weight', unit: 'kg',
+    patterns: [/\b(?:peso|pesa|weight|weighs|wt)\s*[:=]?\s*(\d{2,3}(?:[.,]\d+)?)\s*(kg|kilos?|lbs?|libras)?(?![a-z])/g],
+    parse: function (m) {
+      var n = parseFloat(m[1].replace(',', '.'));
+      if (/^(?:lb|libra)/.test(m[2] || '')) n = n * 0.4536;
+      return n >= 20 && n <= 300 ? Math.round(n * 10) / 10 : null;
+    } },
+  { field: 'height', unit: 'cm',
+    patterns: [/\b(?:talla|altura|estatura|height)\s*[:=]?\s*(\d{1,3}(?:[.,]\d{1,2})?)\s*(cm|m)?(?![a-z])/g],
+    parse: function (m) {
+      var n = parseFloat(m[1].replace(',', '.'));
+      if (m[2] === 'm' || (!m[2] && n < 3)) n = n * 100;
+      return n >= 100 && n <= 230 ? Math.round(n) : null;
+    } },
+  { field: 'bmi', unit: 'kg/m\u00B2',
+    patterns: [/\b(?:imc|bmi|indice de masa corporal|body mass index)\s*(?:\([^)\n]{0,12}\)\s*)?[:=]?\s*(\d{2}(?:[.,]\d+)?)/g],
+    parse: function (m) {
+      var n = parseFloat(m[1].replace(',', '.'));
+      return n >= 10 && n <= 80 ? n : null;
+    } }
+];
+
+/**
+ * Patient demographics stated in the note.  Each field is the first match in
+ * note order outside a family-history section, as { value, unit, text,
+ * section, span }, or null.  BMI is computed from weight and height when the
+ * note does not give it (`computed: true`, no span).
+ *
+ * @param {string} noteText
+ * @returns {{ age: Object|null, sex: Object|null, weight: Object|null,
+ *   height: Object|null, bmi: Object|null }}
+ */
+function extractDemographics(noteText) {
+  var demo = { age: null, sex: null, weight: null, height: null, bmi: null };
+  if (!noteText || !noteText.trim()) return demo;
+  var raw  = noteText.normalize('NFC');
+  var norm = raw.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  var sections = segmentNoteSections(noteText);
+
+  DEMOGRAPHIC_FIELDS.forEach(function (def) {
+    var best = null;
+    def.patterns.forEach(function (pattern) {
+      var re = new RegExp(pattern.source, 'g');
+      var m;
+      while ((m = re.exec(norm))) {
+        if (best && m.index >= best.index) break;
+        var section = sectionAt(sections, m.index);
+        var value = def.parse(m);
+        if (value === null || sectionRule(section.section).symptomInactive) continue;
+        best = { index: m.index, length: m[0].length, value: value, section: section.section };
+        break;
+      }
+    });
+    if (!best) return;
+    demo[def.field] = {
+      value:   best.value,
+      unit:    def.unit,
+      text:    raw.slice(best.index, best.index + best.length),
+      section: best.section,
+      span:    textSpan(best.index, best.length)
+    };
+  });
+
+  if (!demo.bmi && demo.weight && demo.height) {
+    var metres = demo.height.value / 100;
+    demo.bmi = {
+      value: Math.round(demo.weight.value / (metres * metres) * 10) / 10,
+      unit: 'kg/m\u00B2', text: null, section: null, span: null, computed: true
+    };
+  }
+  return demo;
+}
+
+/* "58 years", "male", "72 kg" (plain text) */
+function formatDemographic(field, entry) {
+  if (field === 'sex') return entry.value;
+  return entry.value + (entry.unit ? ' ' + entry.unit : '');
+}
+
+/**
+ * Demographic field that meets a modifier condition, e.g.
+ * { "source": "demographics", "field": "age", "op": ">=", "value": 75 }.
+ *
+ * @returns {Object|null} extractDemographics() field entry
+ */
+function demographicConditionMet(cond, demographics) {
+  var test = CONDITION_OPS[cond.op];
+  if (cond.source !== 'demographics' || !test) return null;
+  var entry = demographics[cond.field];
+  return entry && test(entry.value, cond.value) ? entry : null;
+}
+
+/* ============================================================
+   MEDICATION BURDEN — anticholinergic (ACB), fall-risk and
+   CNS-depressant load
+   Summed over the active medication list from the per-drug
+   acb_score and risk_tags in drug_dictionary.json, so a modifier
+   can fire
+   on the load itself ({ "source": "medication" } conditions)
+   rather than on words in the note.
+   ============================================================ */
+
+/**
+ * Anticholinergic Cognitive Burden of the drugs extractDrugs() finds in
+ * `noteText`.  `drugs` lists only the scored ones, highest score first.
+ *
+ * @returns {{ total: number, drugs: Array<{ drug: string, score: number }> }}
+ */
+function computeAnticholinergicBurden(noteText) {
+  var drugs = extractDrugs(noteText).map(function (d) {
+    return { drug: d, score: drugAcbScore(d) };
+  }).filter(function (d) { return d.score > 0; });
+  drugs.sort(function (a, b) { return b.score - a.score; });
+  return {
+    total: drugs.reduce(function (sum, d) { return sum + d.score; }, 0),
+    drugs: drugs
+  };
+}
+
+/**
+ * Drugs extractDrugs() finds in `noteText` whose dictionary risk_tags
+ * include `tag` ("fall_risk" or "cns_depressant"); the load is their count.
+ *
+ * @returns {{ total: number, drugs: Array<{ drug: string }> }}
+ */
+function computeRiskTagLoad(noteText, tag) {
+  var drugs = extractDrugs(noteText).filter(function (d) {
+    return drugRiskTags(d).indexOf(tag) !== -1;
+  }).map(function (d) { return { drug: d }; });
+  return { total: drugs.length, drugs: drugs };
+}
+
+/* Values a "medication" condition can test, by field name */
+function getMedicationBurden(noteText) {
+  return {
+    acb_total:           computeAnticholinergicBurden(noteText).total,
+    fall_risk_load:      computeRiskTagLoad(noteText, 'fall_risk').total,
+    cns_depressant_load: computeRiskTagLoad(noteText, 'cns_depressant').total
+  };
+}
+
+/**
+ * Medication-burden value that meets a modifier condition, e.g.
+ * { "source": "medication", "field": "acb_total", "op": ">=", "value": 3 }.
+ *
+ * @returns {{ value: number, section: null, span: null }|null}
+ */
+function medicationConditionMet(cond, burden) {
+  var test = CONDITION_OPS[cond.op];
+  if (cond.source !== 'medication' || !test) return null;
+  var value = burden[cond.field];
+  return typeof value === 'number' && test(value, cond.value) ? { value: value, section: null, span: null } : null;
+}
+
+/**
+ * First loaded modifier with a "medication" condition on `field`, as
+ * { modifier_id, op, value }; null when none tests it.
+ */
+function medicationBurdenThreshold(field) {
+  var modifiers = (state.kb.clinicalModifiers && state.kb.clinicalModifiers.clinical_modifiers) || [];
+  for (var i = 0; i < modifiers.length; i++) {
+    var conditions = (modifiers[i].trigger_context && modifiers[i].trigger_context.conditions) || [];
+    for (var j = 0; j < conditions.length; j++) {
+      var c = conditions[j];
+      if (c.source === 'medication' && c.field === field) return { modifier_id: modifiers[i].id, op: c.op, value: c.value };
+    }
+  }
+  return null;
+}
+
+/* Burden summary for Step 3 and the report: the total against its modifier threshold */
+function describeMedicationBurden(burden, field) {
+  var threshold = medicationBurdenThreshold(field);
+  var test = threshold && CONDITION_OPS[threshold.op];
+  return {
+    total:           burden.total,
+    drugs:           burden.drugs,
+    threshold:       threshold ? threshold.value : null,
+    modifier_id:     threshold ? threshold.modifier_id : null,
+    above_threshold: !!(test && test(burden.total, threshold.value))
+  };
+}
+
+/* ============================================================
+   QT RISK — QT-prolonging drugs and the boosters that raise them
+   Each active drug's CredibleMeds category (qt_risk in
+   drug_dictionary.json).  A ritonavir or cobicistat in the list
+   counts once more when it raises the level of a QT drug present
+   (qt_booster_raised); the qt_risk section of the dictionary holds
+   the alert threshold and the ECG / K+ / Mg monitoring actions.
+   ============================================================ */
+
+var QT_RISK_ORDER = { known: 0, possible: 1, conditional: 2 };
+
+/**
+ * Aggregate QT risk of the drugs extractDrugs() finds in `noteText`.
+ * `total` counts the QT drugs plus the boosters that raise one of them;
+ * `alert` is set from the dictionary's alert_threshold once a known- or
+ * possible-risk drug is among them (conditional risk alone, e.g. a PPI with
+ * a loop diuretic, depends on hypokalaemia or hypomagnesaemia), and `level` is
+ * 'high' when two known-risk drugs meet or a known-risk drug is boosted.
+ *
+ * @returns {{ total: number, threshold: number, alert: boolean, level: string,
+ *             drugs: Array<{ drug: string, category: string, boosted: boolean }>,
+ *             boosters: string[], monitoring: string[] }}
+ */
+function computeQtRisk(noteText) {
+  var config = (state.kb.drugDictionary && state.kb.drugDictionary.qt_risk) || {};
+  var taxonomy = getClassTaxonomy();
+  var boosterClass = config.booster_class || 'pk_booster';
+  var active = extractDrugs(noteText);
+
+  /* Co-formulated canonicals ("darunavir/ritonavir") are checked per component */
+  var boosters = [];
+  active.forEach(function (d) {
+    normalizeDrugText(d).split('/').forEach(function (part) {
+      var name = part.trim();
+      if (!name || boosters.indexOf(name) !== -1) return;
+      if (mentionClassNodes(taxonomy, { canonical: name, drug_class: '' }).indexOf(boosterClass) !== -1) boosters.push(name);
+    });
+  });
+
+  var drugs = [];
+  active.forEach(function (d) {
+    var risk = drugQtRisk(d);
+    if (risk) drugs.push({ drug: d, category: risk.category, boosted: risk.booster_raised && boosters.length > 0 });
+  });
+  drugs.sort(function (a, b) { return QT_RISK_ORDER[a.category] - QT_RISK_ORDER[b.category]; });
+
+  var raising = drugs.some(function (d) { return d.boosted; }) ? boosters : [];
+  var known = drugs.filter(function (d) { return d.category === 'known'; });
+  var direct = drugs.some(function (d) { return d.category !== 'conditional'; });
+  var total = drugs.length + raising.length;
+  var threshold = config.alert_threshold || 2;
+  return {
+    total:      total,
+    threshold:  threshold,
+    alert:      direct && total >= threshold,
+    level:      known.length >= 2 || known.some(function (d) { return d.boosted; }) ? 'high' : 'moderate',
+    drugs:      drugs,
+    boosters:   raising,
+    monitoring: config['monitoring_' + currentLanguage] || config.monitoring_en || []
+  };
+}
+
+/* ============================================================
+   TEMPORAL GRADING — T0 / T1 / T2 / TX
+   pipeline_spec_v1.0.md §3.  Each signal's index and cascade
+   drugs are graded from the start dates attached to their
+   mentions, against the KB time-to-ADE window.
+   ============================================================ */
+
+/* Default time-to-ADE window when the KB entry has none (spec: "usually < 90 days") */
+var DEFAULT_TIME_WINDOW_DAYS = { min: 0, max: 90 };
+
+/* Latest start still graded T2 (spec: "clinically plausible timeframe (90–365 days)") */
+var LATE_CASCADE_MAX_DAYS = 365;
+
+function getTimeWindow(entry) {
+  if (!entry) return DEFAULT_TIME_WINDOW_DAYS;
+  var min = entry.time_window_days_min !== undefined ? entry.time_window_days_min : entry.time_to_ade_typical_days_min;
+  var max = entry.time_window_days_max !== undefined ? entry.time_window_days_max : entry.time_to_ade_typical_days_max;
+  if (typeof max !== 'number') return DEFAULT_TIME_WINDOW_DAYS;
+  return { min: typeof min === 'number' ? min : 0, max: max };
+}
+
+/**
+ * Onset date (ISO) of the signal's ADE.
+ * symptom_bridge → the bridging symptom; therapeutic_plausibility → the
+ * matched ADE term; drug_drug → a detected symptom named like the KB ADE.
+ */
+function findSignalADEOnset(noteText, signal) {
+  var symptoms = (state.symptomsDetected || []).filter(function (s) { return s && s.active !== false; });
+  if (signal.signal_type === 'symptom_bridge') {
+    var symId = String(signal.cascade_id).split(':')[0];
+    var ds = symptoms.find(function (s) { return s.id === symId; });
+    return ds ? ds.onset_date || null : null;
+  }
+  if (signal.signal_type === 'therapeutic_plausibility' && signal.rationale && signal.rationale.matchedAde) {
+    var pos = findTermInNote(noteText, signal.rationale.matchedAde);
+    var found = pos ? findMentionDate(noteText, pos.index, pos.length, noteReferenceDate(noteText), null) : null;
+    return found ? isoDay(found.date) : null;
+  }
+  var ade = normalizeSymptomText(signal.ade_en || '');
+  var hit = ade && symptoms.find(function (s) { return normalizeSymptomText(s.term) === ade; });
+  return hit ? hit.onset_date || null : null;
+}
+
+/**
+ * Grade a cascade signal per pipeline_spec_v1.0.md §3.
+ *   index drug   T0 — start date known and not after the ADE onset / cascade drug start
+ *   cascade drug T1 — started within the KB time-to-ADE window (min–max days)
+ *                     after the index drug
+ *                T2 — started after that window, up to LATE_CASCADE_MAX_DAYS
+ *                TX — start date unknown, sooner than the window minimum,
+ *                     before the index drug or later than LATE_CASCADE_MAX_DAYS
+ * `indeterminate` is true unless the pair grades T0 + T1 or T0 + T2.
+ *
+ * @param {string} noteText
+ * @param {Object} signal  detectCascades() signal; drug_resolution mentions
+ *                         carry start_date from attachMentionDates()
+ * @returns {{ index: string, cascade: string, label: string,
+ *             index_start: string|null, cascade_start: string|null,
+ *             ade_onset: string|null, elapsed_days: number|null,
+ *             window_days: {min: number, max: number}, indeterminate: boolean }}
+ */
+function gradeSignalTemporality(noteText, signal) {
+  var timeWindow = getTimeWindow(findCascadeEntryForSignal(signal));
+  var res = signal.drug_resolution || {};
+
+  var idxStart = res.index && res.index.start_date ? res.index.start_date : null;
+  var casStart = res.cascade && res.cascade.start_date ? res.cascade.start_date : null;
+  var adeOnset = findSignalADEOnset(noteText, signal);
+
+  /* ISO YYYY-MM-DD strings compare chronologically */
+  var indexGrade = 'TX';
+  if (idxStart &&
+      (!adeOnset || idxStart <= adeOnset) &&
+      (!casStart || idxStart <= casStart)) {
+    indexGrade = 'T0';
+  }
+
+  var cascadeGrade = 'TX';
+  var elapsed = null;
+  if (idxStart && casStart) {
+    elapsed = Math.round((Date.parse(casStart) - Date.parse(idxStart)) / DAY_MS);
+    if (elapsed >= Math.max(0, timeWindow.min) && elapsed <= timeWindow.max) cascadeGrade = 'T1';
+    else if (elapsed > timeWindow.max && elapsed <= LATE_CASCADE_MAX_DAYS) cascadeGrade = 'T2';
+  }
+
+  return {
+    index:         indexGrade,
+    cascade:       cascadeGrade,
+    label:         indexGrade + ' + ' + cascadeGrade,
+    index_start:   idxStart,
+    cascade_start: casStart,
+    ade_onset:     adeOnset,
+    elapsed_days:  elapsed,
+    window_days:   timeWindow,
+    indeterminate: !(indexGrade === 'T0' && cascadeGrade !== 'TX')
+  };
+}
+
+/**
+ * Return the index drug examples for a cascade entry, handling both the
+ * singular field name used in kb_core_cascades.json ("index_drug_examples")
+ * and the plural form used in kb_vih_modifiers.json ("index_drugs_examples").
+ */
+function getIndexExamples(cascade) {
+  return cascade.index_drug_examples || cascade.index_drugs_examples || [];
+}
+
+/**
+ * Return the cascade drug examples for a cascade entry, handling both the
+ * singular field name used in kb_core_cascades.json ("cascade_drug_examples")
+ * and the plural form used in kb_vih_modifiers.json ("cascade_drugs_examples").
+ */
+function getCascadeExamples(cascade) {
+  return cascade.cascade_drug_examples || cascade.cascade_drugs_examples || [];
+}
+
+/**
+ * Scan `noteText` for clinical context terms defined in kb_clinical_modifiers.json.
+ * Returns an array of matched modifier objects (copies of the KB entry tagged
+ * with the `section` of the first match).  A modifier whose
+ * `trigger_context.conditions` hold on the note's lab values (CM003: eGFR < 60),
+ * demographics (CM001: age >= 75) or medication burden (CM006: ACB total >= 3)
+ * matches on that value, with `matched_condition` set, before any keyword.
+ *
+ * @param {string} noteText
+ * @returns {Array<Object>} Matched modifier entries from the KB
+ */
+function detectClinicalContextModifiers(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+  var modifiers = (state.kb.clinicalModifiers && state.kb.clinicalModifiers.clinical_modifiers) || [];
+  if (!modifiers.length) return [];
+
+  /* Match line by line so family-history text never triggers a modifier.
+   * `text` is the case- and accent-folded line, with the same offsets as `raw` */
+  var fold = function (str) { return str.normalize('NFC').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''); };
+  var sections = segmentNoteSections(noteText);
+  var parts = [];
+  var offset = 0;
+  noteText.split('\n').forEach(function (line) {
+    var sec = sectionAt(sections, offset);
+    if (!sectionRule(sec.section).symptomInactive) {
+      parts.push({ section: sec.section, text: fold(line), raw: line, offset: offset });
+    }
+    offset += line.length + 1;
+  });
+
+  var matched = [];
+  var labs = extractLabValues(noteText);
+  var demographics = extractDemographics(noteText);
+  var burden = null;   /* computed on the first "medication" condition */
+
+  modifiers.forEach(function (mod) {
+    var conditions = (mod.trigger_context && mod.trigger_context.conditions) || [];
+    for (var ci = 0; ci < conditions.length; ci++) {
+      var cond = conditions[ci];
+      var lab = labConditionMet(cond, labs);
+      var field = lab ? null : demographicConditionMet(cond, demographics);
+      var load = null;
+      if (!lab && !field && cond.source === 'medication') {
+        burden = burden || getMedicationBurden(noteText);
+        load = medicationConditionMet(cond, burden);
+      }
+      var met = lab || field || load;
+      if (met) {
+        matched.push(Object.assign({}, mod, {
+          section: met.section,
+          span: met.span,
+          matched_condition: (lab ? formatLabValue(lab)
+            : field ? cond.field + ' ' + formatDemographic(cond.field, field)
+            : cond.field + ' ' + load.value) +
+            ' ' + cond.op + ' ' + cond.value
+        }));
+        return;
+      }
+    }
+
+    var keywords = [];
+    if (mod.trigger_context) {
+      keywords = keywords.concat(mod.trigger_context.keywords_en || []);
+      keywords = keywords.concat(mod.trigger_context.keywords_es || []);
+    }
+    /* Whole words only: "CAD" is not in "cascada", nor "IC" in "vesical" */
+    for (var ki = 0; ki < keywords.length; ki++) {
+      var kw = fold(keywords[ki]).trim();
+      if (!kw) continue;
+      for (var pi = 0; pi < parts.length; pi++) {
+        var pos = findTermInNote(parts[pi].text, kw);
+        if (pos) {
+          matched.push(Object.assign({}, mod, {
+            section: parts[pi].section,
+            span: textSpan(parts[pi].offset + pos.index, pos.length),
+            matched_keyword: parts[pi].raw.substr(pos.index, pos.length)
+          }));
+          return; /* one match per modifier is enough */
+        }
+      }
+    }
+  });
+
+  return matched;
+}
+
+/* Confidence levels in order; a modifier moves a signal along this scale */
+var CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+var MODIFIER_MAGNITUDE_STEPS = { one_level: 1, two_levels: 2 };
+
+/**
+ * Why a modifier's `affects` scope covers `signal`, or null when it does not.
+ * `affects` is either ["all_cascades"] or an object listing `cascade_ids`,
+ * `risk_focus` values and `drug_classes` (class taxonomy node ids, tested on
+ * the index and cascade drugs together with their ancestor classes).
+ *
+ * @returns {{ kind: 'all'|'cascade_id'|'risk_focus'|'drug_class', value: string, drug?: string }|null}
+ */
+function modifierScopeReason(mod, signal) {
+  var affects = mod.affects;
+  if (!affects) return null;
+  if (Array.isArray(affects)) {
+    return affects.indexOf('all_cascades') !== -1 ? { kind: 'all', value: '' } : null;
+  }
+  if ((affects.cascade_ids || []).indexOf(signal.cascade_id) !== -1) {
+    return { kind: 'cascade_id', value: signal.cascade_id };
+  }
+  var focus = (affects.risk_focus || []).find(function (f) { return (signal.risk_focus || []).indexOf(f) !== -1; });
+  if (focus) return { kind: 'risk_focus', value: focus };
+
+  var classes = affects.drug_classes || [];
+  if (!classes.length) return null;
+  var taxonomy = getClassTaxonomy();
+  var res = signal.drug_resolution || {};
+  var sides = ['index', 'cascade'];
+  for (var i = 0; i < sides.length; i++) {
+    var mention = res[sides[i]] || { canonical: signal[sides[i] + '_drug'] || '' };
+    if (!mention.canonical) continue;
+    var nodes = mentionClassNodes(taxonomy, mention);
+    var hit = classes.find(function (c) { return nodes.indexOf(c) !== -1; });
+    if (hit) return { kind: 'drug_class', value: hit, drug: mention.canonical };
+  }
+  return null;
+}
+
+/**
+ * Post-process detected cascade signals by applying clinical context modifiers.
+ * A modifier acts only on signals inside its `affects` scope
+ * (modifierScopeReason()).  Its `effect` sets the direction and size of the
+ * change: `priority_upgrade` with `upgrade_magnitude`, or `priority_downgrade`
+ * with `downgrade_magnitude` ("one_level" | "two_levels"); `cap` is the highest
+ * level an upgrade can reach and `floor` the lowest a downgrade can leave.
+ * Each applied modifier appends its message to clinical_hint /
+ * clinical_hint_es and a `modifier_effects` entry saying why and by how much.
+ *
+ * @param {Array} signals   Output of detectCascades (before modifier pass)
+ * @param {Array} modifiers Output of detectClinicalContextModifiers
+ * @returns {Array} Signals with updated confidence and appended context messages
+ */
+function applyClinicalModifiers(signals, modifiers) {
+  if (!signals.length || !modifiers.length) return signals;
+
+  return signals.map(function (sig) {
+    var adjusted = Object.assign({}, sig);
+    var appendedEn = [];
+    var appendedEs = [];
+
+    modifiers.forEach(function (mod) {
+      var effect = mod.effect || {};
+      var steps = effect.priority_upgrade ? MODIFIER_MAGNITUDE_STEPS[effect.upgrade_magnitude] || 1
+                : effect.priority_downgrade ? -(MODIFIER_MAGNITUDE_STEPS[effect.downgrade_magnitude] || 1) : 0;
+      if (!steps) return;
+      var scope = modifierScopeReason(mod, adjusted);
+      if (!scope) return;
+
+      var from = (adjusted.confidence || 'low').toLowerCase();
+      var level = CONFIDENCE_LEVELS.indexOf(from);
+      var to = from;
+      var capped = false;
+      if (level !== -1) {
+        var target = Math.max(0, Math.min(CONFIDENCE_LEVELS.length - 1, level + steps));
+        var bound = CONFIDENCE_LEVELS.indexOf(steps > 0 ? effect.cap : effect.floor);
+        if (bound !== -1 && (steps > 0 ? target > bound : target < bound)) {
+          var held = steps > 0 ? Math.max(bound, level) : Math.min(bound, level);
+          capped = held !== target;
+          target = held;
+        }
+        to = CONFIDENCE_LEVELS[target];
+      }
+      adjusted.confidence = to;
+
+      /* Collect context messages */
+      if (mod.message_en) appendedEn.push('[' + mod.name_en + '] ' + mod.message_en);
+      if (mod.message_es) appendedEs.push('[' + mod.name_es + '] ' + mod.message_es);
+
+      /* Tag which modifiers contributed, and how */
+      if (!adjusted.clinical_modifiers) adjusted.clinical_modifiers = [];
+      adjusted.clinical_modifiers.push(mod.id);
+      if (!adjusted.modifier_effects) adjusted.modifier_effects = [];
+      adjusted.modifier_effects.push({
+        id:      mod.id,
+        name_en: mod.name_en || '',
+        name_es: mod.name_es || '',
+        trigger: mod.matched_condition || mod.matched_keyword || '',
+        scope:   scope,
+        from:    from,
+        to:      to,
+        capped:  capped
+      });
+    });
+
+    if (appendedEn.length) {
+      adjusted.clinical_hint = (adjusted.clinical_hint ? adjusted.clinical_hint + ' | ' : '') + appendedEn.join(' | ');
+    }
+    if (appendedEs.length) {
+      adjusted.clinical_hint_es = (adjusted.clinical_hint_es ? adjusted.clinical_hint_es + ' | ' : '') + appendedEs.join(' | ');
+    }
+
+    return adjusted;
+  });
+}
+
+/**
+ * Index mentions by normalised canonical name and, for a written combination
+ * ("atazanavir/ritonavir"), by each component too.
+ *
+ * @returns {Object.<string, Array>} normalised name → mentions
+ */
+function indexMentionsByDrug(mentions) {
+  var byDrug = {};
+  function add(key, m) {
+    if (!key) return;
+    if (!byDrug[key]) byDrug[key] = [];
+    if (byDrug[key].indexOf(m) === -1) byDrug[key].push(m);
+  }
+  mentions.forEach(function (m) {
+    add(normalizeDrugText(m.canonical), m);
+    if (m.canonical.indexOf('/') !== -1) {
+      m.canonical.split('/').forEach(function (part) { add(normalizeDrugText(part), m); });
+    }
+  });
+  return byDrug;
+}
+
+/**
+ * Mentions satisfying a KB drug example.  A combination example
+ * ("darunavir/cobicistat") is also met when every component is mentioned,
+ * e.g. from a fixed-dose brand; the first component's mentions are returned.
+ *
+ * @returns {Array|null}
+ */
+function findExampleMentions(mentionMap, example) {
+  var hit = mentionMap[normalizeDrugText(example)];
+  if (hit && hit.length) return hit;
+  if (String(example).indexOf('/') === -1) return null;
+  var parts = example.split('/').map(normalizeDrugText).filter(Boolean);
+  var all = parts.length > 1 && parts.every(function (p) { return mentionMap[p] && mentionMap[p].length; });
+  return all ? mentionMap[parts[0]] : null;
+}
+
+/* ============================================================
+   DRUG CLASS TAXONOMY — class-level cascade matching
+   drug_dictionary.json → class_taxonomy maps the dictionary
+   drug_class strings, the cascade KB class labels and ATC code
+   prefixes onto shared nodes, each with its parent classes.
+   ============================================================ */
+
+function buildClassTaxonomy() {
+  var dict = state.kb.drugDictionary || {};
+  var taxonomy = { byTerm: {}, byAtc: [], parents: {}, dictClass: {}, atcByDrug: {}, acbByDrug: {}, riskTagsByDrug: {}, qtByDrug: {}, atcGroups: dict.atc_groups || {} };
+  (dict.class_taxonomy || []).forEach(function (node) {
+    if (!node.id) return;
+    taxonomy.parents[node.id] = node.parents || [];
+    (node.atc || []).forEach(function (prefix) {
+      taxonomy.byAtc.push({ prefix: prefix, id: node.id });
+    });
+    (node.terms || []).forEach(function (term) {
+      var key = normalizeDrugText(term);
+      if (!key) return;
+      if (!taxonomy.byTerm[key]) taxonomy.byTerm[key] = [];
+      taxonomy.byTerm[key].push(node.id);
+    });
+  });
+  (dict.entries || []).forEach(function (e) {
+    if (!e.canonical) return;
+    var key = normalizeDrugText(e.canonical);
+    if (e.drug_class) taxonomy.dictClass[key] = e.drug_class;
+    if (Array.isArray(e.atc) && e.atc.length) taxonomy.atcByDrug[key] = e.atc;
+    if (typeof e.acb_score === 'number' && e.acb_score > 0) taxonomy.acbByDrug[key] = e.acb_score;
+    if (Array.isArray(e.risk_tags) && e.risk_tags.length) taxonomy.riskTagsByDrug[key] = e.risk_tags;
+    if (e.qt_risk) taxonomy.qtByDrug[key] = { category: e.qt_risk, booster_raised: !!e.qt_booster_raised };
+  });
+  return taxonomy;
+}
+
+function getClassTaxonomy() {
+  var resolver = getDrugResolver();
+  if (!resolver.classTaxonomy) resolver.classTaxonomy = buildClassTaxonomy();
+  return resolver.classTaxonomy;
+}
+
+/**
+ * Taxonomy nodes named by a class label.  The whole label is tried first
+ * ("Anticholinergic / Antiparkinsonian" is one class); otherwise each
+ * slash-separated part counts on its own ("SSRI / SNRI").
+ */
+function classNodesForLabel(taxonomy, label) {
+  var key = normalizeDrugText(label);
+  if (!key) return [];
+  if (taxonomy.byTerm[key]) return taxonomy.byTerm[key].slice();
+  var nodes = [];
+  key.split('/').forEach(function (part) {
+    (taxonomy.byTerm[part.trim()] || []).forEach(function (id) {
+      if (nodes.indexOf(id) === -1) nodes.push(id);
+    });
+  });
+  return nodes;
+}
+
+/**
+ * Nodes of a mention's drug class plus every ancestor class.  The class
+ * comes from the drug's ATC codes (any node whose prefix they start with)
+ * and from its dictionary drug_class label.
+ */
+function mentionClassNodes(taxonomy, mention) {
+  var key = normalizeDrugText(mention.canonical);
+  var nodes = classNodesForLabel(taxonomy, taxonomy.dictClass[key] || mention.drug_class);
+  (taxonomy.atcByDrug[key] || []).forEach(function (code) {
+    taxonomy.byAtc.forEach(function (a) {
+      if (code.indexOf(a.prefix) === 0 && nodes.indexOf(a.id) === -1) nodes.push(a.id);
+    });
+  });
+  for (var i = 0; i < nodes.length; i++) {
+    (taxonomy.parents[nodes[i]] || []).forEach(function (parent) {
+      if (nodes.indexOf(parent) === -1) nodes.push(parent);
+    });
+  }
+  return nodes;
+}
+
+/**
+ * First mention whose class falls under one of `classLabels`, skipping the
+ * drug already matched on the other side of the cascade.
+ *
+ * @returns {{ mention: Object, label: string }|null}
+ */
+function findClassMention(mentions, classLabels, excludeCanonical) {
+  var taxonomy = getClassTaxonomy();
+  var wanted = [];
+  classLabels.forEach(function (label) {
+    classNodesForLabel(taxonomy, label).forEach(function (id) {
+      wanted.push({ id: id, label: label });
+    });
+  });
+  if (!wanted.length) return null;
+  var exclude = excludeCanonical ? normalizeDrugText(excludeCanonical) : null;
+  for (var i = 0; i < mentions.length; i++) {
+    if (exclude && normalizeDrugText(mentions[i].canonical) === exclude) continue;
+    var nodes = mentionClassNodes(taxonomy, mentions[i]);
+    var hit = wanted.find(function (w) { return nodes.indexOf(w.id) !== -1; });
+    if (hit) return { mention: mentions[i], label: hit.label };
+  }
+  return null;
+}
+
+/* ATC level → code length: anatomical (1), therapeutic (2), pharmacological
+ * (3), chemical (4) subgroup and substance (5). */
+var ATC_LEVEL_LENGTHS = [1, 3, 4, 5, 7];
+
+/**
+ * The ATC hierarchy above a code, most general first:
+ * "C08CA01" → C, C08, C08C, C08CA, C08CA01.
+ *
+ * @returns {Array<{ level: number, code: string, name: string }>}
+ */
+function atcPath(code) {
+  var groups = getClassTaxonomy().atcGroups;
+  var path = [];
+  ATC_LEVEL_LENGTHS.forEach(function (len, i) {
+    if (code.length < len) return;
+    var prefix = code.slice(0, len);
+    path.push({ level: i + 1, code: prefix, name: groups[prefix] || '' });
+  });
+  return path;
+}
+
+/** ATC codes for a canonical drug name, [] when the dictionary has none. */
+function drugAtcCodes(drug) {
+  return getClassTaxonomy().atcByDrug[normalizeDrugText(drug)] || [];
+}
+
+/** Anticholinergic Cognitive Burden score of a canonical drug name (0 when unscored). */
+function drugAcbScore(drug) {
+  return getClassTaxonomy().acbByDrug[normalizeDrugText(drug)] || 0;
+}
+
+/** Dictionary risk_tags of a canonical drug name ("fall_risk", "cns_depressant"), [] when untagged. */
+function drugRiskTags(drug) {
+  return getClassTaxonomy().riskTagsByDrug[normalizeDrugText(drug)] || [];
+}
+
+/** CredibleMeds QT category of a canonical drug name as { category, booster_raised }, null when it has none. */
+function drugQtRisk(drug) {
+  return getClassTaxonomy().qtByDrug[normalizeDrugText(drug)] || null;
+}
+
+/**
+ * Scan `noteText` against every loaded cascade entry (core + HIV modifiers).
+ * A signal fires when at least one index_drug_example AND at least one
+ * cascade_drug_example are both found in the note (case-insensitive whole-word
+ * match via drugFoundInNote).  In core cascades a side with no listed example
+ * present may be met by class instead (index_drug_classes / cascade_drug_class through the
+ * class taxonomy); such signals carry class_match and rank below
+ * example matches.
+ *
+ * A drug in the entry's contraindicated_cascade_drugs (VIH001: simvastatin,
+ * lovastatin) yields a signal with `contraindicated: true` and high confidence
+ * in place of any example match for the same entry (signals are keyed by
+ * cascade_id).
+ *
+ * Handles both KB field-name variants via getIndexExamples / getCascadeExamples.
+ * Handles both confidence-field names: "confidence" (core) / "plausibility" (VIH).
+ *
+ * @param {string} noteText
+ * @returns {Array<{
+ *   cascade_id, cascade_name,
+ *   index_drug, cascade_drug,
+ *   confidence, risk_focus,
+ *   ade_en, appropriateness,
+ *   ddi_warning, clinical_hint, contraindicated
+ * }>}
+ */
+function detectCascades(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+
+  /* Discontinued / historical / planned / allergy / negated mentions do not count */
+  var mentions = resolveDrugMentions(noteText).filter(isActiveMention);
+  var mentionByCanonical = indexMentionsByDrug(mentions);
+  /* The medication-list mention of a drug represents it (dates, regimen);
+   * within a section a dated mention wins, so the signal can be graded */
+  var preferMention = function (a, b) {
+    return sectionRule(b.section).weight - sectionRule(a.section).weight ||
+      (b.start_date ? 1 : 0) - (a.start_date ? 1 : 0) ||
+      a.start_index - b.start_index;
+  };
+  Object.keys(mentionByCanonical).forEach(function (key) {
+    mentionByCanonical[key].sort(preferMention);
+  });
+
+  var coreCascades = (state.kb.coreCascades && state.kb.coreCascades.cascades) || [];
+  var allCascades = [].concat(
+    coreCascades,
+    (state.kb.vihModifiers && state.kb.vihModifiers.art_related_cascades) || []
+  );
+  /* Candidates for class matching, in the same preference order */
+  var rankedMentions = mentions.slice().sort(preferMention);
+
+  var detected = [];
+
+  allCascades.forEach(function (cascade) {
+    var indexExamples   = getIndexExamples(cascade);
+    var cascadeExamples = getCascadeExamples(cascade);
+
+    var foundIndex = null;
+    var foundIndexMeta = null;
+    indexExamples.some(function (d) {
+      var hit = findExampleMentions(mentionByCanonical, d);
+      if (hit && hit.length) {
+        foundIndex = d;
+        foundIndexMeta = hit[0];
+        return true;
+      }
+      return false;
+    });
+
+    var foundCascade = null;
+    var foundCascadeMeta = null;
+    cascadeExamples.some(function (d) {
+      var hit = findExampleMentions(mentionByCanonical, d);
+      if (hit && hit.length) {
+        foundCascade = d;
+        foundCascadeMeta = hit[0];
+        return true;
+      }
+      return false;
+    });
+
+    var foundContra = null;
+    var foundContraMeta = null;
+    (cascade.contraindicated_cascade_drugs || []).some(function (d) {
+      var hit = findExampleMentions(mentionByCanonical, d);
+      if (hit && hit.length) {
+        foundContra = d;
+        foundContraMeta = hit[0];
+        return true;
+      }
+      return false;
+    });
+
+    /* Class-level fallback for a side with no listed example in the note.
+     * Core cascades only: HIV entries name agent-specific effects under a
+     * broad label (VIH023 is abacavir, filed as "NRTI"). */
+    var classMatch = { index: null, cascade: null };
+    var classMatchable = coreCascades.indexOf(cascade) !== -1;
+    if (!foundIndex && classMatchable) {
+      var idxClasses = Array.isArray(cascade.index_drug_classes) ? cascade.index_drug_classes
+        : cascade.index_drug_class ? [cascade.index_drug_class] : [];
+      var idxHit = findClassMention(rankedMentions, idxClasses, foundCascadeMeta && foundCascadeMeta.canonical);
+      if (idxHit) {
+        foundIndex = idxHit.mention.canonical;
+        foundIndexMeta = idxHit.mention;
+        classMatch.index = idxHit.label;
+      }
+    }
+    if (foundIndex && !foundCascade && classMatchable && cascade.cascade_drug_class) {
+      var casHit = findClassMention(rankedMentions, [cascade.cascade_drug_class], foundIndexMeta.canonical);
+      if (casHit) {
+        foundCascade = casHit.mention.canonical;
+        foundCascadeMeta = casHit.mention;
+        classMatch.cascade = casHit.label;
+      }
+    }
+
+    if (!foundIndex) return;
+
+    var cascadeSignal = function (cascadeDrug, cascadeMeta, match, contraindicated) {
+      return {
+        cascade_id:    cascade.id,
+        cascade_name:  cascade.name_en || cascade.id,
+        cascade_name_es: cascade.name_es || '',
+        signal_type:   'drug_drug',
+        index_drug:    foundIndex,
+        cascade_drug:  cascadeDrug,
+        drug_resolution: {
+          index: foundIndexMeta,
+          cascade: cascadeMeta
+        },
+        confidence:    contraindicated ? 'high' : (cascade.confidence || cascade.plausibility || 'low'),
+        risk_focus:    cascade.risk_focus || [],
+        ade_en:        cascade.ade_en || '',
+        ade_es:        cascade.ade_es || '',
+        appropriateness: cascade.appropriateness || '',
+        ddi_warning:   cascade.ddi_warning_en || '',
+        ddi_warning_es: cascade.ddi_warning_es || '',
+        clinical_hint: cascade.clinical_note_en || cascade.recommended_first_action_en || '',
+        clinical_hint_es: cascade.clinical_note_es || cascade.recommended_first_action_es || '',
+        class_match:   match && (match.index || match.cascade) ? match : null,
+        contraindicated: contraindicated
+      };
+    };
+
+    /* The contraindicated drug is the finding in itself, whatever the ADE evidence */
+    if (foundContra)       detected.push(cascadeSignal(foundContra, foundContraMeta, null, true));
+    else if (foundCascade) detected.push(cascadeSignal(foundCascade, foundCascadeMeta, classMatch, false));
+  });
+
+  var allSignals = detected.concat(
+    detectSymptomCascades(noteText, mentionByCanonical),
+    detectTherapeuticPlausibility(noteText, mentionByCanonical)
+  );
+
+  /* Temporal grade (T0/T1/T2/TX) on every signal */
+  allSignals.forEach(function (sig) {
+    sig.temporal_grade = gradeSignalTemporality(noteText, sig);
+  });
+
+  /* Post-process: apply clinical context modifiers (priority upgrade + messages) */
+  var activeModifiers = detectClinicalContextModifiers(noteText);
+  if (activeModifiers.length) {
+    allSignals = applyClinicalModifiers(allSignals, activeModifiers);
+  }
+
+  /* ── Deduplication: suppress near-duplicate signals ────────────────────
+   * After modifiers have been applied (so final confidence is known), remove
+   * signals that share the same (index_drug, cascade_drug) pair, keeping only
+   * the strongest one.  The others stay on the winner as alternate mechanisms.
+   * ─────────────────────────────────────────────────────────────────────── */
+  allSignals = suppressDuplicateSignals(allSignals);
+
+  allSignals.forEach(function (sig) {
+    sig.evidence_spans = buildEvidenceSpans(noteText, sig, activeModifiers);
+  });
+
+  return allSignals;
+}
+
+/**
+ * Symptom-bridge cascade detection.
+ * Fires when ALL THREE of these are present in `noteText`:
+ *   1. A drug listed in a symptom's caused_by_drug_examples
+ *   2. The symptom itself (detected via state.symptomsDetected)
+ *   3. A drug listed in the same symptom's treated_by_drug_examples
+ *
+ * Uses state.symptomsDetected if already populated (e.g. by Step 2);
+ * otherwise runs extractSymptoms() so Step 4 works independently.
+ *
+ * @param {string} noteText
+ * @returns {Array} Same signal shape as detectCascades()
+ */
+function detectSymptomCascades(noteText, mentionByCanonical) {
   if (!noteText || !noteText.trim()) return [];
 
   var symEntries = (state.kb.symptomDictionary && state.kb.symptomDictionary.symptoms) || [];
@@ -1608,6 +4017,13 @@ function detectSymptomCascades(noteText, mentionByCanonical) {
   var signals = [];
 
   var mentionMap = mentionByCanonical || {};
+  var sections = segmentNoteSections(noteText);
+  /* Raw-text fallback for drugs the resolver does not know; the match must
+   * still read as an active mention. */
+  var findActiveTerm = function (term) {
+    var pos = findTermInNote(noteText, term);
+    return pos && drugMentionStatus(noteText, sections, pos).status === 'active' ? pos : null;
+  };
 
   detectedSymptoms.forEach(function (ds) {
     /* ── Gate 1: symptom must be contextually active ── */
@@ -1623,28 +4039,26 @@ function detectSymptomCascades(noteText, mentionByCanonical) {
     /* Find cause and treatment drugs and their positions */
     var foundCause = null; var causePos = null; var foundCauseMeta = null;
     for (var ci = 0; ci < causedBy.length; ci++) {
-      var cKey = normalizeDrugText(causedBy[ci]);
-      var cHit = mentionMap[cKey];
+      var cHit = findExampleMentions(mentionMap, causedBy[ci]);
       if (cHit && cHit.length) {
         foundCause = causedBy[ci];
         foundCauseMeta = cHit[0];
         causePos = { index: foundCauseMeta.start_index || 0, length: foundCauseMeta.mention.length };
         break;
       }
-      var cp = findTermInNote(noteText, causedBy[ci]);
+      var cp = findActiveTerm(causedBy[ci]);
       if (cp) { foundCause = causedBy[ci]; causePos = cp; break; }
     }
     var foundTreatment = null; var treatPos = null; var foundTreatmentMeta = null;
     for (var ti = 0; ti < treatedBy.length; ti++) {
-      var tKey = normalizeDrugText(treatedBy[ti]);
-      var tHit = mentionMap[tKey];
+      var tHit = findExampleMentions(mentionMap, treatedBy[ti]);
       if (tHit && tHit.length) {
         foundTreatment = treatedBy[ti];
         foundTreatmentMeta = tHit[0];
         treatPos = { index: foundTreatmentMeta.start_index || 0, length: foundTreatmentMeta.mention.length };
         break;
       }
-      var tp = findTermInNote(noteText, treatedBy[ti]);
+      var tp = findActiveTerm(treatedBy[ti]);
       if (tp) { foundTreatment = treatedBy[ti]; treatPos = tp; break; }
     }
     if (!foundCause || !foundTreatment) return;
@@ -1659,24 +4073,44 @@ function detectSymptomCascades(noteText, mentionByCanonical) {
     var confidence = 'medium';
     var rationaleLines = [];
 
-    /* Positive signals → upgrade */
-    var supportive = (timeCause.drugStartHint || timeCause.treatmentAddedHint) &&
-                     (timeSym.symptomNewHint  || timeTreat.treatmentAddedHint);
-    if (supportive) {
-      confidence = 'high';
-      rationaleLines.push('Supportive temporality: index drug started + new symptom/treatment noted.');
-    }
+    /* Dated chronology (cause drug ≤ symptom onset ≤ treatment) takes
+     * precedence over cue words when at least one pair of dates is known. */
+    var causeDate = foundCauseMeta && foundCauseMeta.start_date;
+    var treatDate = foundTreatmentMeta && foundTreatmentMeta.start_date;
+    var onsetDate = ds.onset_date;
+    var datedPairs = [];
+    if (causeDate && onsetDate) datedPairs.push([causeDate, onsetDate]);
+    if (onsetDate && treatDate) datedPairs.push([onsetDate, treatDate]);
+    if (!onsetDate && causeDate && treatDate) datedPairs.push([causeDate, treatDate]);
+
+    if (datedPairs.length) {
+      var inOrder = datedPairs.every(function (p) { return p[0] <= p[1]; });
+      confidence = inOrder ? 'high' : 'low';
+      rationaleLines.push(
+        (inOrder ? 'Dated chronology supports the cascade: ' : 'Dated chronology contradicts the cascade: ') +
+        'cause drug ' + (causeDate || '?') + ', symptom onset ' + (onsetDate || '?') +
+        ', treatment ' + (treatDate || '?') + '.'
+      );
+    } else {
+      /* Positive signals → upgrade */
+      var supportive = (timeCause.drugStartHint || timeCause.treatmentAddedHint) &&
+                       (timeSym.symptomNewHint  || timeTreat.treatmentAddedHint);
+      if (supportive) {
+        confidence = 'high';
+        rationaleLines.push('Supportive temporality: index drug started + new symptom/treatment noted.');
+      }
 
-    /* Chronic/pre-existing signal → downgrade */
-    var chronic = timeSym.chronicHint || timeTreat.chronicHint;
-    if (chronic) {
-      confidence = confidence === 'high' ? 'medium' : 'low';
-      rationaleLines.push('Possible pre-existing condition (chronic/long-term cue detected).');
-    }
+      /* Chronic/pre-existing signal → downgrade */
+      var chronic = timeSym.chronicHint || timeTreat.chronicHint;
+      if (chronic) {
+        confidence = confidence === 'high' ? 'medium' : 'low';
+        rationaleLines.push('Possible pre-existing condition (chronic/long-term cue detected).');
+      }
 
-    /* Unknown temporality — leave as-is, note it */
-    if (!supportive && !chronic) {
-      rationaleLines.push('Temporality unknown; confidence not adjusted.');
+      /* Unknown temporality — leave as-is, note it */
+      if (!supportive && !chronic) {
+        rationaleLines.push('Temporality unknown; confidence not adjusted.');
+      }
     }
 
     /* Capitalise first letter of symptom term for display */
@@ -1712,6 +4146,230 @@ function detectSymptomCascades(noteText, mentionByCanonical) {
   return signals;
 }
 
+/* ── Therapeutic plausibility (ade_treatment_map.json) ─────────────────────
+ * Third detection path beside drug_drug and symptom_bridge.  Catches treatment
+ * drugs that a cascade's cascade_drug_examples does not list: the ADE is found
+ * in the note, an active drug treats it (by name or by class) and an index
+ * drug of a cross-linked KB cascade is also present.
+ * ─────────────────────────────────────────────────────────────────────────── */
+var PLAUSIBILITY_WEIGHT_POINTS = { high: 2, medium: 1, low: 0 };
+
+/**
+ * Does a KB class label ("Loop diuretic", "Beta-blocker") designate a
+ * drug_dictionary.json class ("Loop Diuretic", "Beta Blocker / Alpha Blocker")?
+ * Compared per '/'-segment, hyphens folded to spaces, whole words only.
+ */
+function drugClassMatches(kbClass, drugClass) {
+  if (!kbClass || !drugClass) return false;
+  function fold(t) { return ' ' + normalizeDrugText(t).replace(/-/g, ' ').replace(/\s+/g, ' ').trim() + ' '; }
+  var target = fold(kbClass);
+  return normalizeDrugText(drugClass).split('/').some(function (seg) {
+    return fold(seg).indexOf(target) !== -1;
+  });
+}
+
+/**
+ * Does a cascade's ade_en/ade_es name any ADE term of an ade_treatment_map
+ * entry?  Whole-word containment ("edema" in "Ankle/leg edema").
+ */
+function cascadeADEMatches(cascade, atmEntry) {
+  var labels = [cascade.ade_en, cascade.ade_es].filter(Boolean).map(function (t) {
+    return ' ' + normalizeSymptomText(t).replace(/[^a-z0-9]+/g, ' ').trim() + ' ';
+  });
+  if (!labels.length) return false;
+  return [atmEntry.ade_en, atmEntry.ade_es]
+    .concat(atmEntry.ade_synonyms_en || [], atmEntry.ade_synonyms_es || [])
+    .filter(Boolean)
+    .some(function (t) {
+      var term = ' ' + normalizeSymptomText(t).replace(/[^a-z0-9]+/g, ' ').trim() + ' ';
+      return term.trim() && labels.some(function (l) { return l.indexOf(term) !== -1; });
+    });
+}
+
+/**
+ * Locate an active (non-negated) mention of an ade_treatment_map entry in the
+ * note: first via extractSymptoms() results whose term matches an ADE term,
+ * then by direct search of ade_en/ade_es and both synonym lists, then through
+ * an abnormal value in `labs` (extractLabValues()).
+ *
+ * @returns {{ term: string, index: number, length: number, lab?: Object }|null}
+ */
+function findADEInNote(noteText, atmEntry, detectedSymptoms, labs) {
+  var terms = [atmEntry.ade_en, atmEntry.ade_es]
+    .concat(atmEntry.ade_synonyms_en || [], atmEntry.ade_synonyms_es || [])
+    .filter(Boolean);
+  var normTerms = terms.map(normalizeSymptomText);
+
+  for (var si = 0; si < detectedSymptoms.length; si++) {
+    var ds = detectedSymptoms[si];
+    if (!ds || ds.active === false) continue;
+    if (normTerms.indexOf(normalizeSymptomText(ds.term)) !== -1 ||
+        normTerms.indexOf(normalizeSymptomText(ds.matched_term || '')) !== -1) {
+      return { term: ds.matched_term || ds.term, index: ds.startIndex || 0, length: (ds.matched_term || ds.term).length };
+    }
+  }
+
+  var normalizedNote = normalizeSymptomText(noteText);
+  var sections = segmentNoteSections(noteText);
+  for (var ti = 0; ti < terms.length; ti++) {
+    var pos = findTermInNote(noteText, terms[ti]) || findTermInNote(normalizedNote, normTerms[ti]);
+    if (!pos) continue;
+    if (sectionRule(sectionAt(sections, pos.index).section).symptomInactive) continue;
+    if (isNegatedSymptom(noteText, pos.index, pos.length).negated) continue;
+    return { term: terms[ti], index: pos.index, length: pos.length };
+  }
+
+  /* Last, a flagged lab value ("K+ 2,9") that evidences this ADE */
+  var lab = findLabADE(labs || [], terms);
+  return lab ? { term: lab.text, index: lab.span.start, length: lab.span.end - lab.span.start, lab: lab } : null;
+}
+
+/**
+ * Therapeutic-plausibility detection over ade_treatment_map.json.
+ * Fires when ALL THREE of these are present in `noteText`:
+ *   1. The ADE (ade_en/ade_es or a synonym), not negated
+ *   2. An active drug listed in treatment_drug_examples or belonging to one of
+ *      treatment_drug_classes
+ *   3. An index drug of a cross-linked cascade — a KB cascade whose
+ *      ade_en/ade_es names the ADE, source_cascade_ids tried first
+ *
+ * Pairs already covered by the linked cascade's own cascade_drug_examples are
+ * left to detectCascades().  Score = plausibility_weight points (high 2,
+ * medium 1) +1 treatment named explicitly, +1 supportive temporality,
+ * −1 chronic cue; ≥4 → high, 3 → medium, otherwise low.
+ *
+ * @param {string} noteText
+ * @param {Object} mentionByCanonical  normalized canonical → resolved mentions
+ * @returns {Array} Same signal shape as detectCascades(), plus ade_id,
+ *   linked_cascade_id, source_cascade_ids, plausibility_weight,
+ *   plausibility_score and treatment_match ('example' | 'class')
+ */
+function detectTherapeuticPlausibility(noteText, mentionByCanonical) {
+  if (!noteText || !noteText.trim()) return [];
+  var atmEntries = (state.kb.adeTreatmentMap && state.kb.adeTreatmentMap.ade_treatment_map) || [];
+  if (!atmEntries.length) return [];
+
+  var mentionMap = mentionByCanonical || {};
+  var mentions = [];
+  Object.keys(mentionMap).forEach(function (k) {
+    mentionMap[k].forEach(function (m) { if (mentions.indexOf(m) === -1) mentions.push(m); });
+  });
+  if (mentions.length < 2) return [];
+  var candidates = collectDDICandidates(mentions);
+
+  var detectedSymptoms = state.symptomsDetected.length && typeof state.symptomsDetected[0] !== 'string'
+    ? state.symptomsDetected
+    : extractSymptoms(noteText);
+  var labs = extractLabValues(noteText);
+
+  var allCascades = [].concat(
+    (state.kb.coreCascades && state.kb.coreCascades.cascades) || [],
+    (state.kb.vihModifiers && state.kb.vihModifiers.art_related_cascades) || []
+  );
+
+  var signals = [];
+
+  atmEntries.forEach(function (atm) {
+    var ade = findADEInNote(noteText, atm, detectedSymptoms, labs);
+    if (!ade) return;
+
+    /* Cross-linked cascades: source IDs first, then the rest of the KB.
+     * Either way the cascade's own ADE must name this ADE — several
+     * source_cascade_ids point at cascades with an unrelated ADE. */
+    var linked = (atm.source_cascade_ids || []).map(findCascadeEntry).filter(Boolean);
+    allCascades.forEach(function (c) {
+      if (linked.indexOf(c) === -1) linked.push(c);
+    });
+    linked = linked.filter(function (c) { return cascadeADEMatches(c, atm); });
+
+    var exampleKeys = (atm.treatment_drug_examples || []).map(normalizeDrugText);
+    var treatments = candidates.map(function (cand) {
+      if (exampleKeys.indexOf(cand.component) !== -1) return { cand: cand, match: 'example' };
+      var byClass = (atm.treatment_drug_classes || []).some(function (k) { return drugClassMatches(k, cand.drug_class); });
+      return byClass ? { cand: cand, match: 'class' } : null;
+    }).filter(Boolean);
+    if (!treatments.length) return;
+
+    linked.some(function (cascade) {
+      var foundIndex = null; var foundIndexMeta = null;
+      getIndexExamples(cascade).some(function (d) {
+        var hit = findExampleMentions(mentionMap, d);
+        if (hit && hit.length) { foundIndex = d; foundIndexMeta = hit[0]; return true; }
+        return false;
+      });
+      if (!foundIndex) return false;
+
+      var covered = getCascadeExamples(cascade).map(normalizeDrugText);
+      var indexKey = normalizeDrugText(foundIndexMeta.canonical);
+      var treatment = null;
+      treatments.some(function (t) {
+        if (t.cand.mention === foundIndexMeta || t.cand.component === indexKey) return false;
+        if (covered.indexOf(t.cand.component) !== -1 ||
+            covered.indexOf(normalizeDrugText(t.cand.mention.canonical)) !== -1) return false;
+        treatment = t;
+        return true;
+      });
+      if (!treatment) return false;
+
+      var timeAde   = detectTimeCues(noteText, ade.index);
+      var timeIndex = detectTimeCues(noteText, foundIndexMeta.start_index || 0);
+      var timeTreat = detectTimeCues(noteText, treatment.cand.mention.start_index || 0);
+      var supportive = (timeIndex.drugStartHint || timeAde.symptomNewHint) &&
+                       (timeAde.symptomNewHint || timeTreat.treatmentAddedHint);
+      var chronic = timeAde.chronicHint || timeTreat.chronicHint;
+
+      var weight = String(atm.plausibility_weight || 'medium').toLowerCase();
+      var score = (PLAUSIBILITY_WEIGHT_POINTS[weight] || 0) +
+                  (treatment.match === 'example' ? 1 : 0) +
+                  (supportive ? 1 : 0) -
+                  (chronic ? 1 : 0);
+      var confidence = score >= 4 ? 'high' : score === 3 ? 'medium' : 'low';
+
+      var rationaleLines = [
+        'ADE "' + ade.term + '" (' + atm.ade_id + ') treated with ' + treatment.cand.component +
+          (treatment.match === 'class' ? ' (class match).' : '.'),
+        'Index drug from ' + cascade.id + '.'
+      ];
+      if (supportive) rationaleLines.push('Supportive temporality.');
+      if (chronic)    rationaleLines.push('Possible pre-existing condition (chronic/long-term cue detected).');
+
+      var treatmentName = treatment.cand.component;
+      signals.push({
+        cascade_id:      atm.ade_id + ':' + foundIndex + ':' + treatmentName,
+        cascade_name:    foundIndex + ' \u2192 ' + (atm.ade_en || ade.term) + ' \u2192 ' + treatmentName,
+        cascade_name_es: foundIndex + ' \u2192 ' + (atm.ade_es || ade.term) + ' \u2192 ' + treatmentName,
+        index_drug:      foundIndex,
+        cascade_drug:    treatmentName,
+        signal_type:     'therapeutic_plausibility',
+        drug_resolution: { index: foundIndexMeta, cascade: treatment.cand.mention },
+        confidence:      confidence,
+        risk_focus:      cascade.risk_focus || [],
+        ade_en:          atm.ade_en || '',
+        ade_es:          atm.ade_es || '',
+        appropriateness: cascade.appropriateness || '',
+        ddi_warning:     '',
+        clinical_hint:   cascade.clinical_note_en || cascade.recommended_first_action_en || '',
+        clinical_hint_es: cascade.clinical_note_es || cascade.recommended_first_action_es || '',
+        ade_id:              atm.ade_id,
+        linked_cascade_id:   cascade.id,
+        source_cascade_ids:  atm.source_cascade_ids || [],
+        plausibility_weight: weight,
+        plausibility_score:  score,
+        treatment_match:     treatment.match,
+        rationale: {
+          symptomActive: true,
+          matchedAde:    ade.term,
+          timeHints: { ade: timeAde, indexDrug: timeIndex, treatDrug: timeTreat },
+          explanation:   rationaleLines.join(' ')
+        }
+      });
+      return true;
+    });
+  });
+
+  return signals;
+}
+
 /**
  * Cached wrapper around detectCascades().
  * Returns the cached result if the note hasn't changed; otherwise calls
@@ -1722,20 +4380,582 @@ function getDetectedCascades(noteText) {
   if (!state.detectedCascades) {
     state.detectedCascades = detectCascades(noteText);
   }
-  return state.detectedCascades;
-}
+  return state.detectedCascades;
+}
+
+/* DDI findings derive from the same note + KB inputs as cascades, so a single
+ * invalidation point keeps both caches in step. */
+function invalidateDetectedCascades() {
+  state.detectedCascades = null;
+  state.detectedDDIs = null;
+}
+
+function invalidateDrugResolver() {
+  state.drugResolver = null;
+}
+
+/* ============================================================
+   EVIDENCE SPANS
+   The note text each finding rests on, as character spans:
+   index drug, ADE/symptom, cascade drug, time cues and
+   clinical modifiers.  Rendered by renderEvidenceNote().
+   ============================================================ */
+
+/* Drawing order when spans overlap: earlier kinds win */
+var EVIDENCE_KINDS = ['index_drug', 'cascade_drug', 'drug', 'ade', 'lab', 'modifier', 'time_cue'];
+
+/* Note span of the signal's ADE: the detected symptom when there is one, then
+ * a lab value that evidences it, otherwise the first part of the KB ADE
+ * wording found verbatim. */
+function findSignalADESpan(noteText, signal) {
+  var symptoms = (state.symptomsDetected || []).filter(function (s) { return s && s.active !== false; });
+  if (signal.signal_type === 'symptom_bridge') {
+    var symId = String(signal.cascade_id).split(':')[0];
+    var ds = symptoms.find(function (s) { return s.id === symId; });
+    return ds || null;
+  }
+  if (signal.signal_type === 'therapeutic_plausibility' && signal.rationale && signal.rationale.matchedAde) {
+    var pos = findTermInNote(noteText, signal.rationale.matchedAde);
+    return pos ? { span: textSpan(pos.index, pos.length) } : null;
+  }
+  var ade = normalizeSymptomText(signal.ade_en || '');
+  var hit = ade && symptoms.find(function (s) { return normalizeSymptomText(s.term) === ade; });
+  if (hit) return hit;
+  var lab = findLabADE(extractLabValues(noteText), [signal.ade_en, signal.ade_es]);
+  if (lab) return lab;
+  var parts = [signal.ade_es, signal.ade_en].join(',').split(/[,;\/()]/);
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i].trim();
+    if (part.length < 4) continue;
+    var p = findTermInNote(noteText, part);
+    if (p) return { span: textSpan(p.index, p.length) };
+  }
+  return null;
+}
+
+/**
+ * Evidence spans of one signal, sorted by position.  Time cues are the dates
+ * next to the drugs and the ADE when the pair is dated, otherwise the cue
+ * words detectTimeCues() reads around them (as detectDrugPairTemporality does).
+ *
+ * @param {string} noteText
+ * @param {Object} signal     detectCascades() signal
+ * @param {Array}  modifiers  detectClinicalContextModifiers() output
+ * @returns {Array<{ kind: string, start: number, end: number, text: string }>}
+ */
+function buildEvidenceSpans(noteText, signal, modifiers) {
+  var spans = [];
+  function add(kind, span) {
+    if (!span || span.end <= span.start) return;
+    if (spans.some(function (s) { return s.kind === kind && s.start === span.start; })) return;
+    spans.push({ kind: kind, start: span.start, end: span.end, text: noteText.slice(span.start, span.end) });
+  }
+  function drugSpan(meta, name) {
+    if (meta && meta.span) return meta.span;
+    var pos = name ? findTermInNote(noteText, name) : null;
+    return pos ? textSpan(pos.index, pos.length) : null;
+  }
+
+  var res = signal.drug_resolution || {};
+  var idxSpan = drugSpan(res.index, signal.index_drug);
+  var casSpan = drugSpan(res.cascade, signal.cascade_drug);
+  var ade = findSignalADESpan(noteText, signal);
+  add('index_drug', idxSpan);
+  add('cascade_drug', casSpan);
+  add('ade', ade && ade.span);
+
+  if (res.index && res.index.start_date_span && res.cascade && res.cascade.start_date_span) {
+    add('time_cue', res.index.start_date_span);
+    add('time_cue', res.cascade.start_date_span);
+    add('time_cue', ade && ade.onset_date_span);
+  } else {
+    [idxSpan, ade && ade.span, casSpan].forEach(function (anchor) {
+      if (anchor) detectTimeCues(noteText, anchor.start).spans.forEach(function (sp) { add('time_cue', sp); });
+    });
+  }
+
+  (signal.clinical_modifiers || []).forEach(function (id) {
+    var mod = (modifiers || []).find(function (m) { return m.id === id; });
+    add('modifier', mod && mod.span);
+  });
+
+  return spans.sort(function (a, b) { return a.start - b.start; });
+}
+
+/* ============================================================
+   CASCADE CHAINS
+   Links single signals into multi-hop chains where one signal's
+   cascade drug is the index drug of the next, e.g.
+   NSAID -> amlodipine -> furosemide -> potassium.  The root drug
+   (no incoming link) is where a deprescribing review starts.
+   ============================================================ */
+
+/* Longest chain followed, in links; keeps the path walk bounded */
+var CHAIN_MAX_LINKS = 8;
+
+/* Resolved canonical for one side of a signal, or its normalized name */
+function signalDrugKey(signal, side) {
+  var meta = signal.drug_resolution && signal.drug_resolution[side];
+  return normalizeDrugText(meta && meta.canonical ? meta.canonical : signal[side + '_drug'] || '');
+}
+
+/* Is `shorter` (array of keys) an in-order subsequence of `longer`? */
+function isDrugSubsequence(shorter, longer) {
+  var j = 0;
+  for (var i = 0; i < longer.length && j < shorter.length; i++) {
+    if (longer[i] === shorter[j]) j++;
+  }
+  return j === shorter.length;
+}
+
+/**
+ * Chains of two or more signals, walked from every root drug.  A chain that
+ * only skips steps of a longer one (NSAID -> furosemide beside NSAID ->
+ * amlodipine -> furosemide) is dropped; cycles stop at the repeated drug.
+ * A signal whose start dates put the cascade drug before the index drug is
+ * not a link: the note's chronology contradicts that step.
+ *
+ * @param {Array} signals  Output of detectCascades()
+ * @returns {Array<{ chain_id: string, root_drug: string, drugs: string[],
+ *                   signals: Object[], length: number }>}
+ */
+function detectCascadeChains(signals) {
+  if (!signals || signals.length < 2) return [];
+
+  var outgoing = {};
+  var hasIncoming = {};
+  var edgeRank = function (sig) { return (sig.class_match ? 0 : 10) + confidenceRank(sig.confidence); };
+  signals.forEach(function (sig) {
+    var from = signalDrugKey(sig, 'index');
+    var to   = signalDrugKey(sig, 'cascade');
+    if (!from || !to || from === to) return;
+    var res = sig.drug_resolution || {};
+    var fromStart = res.index && res.index.start_date;
+    var toStart   = res.cascade && res.cascade.start_date;
+    if (fromStart && toStart && toStart < fromStart) return;   /* ISO dates */
+    var edges = outgoing[from] = outgoing[from] || [];
+    hasIncoming[to] = true;
+    /* Parallel links (CC072 and VIH001 both darunavir -> atorvastatin) make
+     * one edge: explicit examples over a class match, then confidence. */
+    for (var i = 0; i < edges.length; i++) {
+      if (signalDrugKey(edges[i], 'cascade') !== to) continue;
+      if (edgeRank(sig) > edgeRank(edges[i])) edges[i] = sig;
+      return;
+    }
+    edges.push(sig);
+  });
+
+  var paths = [];
+  function walk(key, path, visited) {
+    var next = (outgoing[key] || []).filter(function (sig) {
+      return !visited[signalDrugKey(sig, 'cascade')];
+    });
+    if (!next.length || path.length >= CHAIN_MAX_LINKS) {
+      if (path.length >= 2) paths.push(path);
+      return;
+    }
+    next.forEach(function (sig) {
+      var to = signalDrugKey(sig, 'cascade');
+      var seen = Object.create(null);
+      Object.keys(visited).forEach(function (k) { seen[k] = true; });
+      seen[to] = true;
+      walk(to, path.concat([sig]), seen);
+    });
+  }
+  Object.keys(outgoing).forEach(function (key) {
+    if (hasIncoming[key]) return;
+    var visited = Object.create(null);
+    visited[key] = true;
+    walk(key, [], visited);
+  });
+
+  var keyed = paths.map(function (path) {
+    return {
+      path: path,
+      keys: [signalDrugKey(path[0], 'index')].concat(path.map(function (sig) {
+        return signalDrugKey(sig, 'cascade');
+      }))
+    };
+  });
+
+  var chains = keyed.filter(function (k) {
+    return !keyed.some(function (other) {
+      return other.path.length > k.path.length && isDrugSubsequence(k.keys, other.keys);
+    });
+  }).map(function (k) {
+    return {
+      chain_id:  k.keys.join(' > '),
+      root_drug: k.path[0].index_drug,
+      drugs:     [k.path[0].index_drug].concat(k.path.map(function (sig) { return sig.cascade_drug; })),
+      signals:   k.path,
+      length:    k.path.length
+    };
+  });
+  chains.sort(function (a, b) { return b.length - a.length; });
+  return chains;
+}
+
+/* ============================================================
+   DDI WATCHLIST ENGINE
+   Matches ddi_watchlist.json interactions against the drugs
+   resolved in the note.  DDIs are never suppressed or merged
+   (pipeline_spec_v1.0.md §4); CONTRAINDICATED pairs are ranked
+   first on every surface.
+   ============================================================ */
+
+/* ── DDI class terms ───────────────────────────────────────────────────────
+ * drug_a / drug_b strings in the watchlist mix drug names with class labels
+ * ("Ritonavir / Cobicistat (PI boosters)", "Proton pump inhibitors / H2
+ * blockers").  Drug names resolve through the drug resolver; class labels are
+ * mapped here to whole-word terms of one part of the drug_dictionary.json
+ * `drug_class` field (see drugClassParts()).
+ * Keys are normalizeDrugText() forms of the KB wording.
+ * ─────────────────────────────────────────────────────────────────────────── */
+var DDI_CLASS_TERMS = {
+  'pi boosters':                 ['booster'],
+  'boosted regimens':            ['booster'],
+  'boosted pis':                 ['booster'],
+  'pi/r':                        ['booster'],
+  'insti':                       ['insti'],
+  'nnrti':                       ['nnrti'],
+  'nnrtis':                      ['nnrti'],
+  'any arv regimen':             ['antiretroviral'],
+  'pde5 inhibitors':             ['pde5'],
+  'direct oral anticoagulants':  ['doac'],
+  'nsaids':                      ['nsaid'],
+  'aminoglycosides':             ['aminoglycoside'],
+  'macrolides':                  ['macrolide'],
+  'fluoroquinolones':            ['fluoroquinolone'],
+  'antifungals':                 ['antifungal'],
+  'triazole antifungals':        ['azole'],
+  'antipsychotics':              ['antipsychotic'],
+  'tca':                         ['tricyclic'],
+  'proton pump inhibitors':      ['proton pump inhibitor'],
+  'h2 blockers':                 ['h2 blocker'],
+  'aluminium antacids':          ['antacid'],
+  'oral contraceptives':         ['contraceptive'],
+  'hormonal implants':           ['contraceptive'],
+  'combined oral contraceptive': ['contraceptive']
+};
+
+var DDI_SEVERITY_ORDER = ['CONTRAINDICATED', 'MAJOR', 'MODERATE', 'MINOR'];
+
+function ddiSeverityRank(severity) {
+  var idx = DDI_SEVERITY_ORDER.indexOf(String(severity || '').toUpperCase());
+  return idx === -1 ? 0 : DDI_SEVERITY_ORDER.length - idx;
+}
+
+/**
+ * Split a watchlist drug_a / drug_b string into normalised match terms.
+ *
+ * Spaced slashes separate alternatives ("Ritonavir / Cobicistat"); unspaced
+ * slashes are kept because they name a co-formulated product
+ * ("Lopinavir/ritonavir").  Parenthetical content is split on commas and
+ * added as extra terms so examples such as "(omeprazole, pantoprazole)" and
+ * class labels such as "(PI boosters)" are both considered.
+ *
+ * @param {string} label  e.g. "Ritonavir / Cobicistat (PI boosters)"
+ * @returns {string[]}
+ */
+function parseDDITerms(label) {
+  var terms = [];
+  var raw = String(label || '');
+  var parens = [];
+  var outer = raw.replace(/\(([^)]*)\)/g, function (_, inner) {
+    parens.push(inner);
+    return ' ';
+  });
+
+  outer.split(/\s+\/\s+/).forEach(function (part) { terms.push(part); });
+  parens.forEach(function (inner) {
+    inner.split(',').forEach(function (part) { terms.push(part); });
+  });
+
+  return terms
+    .map(function (t) { return normalizeDrugText(t); })
+    .filter(function (t, i, arr) { return t && arr.indexOf(t) === i; });
+}
+
+/**
+ * Split a combined class label ("Boosted PI / INSTI", "Antitubercular /
+ * Rifamycin (CYP3A4 inducer)") into its normalised parts.
+ */
+function drugClassParts(drugClass) {
+  return String(drugClass || '').split(/[\/+()]/)
+    .map(function (part) { return normalizeDrugText(part); })
+    .filter(Boolean);
+}
+
+/**
+ * Does watchlist term `term` designate the drug `component`?
+ * Matches by resolver variant, by whole-word containment ("calcium" ↔
+ * "calcium carbonate", "systemic dexamethasone" ↔ "dexamethasone") and by
+ * DDI_CLASS_TERMS, as whole words, against a part of the component's
+ * dictionary class.
+ */
+function ddiTermMatchesDrug(term, component, drugClass, resolver) {
+  if (term === component) return true;
+
+  var meta = resolver.byVariant[term];
+  if (meta && normalizeDrugText(meta.canonical) === component) return true;
+
+  var paddedTerm = ' ' + term + ' ';
+  var paddedComp = ' ' + component + ' ';
+  if (paddedTerm.indexOf(paddedComp) !== -1 || paddedComp.indexOf(paddedTerm) !== -1) return true;
+
+  var classKeys = DDI_CLASS_TERMS[term];
+  if (classKeys && drugClass) {
+    var parts = drugClassParts(drugClass);
+    return classKeys.some(function (k) {
+      return parts.some(function (part) { return (' ' + part + ' ').indexOf(' ' + k + ' ') !== -1; });
+    });
+  }
+  return false;
+}
+
+/**
+ * Expand resolved mentions into individual drug components.
+ * A co-formulated canonical ("darunavir/cobicistat") contributes the product
+ * itself plus each component, so a booster inside a combination still meets
+ * booster interactions.  Fixed-dose combination mentions already arrive one
+ * per component; their product ("lopinavir/ritonavir") is added as well.
+ *
+ * @returns {Array<{ component: string, drug_class: string, mention: Object }>}
+ */
+function collectDDICandidates(mentions) {
+  var dictClass = {};
+  ((state.kb.drugDictionary && state.kb.drugDictionary.entries) || []).forEach(function (e) {
+    if (e.canonical) dictClass[normalizeDrugText(e.canonical)] = e.drug_class || '';
+  });
+
+  var candidates = [];
+  var seen = {};
+  function add(component, mention) {
+    var key = normalizeDrugText(component);
+    if (!key || seen[key]) return;
+    seen[key] = true;
+    candidates.push({
+      component:  key,
+      drug_class: dictClass[key] || (key === normalizeDrugText(mention.canonical) ? mention.drug_class : '') || '',
+      mention:    mention
+    });
+  }
+
+  mentions.forEach(function (m) {
+    add(m.canonical, m);
+    if (m.canonical.indexOf('/') !== -1) {
+      m.canonical.split('/').forEach(function (part) { add(part.trim(), m); });
+    }
+    if (m.fdc_product) add(m.fdc_product, m);
+  });
+  return candidates;
+}
+
+/* Components of one fixed-dose combination mention are never paired as a DDI */
+function sameProductMention(a, b) {
+  return !!(a.fdc && a.fdc === b.fdc && a.start_index === b.start_index);
+}
+
+/**
+ * Run every ddi_watchlist.json interaction against the drugs in `noteText`.
+ * One finding per interaction ID and drug pair, so two statins against the
+ * same booster are both reported; the same drug never satisfies both sides
+ * of a pair.
+ *
+ * @param {string} noteText
+ * @returns {Array<{
+ *   ddi_id, severity, drug_a, drug_b, drug_a_label, drug_b_label,
+ *   drug_resolution: { a, b },
+ *   mechanism_en, mechanism_es, consequence_en, consequence_es,
+ *   management_en, management_es, cascade_relevance_en, cascade_relevance_es
+ * }>}  Sorted by severity (CONTRAINDICATED first), then ID, then note order.
+ */
+function detectDDIs(noteText) {
+  if (!noteText || !noteText.trim()) return [];
+  var interactions = (state.kb.ddiWatchlist && state.kb.ddiWatchlist.interactions) || [];
+  if (!interactions.length) return [];
+
+  var candidates = collectDDICandidates(resolveDrugMentions(noteText).filter(isActiveMention));
+  if (candidates.length < 2) return [];
+  var resolver = getDrugResolver();
+
+  function matchSide(terms) {
+    return candidates.filter(function (c) {
+      return terms.some(function (t) { return ddiTermMatchesDrug(t, c.component, c.drug_class, resolver); });
+    });
+  }
+
+  var findings = [];
+  interactions.forEach(function (ddi) {
+    var sideA = matchSide(parseDDITerms(ddi.drug_a));
+    if (!sideA.length) return;
+    var sideB = matchSide(parseDDITerms(ddi.drug_b));
+    if (!sideB.length) return;
+
+    /* Every drug pair, once: a product and its own component (same note
+     * position), or a second mention of the same drugs, add no new finding */
+    var pairs = [];
+    var seenPairs = {};
+    sideA.forEach(function (a) {
+      sideB.forEach(function (b) {
+        if (a.mention === b.mention || a.component === b.component || sameProductMention(a.mention, b.mention)) return;
+        var byDrugs    = [a.component, b.component].sort().join('|');
+        var byMentions = [a.mention.start_index, b.mention.start_index].sort().join('|');
+        if (seenPairs[byDrugs] || seenPairs[byMentions]) return;
+        seenPairs[byDrugs] = seenPairs[byMentions] = true;
+        pairs.push({ a: a, b: b });
+      });
+    });
+
+    pairs.forEach(function (pair) {
+      findings.push({
+        ddi_id:               ddi.id,
+        severity:             String(ddi.severity || '').toUpperCase(),
+        drug_a:               pair.a.component,
+        drug_b:               pair.b.component,
+        drug_a_label:         ddi.drug_a,
+        drug_b_label:         ddi.drug_b,
+        drug_resolution:      { a: pair.a.mention, b: pair.b.mention },
+        mechanism_en:         ddi.mechanism_en || '',
+        mechanism_es:         ddi.mechanism_es || '',
+        consequence_en:       ddi.consequence_en || '',
+        consequence_es:       ddi.consequence_es || '',
+        management_en:        ddi.management_en || '',
+        management_es:        ddi.management_es || '',
+        cascade_relevance_en: ddi.cascade_relevance_en || '',
+        cascade_relevance_es: ddi.cascade_relevance_es || ''
+      });
+    });
+  });
+
+  findings.sort(function (x, y) {
+    var bySeverity = ddiSeverityRank(y.severity) - ddiSeverityRank(x.severity);
+    if (bySeverity !== 0) return bySeverity;
+    return x.ddi_id < y.ddi_id ? -1 : x.ddi_id > y.ddi_id ? 1 : 0;
+  });
+  return findings;
+}
+
+/**
+ * Cached wrapper around detectDDIs(); cleared by invalidateDetectedCascades().
+ */
+function getDetectedDDIs(noteText) {
+  if (!state.detectedDDIs) {
+    state.detectedDDIs = detectDDIs(noteText);
+  }
+  return state.detectedDDIs;
+}
+
+/* ============================================================
+   SAFER ALTERNATIVES — kb_safer_alternatives.json
+   Preferred substitutes for the drug behind a cascade or a DDI.
+   Each suggestion is checked against the patient's other active
+   drugs with the same watchlist matching as detectDDIs().
+   ============================================================ */
+
+/**
+ * Watchlist interactions the drug `altDrug` would have with the active drugs
+ * in `noteText` once `replacedDrug` is withdrawn.
+ *
+ * @returns {{ already_prescribed: boolean,
+ *             ddis: Array<{ ddi_id: string, severity: string, partner: string }> }}
+ */
+function checkAlternativeDDIs(altDrug, replacedDrug, noteText) {
+  var resolver = getDrugResolver();
+  var meta = resolver.byVariant[normalizeDrugText(altDrug)];
+  var altMention = { canonical: meta ? meta.canonical : altDrug, drug_class: meta ? meta.drug_class : '' };
+  var altKey = normalizeDrugText(altMention.canonical);
+  var replacedKey = normalizeDrugText(replacedDrug);
+
+  var others = resolveDrugMentions(noteText || '').filter(function (m) {
+    return isActiveMention(m) && normalizeDrugText(m.canonical) !== replacedKey;
+  });
+  var alreadyPrescribed = others.some(function (m) { return normalizeDrugText(m.canonical) === altKey; });
+  var altCandidates = collectDDICandidates([altMention]);
+  var otherCandidates = collectDDICandidates(others).filter(function (c) {
+    return !altCandidates.some(function (a) { return a.component === c.component; });
+  });
+
+  function matches(terms, candidate) {
+    return terms.some(function (t) { return ddiTermMatchesDrug(t, candidate.component, candidate.drug_class, resolver); });
+  }
 
-function invalidateDetectedCascades() {
-  state.detectedCascades = null;
+  var ddis = [];
+  ((state.kb.ddiWatchlist && state.kb.ddiWatchlist.interactions) || []).forEach(function (ddi) {
+    var termsA = parseDDITerms(ddi.drug_a);
+    var termsB = parseDDITerms(ddi.drug_b);
+    var partner = null;
+    altCandidates.some(function (alt) {
+      var otherTerms = matches(termsA, alt) ? termsB : matches(termsB, alt) ? termsA : null;
+      if (!otherTerms) return false;
+      partner = otherCandidates.find(function (c) { return matches(otherTerms, c); }) || null;
+      return !!partner;
+    });
+    if (partner) {
+      ddis.push({ ddi_id: ddi.id, severity: String(ddi.severity || '').toUpperCase(), partner: partner.component });
+    }
+  });
+  ddis.sort(function (x, y) { return ddiSeverityRank(y.severity) - ddiSeverityRank(x.severity); });
+  return { already_prescribed: alreadyPrescribed, ddis: ddis };
 }
 
-function invalidateDrugResolver() {
-  state.drugResolver = null;
+/**
+ * Safer alternatives for one cascade or DDI.  An entry applies when its
+ * `applies_to` names the cascade id or the DDI id and one of `drugs` falls
+ * under its `replaces` (listed drug names, or class taxonomy ids including
+ * ancestor classes).  Each alternative carries its interaction check.
+ *
+ * @param {{ cascade_id?: string, ddi_id?: string, drugs: string[] }} target
+ * @param {string} noteText
+ * @returns {Array<{ id, name, replaces, reason, references,
+ *                   alternatives: Array<{ drug, note, already_prescribed, ddis }> }>}
+ */
+function getSaferAlternatives(target, noteText) {
+  var entries = (state.kb.saferAlternatives && state.kb.saferAlternatives.safer_alternatives) || [];
+  if (!entries.length || !target) return [];
+  var taxonomy = getClassTaxonomy();
+  var drugs = (target.drugs || []).filter(hasText);
+
+  var result = [];
+  entries.forEach(function (entry) {
+    var scope = entry.applies_to || {};
+    var inScope = (target.cascade_id && (scope.cascade_ids || []).indexOf(target.cascade_id) !== -1) ||
+                  (target.ddi_id && (scope.ddi_ids || []).indexOf(target.ddi_id) !== -1);
+    if (!inScope) return;
+
+    var replaces = entry.replaces || {};
+    var listed = (replaces.drugs || []).map(normalizeDrugText);
+    var replaced = drugs.find(function (d) {
+      if (listed.indexOf(normalizeDrugText(d)) !== -1) return true;
+      var nodes = mentionClassNodes(taxonomy, { canonical: d });
+      return (replaces.drug_classes || []).some(function (c) { return nodes.indexOf(c) !== -1; });
+    });
+    if (!replaced) return;
+
+    result.push({
+      id:         entry.id,
+      name:       getLocalizedField(entry, 'name', currentLanguage),
+      replaces:   replaced,
+      reason:     getLocalizedField(entry, 'reason', currentLanguage),
+      references: entry.references || [],
+      alternatives: (entry.alternatives || []).map(function (alt) {
+        var check = checkAlternativeDDIs(alt.drug, replaced, noteText);
+        return {
+          drug:               alt.drug,
+          note:               getLocalizedField(alt, 'note', currentLanguage),
+          already_prescribed: check.already_prescribed,
+          ddis:               check.ddis
+        };
+      })
+    });
+  });
+  return result;
 }
 
 /**
  * Scan `noteText` for any drug name present in the KB (both index and cascade
- * drug examples across all loaded cascade entries).
+ * drug examples across all loaded cascade entries).  Only drugs with at least
+ * one active mention are returned (see getInactiveDrugMentions()).
  *
  * @param {string} noteText
  * @returns {string[]} Unique drug names found (in KB casing)
@@ -1746,7 +4966,7 @@ function extractDrugs(noteText) {
   var seen   = {};
   var result = [];
 
-  resolveDrugMentions(noteText).forEach(function (mention) {
+  resolveDrugMentions(noteText).filter(isActiveMention).forEach(function (mention) {
     var canonical = mention.canonical;
     var key = normalizeDrugText(canonical);
     if (!seen[key]) {
@@ -1850,6 +5070,8 @@ function extractSymptoms(noteText) {
 
   /* Build synonym → canonical term map for ADE label resolution */
   var synonymMap = buildSynonymMap(symptoms);
+  var refDate = noteReferenceDate(noteText);
+  var sections = segmentNoteSections(noteText);
 
   var detected = [];
 
@@ -1883,12 +5105,26 @@ function extractSymptoms(noteText) {
     }
     if (!matchResult) return; /* term not in note at all */
 
+    /* A match under a heading that is not about the patient (family history)
+     * gives way to a later occurrence outside that section, if any. */
+    var section = sectionAt(sections, matchResult.index);
+    while (sectionRule(section.section).symptomInactive) {
+      var rest = findTermInNote(noteText.slice(section.end), matchedTerm) ||
+                 findTermInNote(normalizedNote.slice(section.end), normalizeSymptomText(matchedTerm));
+      if (!rest) break;
+      matchResult = { index: section.end + rest.index, length: rest.length };
+      section = sectionAt(sections, matchResult.index);
+    }
+
     /* Negation / historical context check (always on original noteText) */
-    var negCheck = isNegatedSymptom(noteText, matchResult.index, matchResult.length);
+    var negCheck = sectionRule(section.section).symptomInactive
+      ? { negated: true, reason: 'section: "' + section.heading + '"' }
+      : isNegatedSymptom(noteText, matchResult.index, matchResult.length);
 
     /* Map matched expression → canonical ADE label via synonymMap.
      * Falls back to sym.term (which is always correct) if not found. */
     var canonicalTerm = synonymMap[normalizeSymptomText(matchedTerm)] || sym.term;
+    var onset = findMentionDate(noteText, matchResult.index, matchResult.length, refDate, null);
 
     detected.push({
       id:                sym.id,
@@ -1899,7 +5135,12 @@ function extractSymptoms(noteText) {
       /* reliability fields */
       active:            !negCheck.negated,
       reason:            negCheck.reason,
-      startIndex:        matchResult.index
+      startIndex:        matchResult.index,
+      span:              textSpan(matchResult.index, matchResult.length),
+      section:           section.section,
+      onset_date:        onset ? isoDay(onset.date) : null,
+      onset_date_text:   onset ? onset.text : '',
+      onset_date_span:   onset ? textSpan(onset.index, onset.text.length) : null
     });
   });
 
@@ -1909,24 +5150,25 @@ function extractSymptoms(noteText) {
 }
 
 /**
- * Map an array of drug names to their canonical drug classes using the KB.
+ * Map an array of drug names to their drug classes.
  *
- * Two-pass priority: index-drug roles are resolved first (a drug acting as a
- * cascade trigger is labelled with its index class), then cascade-drug roles
- * fill in any drug not yet mapped.  This ensures, e.g., that amlodipine is
- * labelled "Calcium channel blocker" (its index role in CC004) rather than
- * the less specific "Antihypertensive" it receives as a cascade drug in CC001.
+ * A drug in drug_dictionary.json takes its class from there, together with
+ * its ATC codes and the ATC hierarchy above the first one.  Any other drug
+ * falls back to the KB cascade labels in two passes: index-drug roles are
+ * resolved first (a drug acting as a cascade trigger is labelled with its
+ * index class), then cascade-drug roles fill in any drug not yet mapped.
  *
  * Handles both KB field-name variants:
  *   index_drug_classes  (array)  — kb_core_cascades.json
  *   index_drug_class    (string) — kb_vih_modifiers.json
  *
  * @param {string[]} drugs  Output of extractDrugs()
- * @returns {Array<{drug: string, class: string}>} One entry per input drug
+ * @returns {Array<{drug: string, class: string, atc: string[], atc_path: Array, acb_score: number, risk_tags: string[], qt_risk: string|null}>} One entry per input drug
  */
 function normalizeDrugs(drugs) {
   if (!drugs || !drugs.length) return [];
 
+  var taxonomy = getClassTaxonomy();
   var drugToClass = {};   // key: drug.toLowerCase() → first canonical class string
 
   var allCascades = [].concat(
@@ -1959,9 +5201,15 @@ function normalizeDrugs(drugs) {
   });
 
   return drugs.map(function (drug) {
+    var atc = drugAtcCodes(drug);
     return {
-      drug:  drug,
-      class: drugToClass[drug.toLowerCase()] || ''
+      drug:     drug,
+      class:    taxonomy.dictClass[normalizeDrugText(drug)] || drugToClass[drug.toLowerCase()] || '',
+      atc:      atc,
+      atc_path: atc.length ? atcPath(atc[0]) : [],
+      acb_score: drugAcbScore(drug),
+      risk_tags: drugRiskTags(drug),
+      qt_risk:   (drugQtRisk(drug) || {}).category || null
     };
   });
 }
@@ -1990,8 +5238,13 @@ function findCascadeEntry(cascadeId) {
  * directly, so we search for an entry whose index_drug_examples contains
  * the signal's index_drug AND whose cascade_drug_examples contains the
  * signal's cascade_drug.
+ * For therapeutic_plausibility signals: the cross-linked cascade recorded at
+ * detection time (linked_cascade_id).
  */
 function findCascadeEntryForSignal(signal) {
+  if (signal.signal_type === 'therapeutic_plausibility') {
+    return signal.linked_cascade_id ? findCascadeEntry(signal.linked_cascade_id) : null;
+  }
   if (signal.signal_type !== 'symptom_bridge') {
     return findCascadeEntry(signal.cascade_id);
   }
@@ -2015,20 +5268,426 @@ function findCascadeEntryForSignal(signal) {
 
 /* ============================================================
    Step 5 — clinician classification handler
-   Called via inline onclick: classifyCascade(id, value)
+   Called via inline onclick: classifyCascade(reviewKey, value)
    value: 'confirmed' | 'possible' | 'not_cascade'
    ============================================================ */
-window.classifyCascade = function (cascadeId, value) {
-  if (state.cascadeClassifications[cascadeId] === value) {
+
+/* Key of a signal's review in state.cascadeClassifications: one KB cascade
+ * can match several drug pairs, so the id alone would share their review */
+function signalReviewKey(signal) {
+  return signal.cascade_id + '|' + signalDrugKey(signal, 'index') + '|' + signalDrugKey(signal, 'cascade');
+}
+
+window.classifyCascade = function (reviewKey, value) {
+  if (state.cascadeClassifications[reviewKey] === value) {
     /* clicking the active button again clears it */
-    delete state.cascadeClassifications[cascadeId];
+    delete state.cascadeClassifications[reviewKey];
   } else {
-    state.cascadeClassifications[cascadeId] = value;
+    state.cascadeClassifications[reviewKey] = value;
   }
   saveState();
   renderStepContent(5);
 };
 
+/* ============================================================
+   Step 3 — ATC grouping level
+   Called via inline onclick: setAtcGroupLevel(level)
+   ============================================================ */
+window.setAtcGroupLevel = function (level) {
+  state.atcGroupLevel = level;
+  renderStepContent(3);
+};
+
+/* ============================================================
+   Step 2 — fuzzy drug match review
+   Called via inline onclick: reviewDrugMatch(word, value)
+   value: 'accepted' | 'rejected'
+   ============================================================ */
+window.reviewDrugMatch = function (word, value) {
+  if (state.drugMatchReviews[word] === value) {
+    /* clicking the active button again returns it to pending */
+    delete state.drugMatchReviews[word];
+  } else {
+    state.drugMatchReviews[word] = value;
+  }
+  invalidateDetectedCascades();
+  saveState();
+  renderStepContent(2);
+};
+
+/* ============================================================
+   Evidence highlighting — shared by Steps 2, 4 and 6
+   Called via inline onclick: focusEvidence(id) / focusEvidence(null)
+   ============================================================ */
+var EVIDENCE_STYLE = {
+  index_drug:   { bg: '#d6eaf8', border: '#2e86c1' },
+  cascade_drug: { bg: '#d5f5e3', border: '#229954' },
+  drug:         { bg: '#e8eaf6', border: '#5c6bc0' },
+  ade:          { bg: '#fcf3cf', border: '#d4ac0d' },
+  lab:          { bg: '#d1f2eb', border: '#17a589' },
+  modifier:     { bg: '#ebdef0', border: '#8e44ad' },
+  time_cue:     { bg: '#fdebd0', border: '#ca6f1e' }
+};
+
+window.focusEvidence = function (id) {
+  state.evidenceFocus = id;
+  renderStepContent(state.step);
+  var mark = document.getElementById('evidence-first') || document.getElementById('evidence-note');
+  if (mark && mark.scrollIntoView) mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+/**
+ * The note as text with each span highlighted by kind.  Where spans overlap
+ * the kind listed first in EVIDENCE_KINDS is drawn; the first highlight gets
+ * id "evidence-first" for focusEvidence() to scroll to.
+ *
+ * @param {string} noteText
+ * @param {Array<{kind: string, start: number, end: number}>} spans
+ * @param {string} [scopeLabel]  Shown beside the title (HTML)
+ */
+function renderEvidenceNote(noteText, spans, scopeLabel) {
+  var cuts = [0, noteText.length];
+  spans.forEach(function (sp) { cuts.push(sp.start, sp.end); });
+  cuts = cuts.filter(function (c, i) { return cuts.indexOf(c) === i && c <= noteText.length; })
+    .sort(function (a, b) { return a - b; });
+
+  var body = '';
+  var first = true;
+  for (var i = 0; i < cuts.length - 1; i++) {
+    var a = cuts[i];
+    var b = cuts[i + 1];
+    var kind = null;
+    spans.forEach(function (sp) {
+      if (sp.start <= a && sp.end >= b &&
+          (kind === null || EVIDENCE_KINDS.indexOf(sp.kind) < EVIDENCE_KINDS.indexOf(kind))) {
+        kind = sp.kind;
+      }
+    });
+    var text = escHtml(noteText.slice(a, b));
+    if (!kind) { body += text; continue; }
+    var style = EVIDENCE_STYLE[kind];
+    body += '<mark' + (first ? ' id="evidence-first"' : '') + ' title="' + tUI('ev_kind_' + kind) + '" ' +
+      'style="background:' + style.bg + ';border-bottom:2px solid ' + style.border + ';padding:0;color:inherit;">' +
+      text + '</mark>';
+    first = false;
+  }
+
+  var kinds = EVIDENCE_KINDS.filter(function (k) {
+    return spans.some(function (sp) { return sp.kind === k; });
+  });
+  var legend = kinds.map(function (k) {
+    var style = EVIDENCE_STYLE[k];
+    return '<span style="font-size:.72rem;background:' + style.bg + ';border-bottom:2px solid ' + style.border + ';' +
+      'padding:.05rem .35rem;">' + tUI('ev_kind_' + k) + '</span>';
+  }).join(' ');
+
+  return (
+    '<div style="margin:.4rem 0 .9rem;">' +
+      '<div style="display:flex;justify-content:space-between;align-items:baseline;gap:.5rem;flex-wrap:wrap;margin-bottom:.35rem;">' +
+        '<span style="font-size:.8rem;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:#888;">' +
+          tUI('evidence_title') + (scopeLabel ? ' <span style="text-transform:none;font-weight:400;">&mdash; ' + scopeLabel + '</span>' : '') +
+        '</span>' +
+        '<span>' + legend + '</span>' +
+      '</div>' +
+      '<div id="evidence-note" style="white-space:pre-wrap;font-family:ui-monospace,monospace;font-size:.78rem;' +
+        'line-height:1.55;max-height:20rem;overflow:auto;border:1px solid #d0d7de;border-radius:6px;' +
+        'padding:.65rem .8rem;background:#fafbfc;">' + body + '</div>' +
+    '</div>'
+  );
+}
+
+/**
+ * Evidence panel for Steps 4 and 6: the focused signal's spans, or every
+ * signal's when none is focused.  `signals` carry `id` and `evidence_spans`.
+ */
+function renderSignalEvidence(noteText, signals) {
+  var focused = signals.find(function (sig) { return sig.id === state.evidenceFocus; });
+  var spans = [];
+  (focused ? [focused] : signals).forEach(function (sig) {
+    spans = spans.concat(sig.evidence_spans || []);
+  });
+  var scope = focused
+    ? tUI('evidence_scope_signal', escHtml(focused.id)) +
+      ' <button onclick="focusEvidence(null)" style="font-size:.7rem;padding:.05rem .45rem;border-radius:3px;' +
+        'cursor:pointer;background:#f0f0f0;border:1px solid #ccc;color:#444;">' + tUI('btn_show_all_evidence') + '</button>'
+    : tUI('evidence_scope_all');
+  return renderEvidenceNote(noteText, spans, scope);
+}
+
+/* "Show evidence" button on a finding card */
+function evidenceButton(id) {
+  var isActive = state.evidenceFocus === id;
+  return (
+    '<button onclick="focusEvidence(\'' + id + '\')" ' +
+      'style="font-size:.72rem;padding:.12rem .5rem;border-radius:3px;cursor:pointer;font-weight:600;' +
+        'background:' + (isActive ? '#2e86c1' : '#fff') + ';color:' + (isActive ? '#fff' : '#2e86c1') + ';' +
+        'border:1px solid #2e86c1;">' +
+      tUI('btn_show_evidence') +
+    '</button>'
+  );
+}
+
+/* ============================================================
+   Priority score waterfall — Step 6
+   One row per scoring factor: its bar runs from the total before
+   the factor to the total after it, against the profile's
+   intermedia / alta thresholds.
+   ============================================================ */
+function renderPriorityWaterfall(breakdown, levelLabel) {
+  if (!breakdown || !breakdown.factors || !breakdown.factors.length) return '';
+  var th = breakdown.thresholds;
+  var totals = [0];
+  breakdown.factors.forEach(function (f) { totals.push(totals[totals.length - 1] + f.delta); });
+  var lo = Math.min.apply(null, totals.concat([0]));
+  var hi = Math.max.apply(null, totals.concat([th.alta + 1]));
+  var pct = function (v) { return ((v - lo) / (hi - lo) * 100).toFixed(1) + '%'; };
+  var marker = function (v, color) {
+    return '<div style="position:absolute;top:0;bottom:0;left:' + pct(v) + ';border-left:1px dashed ' + color + ';"></div>';
+  };
+  var track = function (content) {
+    return '<div style="position:relative;height:.9rem;background:#f6f8fa;border-radius:2px;">' +
+      marker(th.intermedia, '#e67e22') + marker(th.alta, '#c0392b') + content + '</div>';
+  };
+  var cell = 'padding:.16rem .4rem;vertical-align:middle;';
+
+  var rows = breakdown.factors.map(function (f, i) {
+    var from = totals[i];
+    var to = totals[i + 1];
+    var bar = f.delta
+      ? '<div style="position:absolute;top:.12rem;bottom:.12rem;left:' + pct(Math.min(from, to)) + ';' +
+          'width:' + pct(lo + Math.abs(f.delta)) + ';background:' + (f.delta > 0 ? '#27ae60' : '#e74c3c') + ';border-radius:2px;"></div>'
+      : '';
+    return (
+      '<tr>' +
+        '<td style="' + cell + '" title="' + escHtml(f.factor + ' \u2190 ' + f.source) + '">' + escHtml(f.label) + '</td>' +
+        '<td style="' + cell + 'width:40%;">' + track(bar) + '</td>' +
+        '<td style="' + cell + 'text-align:right;font-weight:700;color:' + (f.delta > 0 ? '#1e8449' : f.delta < 0 ? '#c0392b' : '#888') + ';">' +
+          (f.delta > 0 ? '+' : '') + f.delta + '</td>' +
+        '<td style="' + cell + 'text-align:right;color:#57606a;">' + to + '</td>' +
+      '</tr>'
+    );
+  }).join('');
+
+  var total = totals[totals.length - 1];
+  return (
+    '<details style="margin-top:.4rem;font-size:.8rem;">' +
+      '<summary style="cursor:pointer;color:#1a5276;font-weight:600;">' + tUI('why_priority') + '</summary>' +
+      '<table style="width:100%;border-collapse:collapse;margin-top:.35rem;">' +
+        rows +
+        '<tr style="border-top:1px solid #d0d7de;">' +
+          '<td style="' + cell + 'font-weight:700;">' + tUI('priority_total', escHtml(levelLabel)) + '</td>' +
+          '<td style="' + cell + '">' + track('<div style="position:absolute;top:.12rem;bottom:.12rem;left:' + pct(Math.min(0, total)) + ';' +
+            'width:' + pct(lo + Math.abs(total)) + ';background:#2c3e50;border-radius:2px;"></div>') + '</td>' +
+          '<td></td>' +
+          '<td style="' + cell + 'text-align:right;font-weight:700;">' + total + '</td>' +
+        '</tr>' +
+      '</table>' +
+      '<div style="margin-top:.25rem;color:#888;font-size:.74rem;">' +
+        tUI('priority_thresholds', th.alta, th.intermedia, escHtml(breakdown.profile)) +
+      '</div>' +
+      (breakdown.override === 'contraindicated_cascade'
+        ? '<div style="margin-top:.2rem;color:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.badge + ';font-size:.74rem;font-weight:700;">' +
+            tUI('priority_override_contraindicated') + '</div>'
+        : '') +
+    '</details>'
+  );
+}
+
+/* ============================================================
+   DDI finding cards — shared by Steps 4, 5 and 6
+   ============================================================ */
+var DDI_SEVERITY_STYLE = {
+  CONTRAINDICATED: { badge: '#7b241c', border: '#c0392b', bg: '#fdedec' },
+  MAJOR:           { badge: '#d35400', border: '#e67e22', bg: '#fef5e7' },
+  MODERATE:        { badge: '#b7950b', border: '#f4d03f', bg: '#fefcf3' },
+  MINOR:           { badge: '#7f8c8d', border: '#d0d7de', bg: '#fff'    }
+};
+
+function ddiSeverityBadge(severity) {
+  var style = DDI_SEVERITY_STYLE[severity] || DDI_SEVERITY_STYLE.MINOR;
+  var label = tUI('ddi_sev_' + String(severity || 'minor').toLowerCase());
+  return (
+    '<span style="font-size:.7rem;font-weight:700;color:#fff;background:' + style.badge + ';' +
+      'padding:.1rem .45rem;border-radius:3px;vertical-align:middle;' +
+      'text-transform:uppercase;letter-spacing:.03em;white-space:nowrap;">' +
+      escHtml(label) +
+    '</span>'
+  );
+}
+
+/* Contraindicated cascade drug (detectCascades `contraindicated`): drawn in
+ * the CONTRAINDICATED interaction colours so both read as the top severity. */
+function contraindicatedCascadeBadge() {
+  return (
+    '<span style="font-size:.7rem;font-weight:700;color:#fff;background:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.badge + ';' +
+      'padding:.1rem .45rem;border-radius:3px;vertical-align:middle;margin-left:.4rem;' +
+      'text-transform:uppercase;letter-spacing:.03em;white-space:nowrap;">' +
+      tUI('level_contraindicated_label') +
+    '</span>'
+  );
+}
+
+function contraindicatedCascadeAlert(signal) {
+  var style = DDI_SEVERITY_STYLE.CONTRAINDICATED;
+  return (
+    '<div style="margin-top:.55rem;font-size:.84rem;font-weight:700;color:' + style.badge + ';' +
+      'border-left:4px solid ' + style.border + ';padding:.4rem .7rem;background:' + style.bg + ';' +
+      'border-radius:0 3px 3px 0;">' +
+      tUI('contraindicated_alert', escHtml(signal.cascade_drug), escHtml(signal.index_drug)) +
+    '</div>'
+  );
+}
+
+/* computeQtRisk() alert with its monitoring actions; '' below the threshold */
+function qtRiskAlert(qt) {
+  if (!qt || !qt.alert) return '';
+  var style = qt.level === 'high' ? DDI_SEVERITY_STYLE.CONTRAINDICATED : DDI_SEVERITY_STYLE.MAJOR;
+  return (
+    '<div style="margin:.75rem 0;font-size:.84rem;border-left:4px solid ' + style.border + ';' +
+      'padding:.5rem .8rem;background:' + style.bg + ';border-radius:0 3px 3px 0;">' +
+      '<div style="font-weight:700;color:' + style.badge + ';">' +
+        '&#9889;&nbsp;' + tUI('qt_alert_title', tUI('qt_level_' + qt.level), qt.total) +
+      '</div>' +
+      '<div style="margin-top:.3rem;">' +
+        qt.drugs.map(function (d) {
+          return escHtml(d.drug) + ' <span style="color:#57606a;">(' + tUI('qt_cat_' + d.category) +
+            (d.boosted ? '; ' + tUI('qt_boosted') : '') + ')</span>';
+        }).join(' &middot; ') +
+      '</div>' +
+      (qt.boosters.length
+        ? '<div style="margin-top:.2rem;">' + tUI('qt_boosters', escHtml(qt.boosters.join(', '))) + '</div>'
+        : '') +
+      (qt.monitoring.length
+        ? '<div style="margin-top:.35rem;font-weight:600;">' + tUI('qt_monitoring') + '</div>' +
+          '<ul style="margin:.2rem 0 0 1rem;">' +
+            qt.monitoring.map(function (m) { return '<li>' + escHtml(m) + '</li>'; }).join('') +
+          '</ul>'
+        : '') +
+    '</div>'
+  );
+}
+
+/**
+ * Render getSaferAlternatives() output: each replaced drug with its reason,
+ * then every alternative with its note and interaction check.
+ */
+function renderSaferAlternatives(list) {
+  if (!list || !list.length) return '';
+  return (
+    '<div style="margin-top:.45rem;font-size:.8rem;color:#1e5631;border-left:3px solid #27ae60;' +
+      'padding:.35rem .65rem;background:#eafaf1;border-radius:0 3px 3px 0;">' +
+      '<strong>' + tUI('safer_alts_title') + '</strong>' +
+      '<ul style="margin:.2rem 0 0;padding-left:1.1rem;">' +
+      list.map(function (s) {
+        return (
+          '<li><strong>' + tUI('safer_alt_replace', escHtml(s.replaces)) + '</strong> &mdash; ' + escHtml(s.reason) +
+            '<ul style="margin:.15rem 0 .2rem;padding-left:1rem;">' +
+            s.alternatives.map(function (a) {
+              var check = a.ddis.length
+                ? '<span style="color:#922b21;">&#9888; ' + a.ddis.map(function (d) {
+                    return tUI('safer_alt_ddi', escHtml(d.ddi_id), escHtml(tUI('ddi_sev_' + d.severity.toLowerCase()) || d.severity), escHtml(d.partner));
+                  }).join('; ') + '</span>'
+                : '<span style="color:#1e8449;">&#10003; ' + tUI('safer_alt_no_ddi') + '</span>';
+              return (
+                '<li><strong>' + escHtml(a.drug) + '</strong>' +
+                  (a.already_prescribed ? ' (' + tUI('safer_alt_already') + ')' : '') +
+                  (a.note ? ' &mdash; ' + escHtml(a.note) : '') + ' &middot; ' + check +
+                '</li>'
+              );
+            }).join('') +
+            '</ul>' +
+          '</li>'
+        );
+      }).join('') +
+      '</ul>' +
+    '</div>'
+  );
+}
+
+/**
+ * Render a winner's suppressed_duplicates: the same drug pair through other
+ * KB cascades.  `itemExtra(a)` appends per-item HTML (a confidence badge in
+ * Step 4, classification buttons in Step 5); `collapsed` folds the list into
+ * a <details> element.
+ */
+function renderAlternateMechanisms(alternates, itemExtra, collapsed) {
+  if (!alternates || !alternates.length) return '';
+  var title = tUI('alt_mechanisms', alternates.length);
+  var items = alternates.map(function (a) {
+    var altEntry = findCascadeEntryForSignal(a);
+    var altName  = altEntry
+      ? (getLocalizedField(altEntry, 'name', currentLanguage) || a.cascade_name)
+      : ((currentLanguage === 'es' && a.cascade_name_es) ? a.cascade_name_es : a.cascade_name);
+    var altAde   = (currentLanguage === 'es' && a.ade_es) ? a.ade_es : (a.ade_en || '');
+    return (
+      '<div style="margin-top:.4rem;">' +
+        '<code style="font-size:.75rem;color:#aaa;">' + escHtml((altEntry && altEntry.id) || a.cascade_id) + '</code> ' +
+        escHtml(altName) + ' &mdash; ' +
+        escHtml(a.index_drug) + ' &rarr; <strong>' + escHtml(altAde || tUI('seq_potential_ade')) + '</strong> &rarr; ' + escHtml(a.cascade_drug) +
+        (itemExtra ? itemExtra(a) : '') +
+      '</div>'
+    );
+  }).join('');
+  var hint = '<div style="color:#888;margin-top:.15rem;">' + tUI('alt_mechanisms_hint') + '</div>';
+  return collapsed
+    ? '<details style="margin-top:.42rem;font-size:.78rem;color:#555;">' +
+        '<summary style="cursor:pointer;font-weight:600;">' + title + '</summary>' + hint + items +
+      '</details>'
+    : '<div style="margin-top:.75rem;padding-top:.55rem;border-top:1px dashed #d0d7de;font-size:.8rem;color:#555;">' +
+        '<strong>' + title + '</strong>' + hint + items +
+      '</div>';
+}
+
+/**
+ * Render DDI findings (output of getDetectedDDIs) as severity-styled cards,
+ * preceded by a red banner when any pair is CONTRAINDICATED.
+ * `compact` shows drugs + management only (Step 5); `withAlternatives` adds
+ * the KB safer alternatives for each pair (Step 6).
+ */
+function renderDDIFindings(findings, compact, withAlternatives) {
+  if (!findings.length) {
+    return '<p style="color:#1e8449;font-size:.85rem;margin:.2rem 0;">' + tUI('ddi_none') + '</p>';
+  }
+
+  var nContra = findings.filter(function (f) { return f.severity === 'CONTRAINDICATED'; }).length;
+  var banner = nContra
+    ? '<div style="background:#c0392b;color:#fff;border-radius:5px;padding:.5rem .8rem;' +
+        'margin-bottom:.6rem;font-size:.85rem;">' + tUI('ddi_contraindicated_banner', nContra) + '</div>'
+    : '';
+
+  function line(labelKey, text) {
+    if (!text) return '';
+    return '<div style="margin-top:.3rem;font-size:.8rem;color:#444;"><strong>' + tUI(labelKey) + '</strong> ' + escHtml(text) + '</div>';
+  }
+
+  var cards = findings.map(function (f) {
+    var style = DDI_SEVERITY_STYLE[f.severity] || DDI_SEVERITY_STYLE.MINOR;
+    var details = compact
+      ? line('ddi_management_lbl', getLocalizedField(f, 'management', currentLanguage))
+      : line('ddi_mechanism_lbl',         getLocalizedField(f, 'mechanism', currentLanguage)) +
+        line('ddi_consequence_lbl',       getLocalizedField(f, 'consequence', currentLanguage)) +
+        line('ddi_management_lbl',        getLocalizedField(f, 'management', currentLanguage)) +
+        line('ddi_cascade_relevance_lbl', getLocalizedField(f, 'cascade_relevance', currentLanguage));
+    if (withAlternatives) {
+      details += renderSaferAlternatives(getSaferAlternatives({ ddi_id: f.ddi_id, drugs: [f.drug_a, f.drug_b] }, state.clinicalNote));
+    }
+    return (
+      '<div style="border:' + (f.severity === 'CONTRAINDICATED' ? '2px' : '1px') + ' solid ' + style.border + ';' +
+        'border-radius:6px;padding:.7rem .9rem;margin-bottom:.6rem;background:' + style.bg + ';">' +
+        '<div style="display:flex;justify-content:space-between;align-items:flex-start;flex-wrap:wrap;gap:.4rem;">' +
+          '<span style="font-size:.9rem;font-weight:700;">' +
+            escHtml(f.drug_a) + ' + ' + escHtml(f.drug_b) + '&nbsp;' + ddiSeverityBadge(f.severity) +
+          '</span>' +
+          '<code style="font-size:.76rem;color:#aaa;white-space:nowrap;">' + escHtml(f.ddi_id) + '</code>' +
+        '</div>' +
+        details +
+      '</div>'
+    );
+  }).join('');
+
+  return banner + cards;
+}
+
 /* ============================================================
    Step content — each step renders a minimal placeholder so
    the wizard is navigable from day one; richer logic can be
@@ -2131,12 +5790,22 @@ const STEP_CONTENT = {
        *       from kb/drug_dictionary.json (Spanish INNs, brand names, etc.)
        * 2. Each matched surface form is looked up in resolver.byVariant to
        *    retrieve its canonical English INN (e.g. "amlodipino" → "amlodipine").
-       * 3. Unique canonical names are returned for display and forwarded to
+       * 3. Tokens the regex missed get a fuzzy second pass (edit distance
+       *    against KB vocabulary); the clinician accepts or rejects each
+       *    suggested correction below the drug list.
+       * 4. Unique canonical names are returned for display and forwarded to
        *    the cascade detection engine. */
       var drugs      = extractDrugs(state.clinicalNote);
       var normalized = normalizeDrugs(drugs);
       var classLookup = {};
       normalized.forEach(function (n) { classLookup[n.drug.toLowerCase()] = n.class; });
+      var regimens = getDrugRegimens(state.clinicalNote);
+      /* First dated mention per canonical drug (see attachMentionDates()) */
+      var startLookup = {};
+      resolveDrugMentions(state.clinicalNote).forEach(function (m) {
+        var key = m.canonical.toLowerCase();
+        if (m.start_date && !startLookup[key]) startLookup[key] = m;
+      });
 
       var drugSection;
       if (drugs.length === 0) {
@@ -2153,11 +5822,22 @@ const STEP_CONTENT = {
             ? '<span style="display:block;font-size:.68rem;opacity:.85;margin-top:.1rem;font-weight:400;">' +
                 escHtml(cls) + '</span>'
             : '';
+          var start = startLookup[d.toLowerCase()];
+          var startLabel = start
+            ? '<span style="display:block;font-size:.66rem;opacity:.85;margin-top:.08rem;font-weight:400;" ' +
+                'title="' + escHtml(start.start_date_text) + '">' +
+                escHtml(tUI('drug_start_date', start.start_date)) + '</span>'
+            : '';
+          var regimen = formatRegimen(regimens[normalizeDrugText(d)]);
+          var regimenLabel = regimen
+            ? '<span style="display:block;font-size:.66rem;opacity:.85;margin-top:.08rem;font-weight:400;">' +
+                escHtml(regimen) + '</span>'
+            : '';
           return (
             '<span style="display:inline-block;background:#1a6b9a;color:#fff;border-radius:4px;' +
               'padding:.28rem .65rem;margin:.25rem .18rem;font-size:.84rem;font-weight:600;' +
               'vertical-align:top;line-height:1.3;">' +
-              escHtml(d) + clsLabel +
+              escHtml(d) + clsLabel + regimenLabel + startLabel +
             '</span>'
           );
         }).join('');
@@ -2169,6 +5849,79 @@ const STEP_CONTENT = {
         );
       }
 
+      /* Non-active drug mentions: listed with their status, excluded from detection */
+      var inactiveDrugs = getInactiveDrugMentions(state.clinicalNote);
+      if (inactiveDrugs.length) {
+        drugSection += (
+          '<div style="margin:-.35rem 0 .65rem;">' +
+            '<span style="font-size:.72rem;color:#aaa;font-style:italic;">' + tUI('inactive_drug_mentions') + '</span>' +
+            inactiveDrugs.map(function (m) {
+              return (
+                '<span style="display:inline-block;background:#bdc3c7;color:#555;border-radius:4px;' +
+                  'padding:.28rem .65rem;margin:.25rem .18rem;font-size:.84rem;font-weight:600;' +
+                  'vertical-align:top;line-height:1.3;opacity:.7;">' +
+                  escHtml(m.drug) +
+                  '<span style="display:block;font-size:.63rem;font-weight:400;margin-top:.08rem;' +
+                    'color:#777;font-style:italic;">' +
+                    escHtml(tUI('drug_status_' + m.status)) + (m.cue ? ': "' + escHtml(m.cue) + '"' : '') +
+                  '</span>' +
+                '</span>'
+              );
+            }).join('') +
+          '</div>'
+        );
+      }
+
+      /* Fuzzy drug matches: suggested correction + accept / reject */
+      var fuzzyMatches = getFuzzyDrugSuggestions(state.clinicalNote);
+      if (fuzzyMatches.length) {
+        drugSection += (
+          '<div class="callout callout-warning" style="margin:0 0 .65rem;font-size:.84rem;">' +
+            '<strong>' + tUI('fuzzy_drug_matches') + '</strong>' +
+            fuzzyMatches.map(function (f) {
+              function reviewBtn(value, label, activeColor) {
+                var isActive = f.review === value;
+                return (
+                  '<button onclick="reviewDrugMatch(\'' + f.word + '\',\'' + value + '\')" ' +
+                    'style="font-size:.74rem;padding:.16rem .6rem;border-radius:4px;cursor:pointer;' +
+                      'font-weight:' + (isActive ? '700' : '500') + ';' +
+                      'background:' + (isActive ? activeColor : '#f0f0f0') + ';' +
+                      'color:'      + (isActive ? '#fff' : '#444') + ';' +
+                      'border:1px solid ' + (isActive ? activeColor : '#ccc') + ';">' +
+                    label +
+                  '</button>'
+                );
+              }
+              return (
+                '<div style="display:flex;gap:.45rem;align-items:center;flex-wrap:wrap;margin-top:.4rem;">' +
+                  '<span style="' + (f.review === 'rejected' ? 'text-decoration:line-through;color:#999;' : '') + '">' +
+                    '&laquo;' + escHtml(f.word) + '&raquo; &rarr; <strong>' + escHtml(f.suggestion) + '</strong>' +
+                    (f.canonical !== f.suggestion ? ' (' + escHtml(f.canonical) + ')' : '') +
+                  '</span>' +
+                  '<span style="font-size:.72rem;color:#888;font-style:italic;">' +
+                    tUI('fuzzy_review_' + f.review) +
+                  '</span>' +
+                  reviewBtn('accepted', tUI('btn_accept_match'), '#1e8449') +
+                  reviewBtn('rejected', tUI('btn_reject_match'), '#c0392b') +
+                '</div>'
+              );
+            }).join('') +
+          '</div>'
+        );
+      }
+
+      /* Dates after the encounter date: flagged here, never used as start dates */
+      var futureDates = extractTemporalExpressions(state.clinicalNote).filter(function (t) { return t.future; });
+      if (futureDates.length) {
+        drugSection += (
+          '<div class="callout callout-warning" style="margin:0 0 .65rem;font-size:.84rem;">' +
+            tUI('future_dates_ignored', futureDates.map(function (t) {
+              return '&laquo;' + escHtml(t.text) + '&raquo; (' + t.date + ')';
+            }).join(', ')) +
+          '</div>'
+        );
+      }
+
       /* ── Symptom extraction — uses extractSymptoms() which also caches in state ── */
       var symptoms    = extractSymptoms(state.clinicalNote);
       saveState();   /* persist state.symptomsDetected */
@@ -2217,6 +5970,10 @@ const STEP_CONTENT = {
             ? '<span style="display:block;font-size:.67rem;opacity:.82;margin-top:.1rem;font-weight:400;">' +
                 escHtml(s.category) + '</span>'
             : '';
+          var onsetLabel = s.onset_date
+            ? '<span style="display:block;font-size:.63rem;font-weight:400;margin-top:.08rem;opacity:.85;">' +
+                escHtml(tUI('symptom_onset_date', s.onset_date)) + '</span>'
+            : '';
           var negBadge = inactive
             ? '<span style="display:block;font-size:.63rem;font-weight:400;margin-top:.08rem;' +
                 'color:#777;font-style:italic;">' +
@@ -2228,7 +5985,7 @@ const STEP_CONTENT = {
               'font-weight:600;vertical-align:top;line-height:1.3;' +
               (inactive ? 'opacity:.7;' : '') +
               '" title="' + escHtml(s.cascade_relevance || '') + '">' +
-              label + catLabel + negBadge +
+              label + catLabel + onsetLabel + negBadge +
             '</span>'
           );
         };
@@ -2253,7 +6010,64 @@ const STEP_CONTENT = {
 
       var divider = '<hr style="border:none;border-top:1px solid #eee;margin:.9rem 0;">';
 
+      /* Every drug mention, active symptom and their dates */
+      var noteSpans = [];
+      resolveDrugMentions(state.clinicalNote).forEach(function (m) {
+        if (m.span) noteSpans.push({ kind: 'drug', start: m.span.start, end: m.span.end });
+        if (m.start_date_span) noteSpans.push({ kind: 'time_cue', start: m.start_date_span.start, end: m.start_date_span.end });
+      });
+      symptoms.forEach(function (sym) {
+        if (sym.active === false) return;
+        if (sym.span) noteSpans.push({ kind: 'ade', start: sym.span.start, end: sym.span.end });
+        if (sym.onset_date_span) noteSpans.push({ kind: 'time_cue', start: sym.onset_date_span.start, end: sym.onset_date_span.end });
+      });
+
+      /* ── Laboratory values (extractLabValues()), abnormal ones flagged ── */
+      var labs = extractLabValues(state.clinicalNote);
+      var labSection = '';
+      if (labs.length) {
+        labSection = divider +
+          '<div style="font-size:.8rem;font-weight:700;text-transform:uppercase;' +
+            'letter-spacing:.06em;color:#888;margin-bottom:.5rem;">' + tUI('labs_section_label', labs.length) + '</div>' +
+          '<div style="display:flex;flex-wrap:wrap;gap:.35rem;">' +
+          labs.map(function (lab) {
+            noteSpans.push({ kind: 'lab', start: lab.span.start, end: lab.span.end });
+            var color = lab.flag === 'low' ? '#1a5276' : lab.flag === 'high' ? '#922b21' : '#2c3e50';
+            return (
+              '<span title="' + escHtml(lab.text) + '" style="font-size:.8rem;border:1px solid ' + (lab.flag ? color : '#d0d7de') + ';' +
+                'border-radius:4px;padding:.15rem .5rem;color:' + color + ';background:#fff;">' +
+                '<strong>' + escHtml(lab.label) + '</strong> ' + escHtml(lab.comparator + lab.value + ' ' + lab.unit) +
+                (lab.flag ? ' <span style="font-size:.7rem;font-weight:700;">(' + tUI('lab_flag_' + lab.flag) + ')</span>' : '') +
+                (lab.date ? ' <span style="font-size:.7rem;color:#888;">' + escHtml(lab.date) + '</span>' : '') +
+              '</span>'
+            );
+          }).join('') +
+          '</div>';
+      }
+
+      /* ── Demographics (extractDemographics()) ── */
+      var demo = extractDemographics(state.clinicalNote);
+      var demoChips = [
+        demo.age    ? tUI('demo_age', demo.age.value) : '',
+        demo.sex    ? tUI('demo_sex_' + demo.sex.value) : '',
+        demo.weight ? tUI('demo_weight') + ' ' + demo.weight.value + ' kg' : '',
+        demo.height ? tUI('demo_height') + ' ' + demo.height.value + ' cm' : '',
+        demo.bmi    ? tUI('demo_bmi') + ' ' + demo.bmi.value + ' kg/m&sup2;' +
+          (demo.bmi.computed ? ' <span style="font-size:.7rem;color:#888;">(' + tUI('demo_bmi_computed') + ')</span>' : '') : ''
+      ].filter(Boolean);
+      var demoSection = demoChips.length
+        ? '<div style="font-size:.8rem;font-weight:700;text-transform:uppercase;' +
+            'letter-spacing:.06em;color:#888;margin-bottom:.5rem;">' + tUI('demographics_label') + '</div>' +
+          '<div style="display:flex;flex-wrap:wrap;gap:.35rem;">' +
+          demoChips.map(function (chip) {
+            return '<span style="font-size:.8rem;border:1px solid #d0d7de;border-radius:4px;padding:.15rem .5rem;' +
+              'color:#2c3e50;background:#fff;">' + chip + '</span>';
+          }).join('') +
+          '</div>' + divider
+        : '';
+
       return (
+        demoSection +
         '<div style="font-size:.8rem;font-weight:700;text-transform:uppercase;' +
           'letter-spacing:.06em;color:#888;margin-bottom:.5rem;">' + tUI('drugs_section_label') + '</div>' +
         drugSection +
@@ -2261,6 +6075,9 @@ const STEP_CONTENT = {
         '<div style="font-size:.8rem;font-weight:700;text-transform:uppercase;' +
           'letter-spacing:.06em;color:#888;margin-bottom:.5rem;">' + symCountLabel + '</div>' +
         symptomSection +
+        labSection +
+        divider +
+        renderEvidenceNote(state.clinicalNote, noteSpans) +
         '<div class="callout callout-warning" style="margin-top:.75rem;font-size:.83rem;">' +
           tUI('detection_warning') +
         '</div>'
@@ -2302,29 +6119,117 @@ const STEP_CONTENT = {
 
       var mappedCount   = normalized.filter(function (n) { return n.class; }).length;
       var unmappedCount = normalized.length - mappedCount;
+      var regimens      = getDrugRegimens(state.clinicalNote);
+
+      /* Group by the chosen ATC level; a shorter code (insulin "A10A") stays
+       * at its deepest level, drugs without a code go last. */
+      var level  = state.atcGroupLevel;
+      var groups = {};
+      normalized.forEach(function (n) {
+        var node = n.atc_path.length ? n.atc_path[Math.min(level, n.atc_path.length) - 1] : null;
+        var key  = node ? node.code : '~';
+        if (!groups[key]) groups[key] = { node: node, drugs: [] };
+        groups[key].drugs.push(n);
+      });
 
-      var rows = normalized.map(function (n) {
+      function drugRow(n) {
         var classCell = n.class
           ? '<span style="display:inline-block;background:#1e8449;color:#fff;border-radius:3px;' +
               'padding:.18rem .55rem;font-size:.82rem;font-weight:600;">' + escHtml(n.class) + '</span>'
           : '<span style="color:#999;font-size:.82rem;font-style:italic;">' + tUI('drug_class_none') + '</span>';
+        var regimen = formatRegimen(regimens[normalizeDrugText(n.drug)]);
+        var atcLabel = n.atc.length
+          ? '<code style="display:block;font-size:.7rem;color:#888;font-weight:400;">' + escHtml(n.atc.join(', ')) + '</code>'
+          : '';
+        var acbTag = n.acb_score
+          ? ' <span title="' + tUI('acb_drug_title') + '" style="font-size:.68rem;font-weight:700;color:#7e5109;' +
+              'border:1px solid #d4ac0d;border-radius:3px;padding:.04rem .32rem;">ACB ' + n.acb_score + '</span>'
+          : '';
+        var riskTags = n.risk_tags.map(function (tag) {
+          return ' <span title="' + tUI('tag_' + tag + '_title') + '" style="font-size:.68rem;font-weight:700;color:#6c3483;' +
+            'border:1px solid #a569bd;border-radius:3px;padding:.04rem .32rem;">' + tUI('tag_' + tag) + '</span>';
+        }).join('');
+        var qtTag = n.qt_risk
+          ? ' <span title="' + tUI('qt_cat_' + n.qt_risk) + '" style="font-size:.68rem;font-weight:700;color:#922b21;' +
+              'border:1px solid #d98880;border-radius:3px;padding:.04rem .32rem;">QT</span>'
+          : '';
         return (
           '<tr style="border-bottom:1px solid #eef1f4;">' +
             '<td style="padding:.45rem .6rem;font-size:.88rem;font-weight:600;white-space:nowrap;">' +
-              escHtml(n.drug) +
+              escHtml(n.drug) + acbTag + riskTags + qtTag + atcLabel +
             '</td>' +
             '<td style="padding:.45rem .4rem;color:#666;font-size:.82rem;text-align:center;">' +
               '&rarr;' +
             '</td>' +
             '<td style="padding:.45rem .6rem;">' + classCell + '</td>' +
+            '<td style="padding:.45rem .6rem;font-size:.82rem;color:' + (regimen ? '#24292f' : '#999') + ';">' +
+              (regimen ? escHtml(regimen) : '&mdash;') +
+            '</td>' +
           '</tr>'
         );
+      }
+
+      var rows = Object.keys(groups).sort().map(function (key) {
+        var g = groups[key];
+        var heading = g.node
+          ? '<code>' + escHtml(g.node.code) + '</code>' + (g.node.name ? ' &mdash; ' + escHtml(g.node.name) : '')
+          : tUI('atc_no_code');
+        return (
+          '<tr style="background:#f4f8fb;border-bottom:1px solid #d0d7de;">' +
+            '<td colspan="4" style="padding:.35rem .6rem;font-size:.8rem;font-weight:600;color:#1a5276;">' +
+              heading + ' <span style="color:#888;font-weight:400;">(' + g.drugs.length + ')</span>' +
+            '</td>' +
+          '</tr>' +
+          g.drugs.map(drugRow).join('')
+        );
+      }).join('');
+
+      function burdenPanel(title, load, drugLabel, noneKey) {
+        return (
+          '<div style="margin-top:.85rem;padding:.55rem .8rem;font-size:.84rem;border-radius:5px;' +
+            'border:1px solid ' + (load.above_threshold ? '#e67e22' : '#d0d7de') + ';' +
+            'background:' + (load.above_threshold ? '#fef5e7' : '#f8f9fa') + ';">' +
+            '<strong>' + title + ':</strong> ' + load.total +
+            (load.threshold !== null
+              ? ' <span style="color:' + (load.above_threshold ? '#d35400;font-weight:700' : '#57606a') + ';">(' +
+                  (load.above_threshold ? tUI('burden_above', load.threshold, escHtml(load.modifier_id)) : tUI('burden_below', load.threshold)) + ')</span>'
+              : '') +
+            '<div style="margin-top:.25rem;color:#57606a;font-size:.8rem;">' +
+              (load.drugs.length ? load.drugs.map(drugLabel).join(' &middot; ') : tUI(noneKey)) +
+            '</div>' +
+          '</div>'
+        );
+      }
+      var drugName = function (d) { return escHtml(d.drug); };
+      var burdenPanels =
+        burdenPanel(tUI('acb_title'), describeMedicationBurden(computeAnticholinergicBurden(state.clinicalNote), 'acb_total'),
+          function (d) { return escHtml(d.drug) + ' ' + d.score; }, 'acb_none') +
+        burdenPanel(tUI('fall_load_title'), describeMedicationBurden(computeRiskTagLoad(state.clinicalNote, 'fall_risk'), 'fall_risk_load'),
+          drugName, 'load_none') +
+        burdenPanel(tUI('cns_load_title'), describeMedicationBurden(computeRiskTagLoad(state.clinicalNote, 'cns_depressant'), 'cns_depressant_load'),
+          drugName, 'load_none');
+
+      var levelButtons = [1, 2, 3, 4].map(function (lv) {
+        var isActive = lv === level;
+        return (
+          '<button onclick="setAtcGroupLevel(' + lv + ')" ' +
+            'style="font-size:.76rem;padding:.18rem .6rem;border-radius:4px;cursor:pointer;' +
+              'font-weight:' + (isActive ? '700' : '500') + ';' +
+              'background:' + (isActive ? '#1a6b9a' : '#f0f0f0') + ';' +
+              'color:'      + (isActive ? '#fff' : '#444') + ';' +
+              'border:1px solid ' + (isActive ? '#1a6b9a' : '#ccc') + ';">' +
+            lv + ' &middot; ' + tUI('atc_level_' + lv) +
+          '</button>'
+        );
       }).join('');
 
       return (
         '<div class="callout callout-info" style="margin-bottom:.85rem;">' +
           tUI('class_summary', drugs.length, mappedCount, unmappedCount) +
         '</div>' +
+        '<div style="display:flex;gap:.4rem;align-items:center;flex-wrap:wrap;margin-bottom:.6rem;">' +
+          '<span style="font-size:.78rem;color:#888;">' + tUI('atc_group_by') + '</span>' + levelButtons +
+        '</div>' +
         '<div style="overflow-x:auto;">' +
           '<table style="width:100%;border-collapse:collapse;font-size:.88rem;' +
             'border:1px solid #d0d7de;border-radius:5px;background:#fff;">' +
@@ -2335,11 +6240,14 @@ const STEP_CONTENT = {
                 '<th style="padding:.45rem .4rem;width:2rem;"></th>' +
                 '<th style="padding:.45rem .6rem;text-align:left;font-size:.8rem;' +
                   'color:#57606a;font-weight:600;text-transform:uppercase;letter-spacing:.04em;">' + tUI('col_class') + '</th>' +
+                '<th style="padding:.45rem .6rem;text-align:left;font-size:.8rem;' +
+                  'color:#57606a;font-weight:600;text-transform:uppercase;letter-spacing:.04em;">' + tUI('col_regimen') + '</th>' +
               '</tr>' +
             '</thead>' +
             '<tbody>' + rows + '</tbody>' +
           '</table>' +
-        '</div>'
+        '</div>' +
+        burdenPanels
       );
     }
   },
@@ -2376,10 +6284,21 @@ const STEP_CONTENT = {
       );
 
       var detected = getDetectedCascades(state.clinicalNote);
+      var ddis     = getDetectedDDIs(state.clinicalNote);
+      var qtAlert  = qtRiskAlert(computeQtRisk(state.clinicalNote));
+
+      var ddiBlock = (
+        '<div style="margin-top:1rem;">' +
+          '<h3 style="margin:0 0 .7rem;font-size:.97rem;color:#2c3e50;">' +
+            tUI('ddi_section_title', ddis.length) +
+          '</h3>' +
+          renderDDIFindings(ddis, false) +
+        '</div>'
+      );
 
       if (detected.length === 0) {
         return (
-          kbInfo +
+          kbInfo + qtAlert + ddiBlock +
           '<div class="callout callout-success" style="margin-top:.75rem;">' +
             '<strong>' + tUI('no_cascades_title') + '</strong> ' +
             tUI('no_cascades_detail') +
@@ -2417,6 +6336,20 @@ const STEP_CONTENT = {
         );
       };
 
+      var temporalGradeBadge = function (grade) {
+        if (!grade) return '';
+        var color = grade.indeterminate ? '#7f8c8d' : grade.cascade === 'T1' ? '#1e8449' : '#b7950b';
+        var label = grade.indeterminate ? tUI('temporal_indeterminate') : grade.label;
+        var title = tUI('temporal_grade_detail', grade.label, grade.elapsed_days);
+        return (
+          '<span title="' + escHtml(title) + '" style="font-size:.68rem;font-weight:600;color:' + color + ';' +
+            'border:1px dashed ' + color + ';border-radius:3px;padding:.08rem .38rem;' +
+            'margin-left:.4rem;vertical-align:middle;white-space:nowrap;">' +
+            escHtml(label) +
+          '</span>'
+        );
+      };
+
       /* --- Signal cards ------------------------------------------- */
       var rows = detected.map(function (c) {
         /* Resolve localized fields for display */
@@ -2479,6 +6412,33 @@ const STEP_CONTENT = {
             '</div>'
           : '';
 
+        /* Clinical modifiers — which applied, why, and the level change */
+        var modifierBox = '';
+        if (c.modifier_effects && c.modifier_effects.length) {
+          modifierBox = (
+            '<div style="margin-top:.42rem;font-size:.78rem;color:#5b2c6f;' +
+              'border-left:3px solid #8e44ad;padding:.3rem .6rem;background:#f5eef8;' +
+              'border-radius:0 3px 3px 0;">' +
+              '<strong>' + tUI('modifiers_applied') + '</strong>' +
+              '<ul style="margin:.2rem 0 0;padding-left:1.1rem;">' +
+              c.modifier_effects.map(function (e) {
+                var scope = e.scope.kind === 'all' ? tUI('mod_scope_all')
+                  : e.scope.kind === 'drug_class' ? tUI('mod_scope_drug_class', escHtml(e.scope.value), escHtml(e.scope.drug))
+                  : tUI('mod_scope_' + e.scope.kind, escHtml(e.scope.value));
+                return (
+                  '<li><strong>' + escHtml(e.id) + '</strong> ' +
+                    escHtml(currentLanguage === 'es' && e.name_es ? e.name_es : e.name_en) + ' &mdash; ' +
+                    escHtml(tUI('conf_' + e.from) || e.from) + ' &rarr; ' + escHtml(tUI('conf_' + e.to) || e.to) +
+                    (e.capped ? ' (' + tUI('mod_capped') + ')' : '') + '; ' + scope +
+                    (e.trigger ? '; ' + tUI('mod_trigger', escHtml(e.trigger)) : '') +
+                  '</li>'
+                );
+              }).join('') +
+              '</ul>' +
+            '</div>'
+          );
+        }
+
         /* Rationale box (symptom-bridge only) — grey/olive tint */
         var rationaleBox = '';
         if (c.rationale && c.rationale.explanation) {
@@ -2492,8 +6452,16 @@ const STEP_CONTENT = {
           );
         }
 
+        /* Suppressed duplicates — the same drug pair via other KB cascades */
+        var alternatesBox = renderAlternateMechanisms(c.suppressed_duplicates, function (a) {
+          return confidenceBadge(a.confidence);
+        }, true);
+
+        var contraStyle = DDI_SEVERITY_STYLE.CONTRAINDICATED;
         return (
-          '<div style="border:1px solid #d0d7de;border-radius:6px;padding:.85rem 1rem;' +
+          '<div style="border:1px solid ' + (c.contraindicated ? contraStyle.border : '#d0d7de') + ';' +
+            (c.contraindicated ? 'border-left:5px solid ' + contraStyle.border + ';' : '') +
+            'border-radius:6px;padding:.85rem 1rem;' +
             'margin-bottom:.8rem;background:#fff;box-shadow:0 1px 3px rgba(0,0,0,.05);">' +
 
             /* Header row: name + badges + ID */
@@ -2501,30 +6469,53 @@ const STEP_CONTENT = {
               'flex-wrap:wrap;gap:.4rem;">' +
               '<span style="font-size:.92rem;font-weight:700;line-height:1.35;">' +
                 escHtml(displayName) +
+                (c.contraindicated ? contraindicatedCascadeBadge() : '') +
                 confidenceBadge(c.confidence) +
                 appropriatenessBadge(c.appropriateness) +
+                temporalGradeBadge(c.temporal_grade) +
                 (c.signal_type === 'symptom_bridge'
                   ? '<span style="font-size:.65rem;font-weight:600;color:#6c3483;' +
                       'border:1px solid #a569bd;border-radius:3px;padding:.08rem .38rem;' +
                       'margin-left:.4rem;vertical-align:middle;white-space:nowrap;">' + tUI('via_symptom') + '</span>'
                   : '') +
+                (c.signal_type === 'therapeutic_plausibility'
+                  ? '<span style="font-size:.65rem;font-weight:600;color:#1a5276;' +
+                      'border:1px solid #5499c7;border-radius:3px;padding:.08rem .38rem;' +
+                      'margin-left:.4rem;vertical-align:middle;white-space:nowrap;">' + tUI('via_ade_map') + '</span>'
+                  : '') +
+                (c.class_match
+                  ? '<span title="' + escHtml(tUI('via_drug_class_title',
+                        [c.class_match.index, c.class_match.cascade].filter(Boolean).join(', '))) + '" ' +
+                      'style="font-size:.65rem;font-weight:600;color:#7e5109;' +
+                      'border:1px solid #d4ac0d;border-radius:3px;padding:.08rem .38rem;' +
+                      'margin-left:.4rem;vertical-align:middle;white-space:nowrap;">' + tUI('via_drug_class') + '</span>'
+                  : '') +
+              '</span>' +
+              '<span style="display:flex;gap:.4rem;align-items:center;">' +
+                evidenceButton(c.cascade_id) +
+                '<code style="font-size:.76rem;color:#aaa;white-space:nowrap;">' +
+                  escHtml(c.cascade_id) +
+                '</code>' +
               '</span>' +
-              '<code style="font-size:.76rem;color:#aaa;white-space:nowrap;">' +
-                escHtml(c.cascade_id) +
-              '</code>' +
             '</div>' +
 
-            chain + riskTags + ddiBox + hintBox + rationaleBox +
+            (c.contraindicated ? contraindicatedCascadeAlert(c) : '') +
+            chain + riskTags + ddiBox + hintBox + modifierBox + rationaleBox + alternatesBox +
           '</div>'
         );
       });
 
+      var evidencePanel = renderSignalEvidence(state.clinicalNote, detected.map(function (c) {
+        return { id: c.cascade_id, evidence_spans: c.evidence_spans };
+      }));
+
       return (
-        kbInfo +
+        kbInfo + qtAlert + ddiBlock +
         '<div style="margin-top:1rem;">' +
           '<h3 style="margin:0 0 .7rem;font-size:.97rem;color:#2c3e50;">' +
             tUI('cascade_count', detected.length) +
           '</h3>' +
+          evidencePanel +
           rows.join('') +
         '</div>' +
         '<div class="callout callout-warning" style="margin-top:.75rem;font-size:.84rem;">' +
@@ -2555,9 +6546,20 @@ const STEP_CONTENT = {
       }
 
       var detected = getDetectedCascades(state.clinicalNote);
+      var ddis     = getDetectedDDIs(state.clinicalNote);
+
+      var ddiBlock = ddis.length
+        ? '<div style="margin-bottom:1rem;">' +
+            '<h3 style="margin:0 0 .6rem;font-size:.93rem;color:#2c3e50;">' +
+              tUI('ddi_section_title', ddis.length) +
+            '</h3>' +
+            renderDDIFindings(ddis, true) +
+          '</div>'
+        : '';
 
       if (detected.length === 0) {
         return (
+          ddiBlock +
           '<div class="callout callout-success">' +
             '<strong>' + tUI('no_cascades_step5') + '</strong> ' +
             tUI('no_cascades_step5_detail') +
@@ -2567,9 +6569,9 @@ const STEP_CONTENT = {
 
       /* ── Classification tally banner ── */
       var cls = state.cascadeClassifications;
-      var nConfirmed  = detected.filter(function (c) { return cls[c.cascade_id] === 'confirmed';   }).length;
-      var nPossible   = detected.filter(function (c) { return cls[c.cascade_id] === 'possible';    }).length;
-      var nNot        = detected.filter(function (c) { return cls[c.cascade_id] === 'not_cascade'; }).length;
+      var nConfirmed  = detected.filter(function (c) { return cls[signalReviewKey(c)] === 'confirmed';   }).length;
+      var nPossible   = detected.filter(function (c) { return cls[signalReviewKey(c)] === 'possible';    }).length;
+      var nNot        = detected.filter(function (c) { return cls[signalReviewKey(c)] === 'not_cascade'; }).length;
       var nUnreviewed = detected.length - nConfirmed - nPossible - nNot;
 
       var tallyHtml = (
@@ -2658,12 +6660,12 @@ const STEP_CONTENT = {
             '</div>'
           : '';
 
-        /* Classification buttons */
-        var current = cls[c.cascade_id] || '';
-        var id      = escHtml(c.cascade_id);   /* safe for HTML attr; IDs are alphanumeric */
+        /* Classification buttons — one row per signal, keyed by signalReviewKey() */
+        var current = cls[signalReviewKey(c)] || '';
 
-        function classBtn(value, label, activeColor, activeText) {
-          var isActive = current === value;
+        function classBtn(sigId, value, label, activeColor, activeText) {
+          var isActive = cls[sigId] === value;
+          var id       = escHtml(sigId);   /* safe for HTML attr; review keys hold no quotes */
           return (
             '<button onclick="classifyCascade(\'' + id + '\',\'' + value + '\')" ' +
               'style="font-size:.78rem;padding:.28rem .75rem;border-radius:4px;cursor:pointer;' +
@@ -2677,19 +6679,29 @@ const STEP_CONTENT = {
           );
         }
 
-        var classButtons = (
-          '<div style="display:flex;gap:.45rem;margin-top:.7rem;flex-wrap:wrap;align-items:center;">' +
-            '<span style="font-size:.78rem;color:#888;margin-right:.1rem;">' + tUI('classify_label') + '</span>' +
-            classBtn('confirmed',   tUI('btn_confirmed'), '#1e8449', '#fff') +
-            classBtn('possible',    tUI('btn_possible'),  '#e67e22', '#fff') +
-            classBtn('not_cascade', tUI('btn_discard'),   '#7f8c8d', '#fff') +
-          '</div>'
-        );
+        function classButtonRow(sigId) {
+          return (
+            '<div style="display:flex;gap:.45rem;margin-top:.7rem;flex-wrap:wrap;align-items:center;">' +
+              '<span style="font-size:.78rem;color:#888;margin-right:.1rem;">' + tUI('classify_label') + '</span>' +
+              classBtn(sigId, 'confirmed',   tUI('btn_confirmed'), '#1e8449', '#fff') +
+              classBtn(sigId, 'possible',    tUI('btn_possible'),  '#e67e22', '#fff') +
+              classBtn(sigId, 'not_cascade', tUI('btn_discard'),   '#7f8c8d', '#fff') +
+            '</div>'
+          );
+        }
+
+        var classButtons = classButtonRow(signalReviewKey(c));
 
-        /* Card border colour based on classification */
+        /* Other possible mechanisms for the same pair, each reviewed on its own */
+        var alternatesHtml = renderAlternateMechanisms(c.suppressed_duplicates, function (a) {
+          return classButtonRow(signalReviewKey(a));
+        }, false);
+
+        /* Card border colour based on classification; unreviewed contraindicated drugs stand out */
         var borderColor = current === 'confirmed'  ? '#1e8449'
                         : current === 'possible'   ? '#e67e22'
                         : current === 'not_cascade'? '#bdc3c7'
+                        : c.contraindicated        ? DDI_SEVERITY_STYLE.CONTRAINDICATED.border
                         : '#d0d7de';
 
         return (
@@ -2700,12 +6712,13 @@ const STEP_CONTENT = {
             '<div style="display:flex;justify-content:space-between;align-items:flex-start;' +
               'flex-wrap:wrap;gap:.35rem;">' +
               '<span style="font-size:.93rem;font-weight:700;">' +
-                escHtml(step5DisplayName) + confBadge +
+                escHtml(step5DisplayName) + (c.contraindicated ? contraindicatedCascadeBadge() : '') + confBadge +
               '</span>' +
               '<code style="font-size:.75rem;color:#aaa;">' + escHtml(c.cascade_id) + '</code>' +
             '</div>' +
 
-            chain + ddiHtml + actionHtml + diffHtml + classButtons +
+            (c.contraindicated ? contraindicatedCascadeAlert(c) : '') +
+            chain + ddiHtml + actionHtml + diffHtml + classButtons + alternatesHtml +
           '</div>'
         );
       });
@@ -2714,6 +6727,7 @@ const STEP_CONTENT = {
         '<div class="callout callout-warning" style="margin-bottom:.85rem;font-size:.84rem;">' +
           tUI('review_warning') +
         '</div>' +
+        ddiBlock +
         tallyHtml +
         rows.join('')
       );
@@ -2830,23 +6844,32 @@ const STEP_CONTENT = {
 
         function levelBadge(c) {
           var map = {
-            plausible_cascade:  { bg: '#1e8449', fg: '#fff' },
-            preliminary_signal: { bg: '#7f8c8d', fg: '#fff' }
+            contraindicated_cascade: { bg: DDI_SEVERITY_STYLE.CONTRAINDICATED.badge, fg: '#fff' },
+            plausible_cascade:       { bg: '#1e8449', fg: '#fff' },
+            preliminary_signal:      { bg: '#7f8c8d', fg: '#fff' }
           };
           var s = map[c.finding_level] || map.preliminary_signal;
-          var label = c.finding_level === 'plausible_cascade' ? tUI('level_plausible_label') : tUI('level_preliminary_label');
+          var label = levelLabelOf(c);
           return '<span style="font-size:.72rem;font-weight:700;background:' + s.bg + ';color:' + s.fg + ';border-radius:4px;padding:.14rem .45rem;">' + escHtml(label) + '</span>';
         }
 
+        function levelLabelOf(c) {
+          return c.finding_level === 'contraindicated_cascade' ? tUI('level_contraindicated_label')
+            : c.finding_level === 'plausible_cascade' ? tUI('level_plausible_label') : tUI('level_preliminary_label');
+        }
+
         function renderCards(items) {
           return items.map(function (c) {
             var factorsInFavor  = (c.factors_in_favor  || []).map(function (it) { return '<li>' + escHtml(it) + '</li>'; }).join('');
             var factorsToVerify = (c.factors_to_verify || []).map(function (it) { return '<li>' + escHtml(it) + '</li>'; }).join('');
-            var levelLabel = c.finding_level === 'plausible_cascade' ? tUI('level_plausible_label') : tUI('level_preliminary_label');
+            var levelLabel = levelLabelOf(c);
+            var contra = c.finding_level === 'contraindicated_cascade';
             var prioLabel  = c.pharmacy_priority_level === 'alta' ? tUI('prio_high')
                            : c.pharmacy_priority_level === 'intermedia' ? tUI('prio_medium') : tUI('prio_low');
             return (
-              '<div style="border:1px solid #d0d7de;border-radius:6px;padding:.9rem 1rem;margin:.75rem 0;background:#fff;">' +
+              '<div style="border:1px solid ' + (contra ? DDI_SEVERITY_STYLE.CONTRAINDICATED.border : '#d0d7de') + ';' +
+                (contra ? 'border-left:5px solid ' + DDI_SEVERITY_STYLE.CONTRAINDICATED.border + ';background:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.bg + ';' : 'background:#fff;') +
+                'border-radius:6px;padding:.9rem 1rem;margin:.75rem 0;">' +
                 '<div style="display:flex;justify-content:space-between;gap:.45rem;align-items:flex-start;flex-wrap:wrap;">' +
                   '<div>' +
                     '<div style="font-weight:700;color:#2c3e50;">' + escHtml(c.cascade_name) + '</div>' +
@@ -2854,14 +6877,24 @@ const STEP_CONTENT = {
                   '</div>' +
                   '<div style="display:flex;gap:.35rem;flex-wrap:wrap;">' +
                     levelBadge(c) + priorityBadge(c.pharmacy_priority_level) + confidenceBadge(c.confidence) + verBadge(c.verification_status) +
+                    evidenceButton(c.signal_id) +
                   '</div>' +
                 '</div>' +
                 '<div style="margin-top:.55rem;font-size:.83rem;"><strong>' + tUI('pharmacological_sequence') + '</strong> ' + escHtml(c.sequence) + '</div>' +
                 '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('finding_level_lbl') + '</strong> ' + escHtml(levelLabel) + '</div>' +
-                '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('pharmacy_priority_lbl') + '</strong> ' + escHtml(prioLabel) + '</div>' +
+                '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('pharmacy_priority_lbl') + '</strong> ' + escHtml(prioLabel) +
+                  renderPriorityWaterfall(c.priority_breakdown, prioLabel) + '</div>' +
                 '<div style="margin-top:.35rem;font-size:.82rem;"><strong>' + tUI('what_supports') + '</strong> ' + escHtml(c.support_summary || '\u2014') + '</div>' +
                 '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('what_missing') + '</strong> ' + escHtml(c.missing_summary || '\u2014') + '</div>' +
                 '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('level_assigned') + '</strong> ' + escHtml(c.level_reason || '\u2014') + '</div>' +
+                '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('temporal_grade_lbl') + '</strong> ' +
+                  escHtml(c.temporal_grading ? tUI('temporal_grade_detail', c.temporal_grade, c.temporal_grading.elapsed_days) : c.temporal_grade) + '</div>' +
+                (c.alternate_mechanisms && c.alternate_mechanisms.length
+                  ? '<div style="margin-top:.3rem;font-size:.82rem;"><strong>' + tUI('alt_mechanisms', c.alternate_mechanisms.length) + ':</strong>' +
+                      '<ul style="margin:.2rem 0 .1rem 1rem;">' + c.alternate_mechanisms.map(function (a) {
+                        return '<li>' + escHtml(a.sequence) + ' <span style="color:#8a8a8a;">[' + escHtml(a.cascade_id) + ']</span> ' + verBadge(a.verification_status) + '</li>';
+                      }).join('') + '</ul></div>'
+                  : '') +
                 '<div style="margin-top:.4rem;font-size:.83rem;"><strong>' + tUI('clinical_interpretation_lbl') + '</strong> ' + escHtml(c.clinical_interpretation || '\u2014') + '</div>' +
                 '<div style="margin-top:.4rem;font-size:.83rem;"><strong>' + tUI('trigger_signal') + '</strong> ' + escHtml(c.trigger_explanation || '\u2014') + '</div>' +
                 '<div style="margin-top:.45rem;font-size:.82rem;">' +
@@ -2872,6 +6905,7 @@ const STEP_CONTENT = {
                 '</div>' +
                 '<div style="margin-top:.45rem;font-size:.83rem;color:#1a5276;"><strong>' + tUI('suggested_intervention_lbl') + '</strong> ' +
                   escHtml(c.suggested_intervention || c.clinical_recommendation || '\u2014') + '</div>' +
+                renderSaferAlternatives(c.safer_alternatives) +
                 '<div style="margin-top:.3rem;font-size:.82rem;color:#1f4f2a;"><strong>' + tUI('brief_recommendation_lbl') + '</strong> ' +
                   escHtml(c.clinical_recommendation || c.suggested_intervention || '\u2014') + '</div>' +
                 '<div style="margin-top:.35rem;font-size:.8rem;color:#666;"><strong>' + tUI('certainty_gap_lbl') + '</strong> ' + escHtml(c.certainty_gap || '\u2014') + '</div>' +
@@ -2880,20 +6914,63 @@ const STEP_CONTENT = {
           }).join('');
         }
 
+        var evidencePanel = renderSignalEvidence(state.clinicalNote, r.cascades.map(function (c) {
+          return { id: c.signal_id, evidence_spans: c.evidence_spans };
+        }));
+        var contraindicated = sortForDisplay(r.cascades.filter(function (c) { return c.finding_level === 'contraindicated_cascade'; }));
         var plausible = sortForDisplay(r.cascades.filter(function (c) { return c.finding_level === 'plausible_cascade'; }));
         var preliminary = sortForDisplay(r.cascades.filter(function (c) { return c.finding_level === 'preliminary_signal'; }));
         cascadeContent =
+          evidencePanel +
+          (contraindicated.length
+            ? '<div style="margin-bottom:.8rem;padding:.45rem .6rem;background:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.bg + ';' +
+                'border:1px solid ' + DDI_SEVERITY_STYLE.CONTRAINDICATED.border + ';border-radius:5px;color:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.badge + ';">' +
+                '<strong>' + tUI('contraindicated_group', contraindicated.length) + '</strong></div>' +
+              renderCards(contraindicated)
+            : '') +
           '<div style="margin-bottom:.8rem;padding:.45rem .6rem;background:#eaf7ef;border:1px solid #b7dfc3;border-radius:5px;"><strong>' + tUI('plausible_group', plausible.length) + '</strong></div>' +
           (plausible.length ? renderCards(plausible) : '<p style="font-size:.82rem;color:#7f8c8d;">' + tUI('no_plausible') + '</p>') +
           '<div style="margin:.9rem 0 .8rem;padding:.45rem .6rem;background:#f3f4f6;border:1px solid #d6d9dd;border-radius:5px;"><strong>' + tUI('preliminary_group', preliminary.length) + '</strong></div>' +
           (preliminary.length ? renderCards(preliminary) : '<p style="font-size:.82rem;color:#7f8c8d;">' + tUI('no_preliminary') + '</p>');
       }
 
+      /* ── Root-cause view: one card per chain, root drug first ── */
+      var chainContent = (r.cascade_chains || []).map(function (ch) {
+        var nodes = ch.drugs.map(function (d, i) {
+          var isRoot = i === 0;
+          return '<span style="display:inline-block;border-radius:4px;padding:.14rem .5rem;font-size:.82rem;' +
+            (isRoot ? 'background:#b71c1c;color:#fff;font-weight:700;' : 'background:#f3f4f6;border:1px solid #d6d9dd;color:#2c3e50;') +
+            '">' + escHtml(d) + '</span>';
+        });
+        var seq = nodes[0];
+        ch.cascade_ids.forEach(function (id, i) {
+          seq += ' <span style="font-size:.74rem;color:#888;">&rarr; ' + escHtml(id) + ' &rarr;</span> ' + nodes[i + 1];
+        });
+        return (
+          '<div style="border:1px solid #f5c6cb;border-left:4px solid #b71c1c;border-radius:6px;padding:.7rem .9rem;margin:.55rem 0;background:#fff;">' +
+            '<div style="display:flex;justify-content:space-between;gap:.45rem;flex-wrap:wrap;font-size:.85rem;">' +
+              '<div><strong>' + tUI('chain_root_lbl') + '</strong> ' + escHtml(ch.root_drug) + '</div>' +
+              '<span style="font-size:.74rem;font-weight:700;color:#b71c1c;">' + tUI('chain_length', ch.length) + '</span>' +
+            '</div>' +
+            '<div style="margin-top:.45rem;line-height:2;">' + seq + '</div>' +
+            '<div style="margin-top:.3rem;font-size:.8rem;color:#57606a;">' + escHtml(ch.sequence) + '</div>' +
+            '<div style="margin-top:.4rem;font-size:.83rem;color:#1a5276;"><strong>' + tUI('chain_review_first') + '</strong> ' +
+              escHtml(ch.root_intervention || '\u2014') + '</div>' +
+          '</div>'
+        );
+      }).join('');
+
       var summaryInterventions = (summary.top_interventions || []).length
         ? '<ul style="margin:.35rem 0 0 1rem;">' +
             summary.top_interventions.map(function (it) { return '<li>' + escHtml(it) + '</li>'; }).join('') +
           '</ul>'
         : '<p style="margin:.35rem 0 0;color:#6b7280;font-size:.82rem;">' + tUI('no_dominant_interventions') + '</p>';
+      function burdenLine(labelKey, load) {
+        if (!load) return '';
+        return '<div' + (load.above_threshold ? ' style="color:#d35400;"' : '') + '><strong>' + tUI(labelKey) + '</strong> ' +
+          load.total +
+          (load.above_threshold ? ' (' + tUI('burden_above', load.threshold, escHtml(load.modifier_id)) + ')' : '') + '</div>';
+      }
       /* ── Export buttons ── */
       var exportRow = (
         '<div style="display:flex;gap:.6rem;flex-wrap:wrap;margin-top:1rem;">' +
@@ -2940,12 +7017,22 @@ const STEP_CONTENT = {
                   '<td style="padding:.28rem 0;">' +
                     escHtml(r.kb_version) + '&nbsp;<span style="color:#bbb;font-size:.8rem;">(' + escHtml(r.kb_mode) + ')</span>' +
                   '</td></tr>' +
+              '<tr><td style="padding:.28rem .5rem .28rem 0;color:#666;padding-right:1.5rem;">' + tUI('label_scoring_profile') + '</td>' +
+                  '<td style="padding:.28rem 0;">' + renderScoringProfileSelect(r.scoring_profile) + '</td></tr>' +
             '</table>'
           ) +
 
+          qtRiskAlert(r.qt_risk) +
+
+          section(tUI('section_ddi', r.ddi_count), renderDDIFindings(getDetectedDDIs(state.clinicalNote), false, true)) +
+
           section(tUI('section_drugs', r.drugs_detected.length),
             (r.drugs_detected.length
-              ? '<ul style="margin:.2rem 0 .2rem 1rem;font-size:.84rem;">' + r.drugs_detected.map(function (d) { return '<li>' + escHtml(d) + '</li>'; }).join('') + '</ul>'
+              ? '<ul style="margin:.2rem 0 .2rem 1rem;font-size:.84rem;">' + r.drugs_detected.map(function (d) {
+                  var reg = reportRegimen(r, d);
+                  return '<li>' + escHtml(d) +
+                    (reg ? ' <span style="color:#57606a;">&mdash; ' + escHtml(reg) + '</span>' : '') + '</li>';
+                }).join('') + '</ul>'
               : '<em style="color:#aaa;font-size:.85rem;">' + tUI('none_detected') + '</em>') +
             (r.diagnostics && r.diagnostics.inferredDrugsFromCascades
               ? '<p style="margin:.4rem 0 0;font-size:.75rem;color:#7f8c8d;">' +
@@ -2963,14 +7050,25 @@ const STEP_CONTENT = {
           section(tUI('section_summary'),
             '<div style="font-size:.84rem;line-height:1.45;">' +
               '<div><strong>' + tUI('total_findings') + '</strong> ' + summary.total_cascades + '</div>' +
+              (summary.contraindicated_cascades
+                ? '<div style="color:' + DDI_SEVERITY_STYLE.CONTRAINDICATED.badge + ';"><strong>' + tUI('label_contraindicated_cascades') + '</strong> ' + summary.contraindicated_cascades + '</div>'
+                : '') +
               '<div><strong>' + tUI('label_plausible') + '</strong> ' + (summary.plausible_cascades || 0) + '</div>' +
               '<div><strong>' + tUI('label_high_priority') + '</strong> ' + summary.high_priority_cascades + '</div>' +
+              '<div><strong>' + tUI('label_ddi_total') + '</strong> ' + (summary.total_ddis || 0) + '</div>' +
+              '<div><strong>' + tUI('label_ddi_contraindicated') + '</strong> ' + (summary.contraindicated_ddis || 0) + '</div>' +
+              '<div><strong>' + tUI('label_chains') + '</strong> ' + (summary.total_chains || 0) + '</div>' +
+              burdenLine('label_acb', r.anticholinergic_burden) +
+              burdenLine('label_fall_load', r.fall_risk_load) +
+              burdenLine('label_cns_load', r.cns_depressant_load) +
               '<div style="margin-top:.4rem;"><strong>' + tUI('main_interventions') + '</strong></div>' +
               summaryInterventions +
               '<div class="callout callout-warning" style="margin-top:.5rem;font-size:.8rem;">&#9888;&nbsp;' + escHtml(summary.validation_warning) + '</div>' +
             '</div>'
           ) +
 
+          (chainContent ? section(tUI('section_chains', r.cascade_chains.length), chainContent) : '') +
+
           section(tUI('section_findings', r.cascade_count), cascadeContent) +
 
           '<div class="callout callout-warning" style="margin-top:.85rem;font-size:.82rem;">' +
@@ -3049,7 +7147,8 @@ function exportJSON() {
       patientId: state.patientId,
       clinicalNote: state.clinicalNote,
       step: state.step,
-      cascadeClassifications: state.cascadeClassifications
+      cascadeClassifications: state.cascadeClassifications,
+      drugMatchReviews: state.drugMatchReviews
     };
     var blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
     var url  = URL.createObjectURL(blob);
@@ -3078,6 +7177,9 @@ function exportJSON() {
  * Contract:
  *   - Returns a new string[] (original array not mutated).
  *   - Deduplication is case-insensitive; original casing is preserved.
+ *   - A drug is also skipped when every drug it resolves to is already
+ *     present: the KB example "darunavir/cobicistat" adds nothing when the
+ *     note's Symtuza already gave darunavir and cobicistat.
  *   - Only index_drug and cascade_drug are used; ADE/symptom terms are never
  *     added (they live in detectedCascades[*].ade_en, not the drug fields).
  *   - detectedCascades entries with falsy drug fields are silently skipped.
@@ -3085,16 +7187,24 @@ function exportJSON() {
 function reconcileDrugsWithCascades(drugs, detectedCascades) {
   var result = drugs.slice();               /* copy — never mutate input */
   var seen   = {};
-  result.forEach(function (d) { seen[d.toLowerCase()] = true; });
+  var canonicalsOf = function (drug) {
+    return resolveDrugMentions(drug).map(function (m) { return m.canonical.toLowerCase(); });
+  };
+  var markSeen = function (drug) {
+    seen[drug.toLowerCase()] = true;
+    canonicalsOf(drug).forEach(function (c) { seen[c] = true; });
+  };
+  result.forEach(markSeen);
 
   (detectedCascades || []).forEach(function (c) {
     [c.index_drug, c.cascade_drug].forEach(function (drug) {
       if (!drug || typeof drug !== 'string') return;
       var key = drug.trim().toLowerCase();
-      if (key && !seen[key]) {
-        result.push(drug.trim());
-        seen[key] = true;
-      }
+      if (!key || seen[key]) return;
+      var canonicals = canonicalsOf(drug.trim());
+      if (canonicals.length && canonicals.every(function (k) { return seen[k]; })) return;
+      result.push(drug.trim());
+      markSeen(drug.trim());
     });
   });
 
@@ -3113,105 +7223,91 @@ function hasText(value) {
   return !!(value && String(value).trim());
 }
 
-/* ── Alternative-indication map ────────────────────────────────────────────
- * Each entry describes a well-established clinical condition that provides a
- * plausible independent (non-cascade) reason for the cascade drug to have been
- * prescribed.  Used by detectAlternativeIndication() to apply a conservative
- * confidence penalty when such a condition is mentioned in the clinical note.
- * ─────────────────────────────────────────────────────────────────────────── */
-var ALTERNATIVE_INDICATION_MAP = [
-  {
-    keywords_es: ['artrosis', 'osteoartritis', 'artritis crónica', 'dolor musculoesquelético', 'dolor crónico musculoesquelético', 'lumbalgia crónica', 'coxartrosis', 'gonartrosis'],
-    keywords_en: ['osteoarthritis', 'arthrosis', 'chronic arthritis', 'musculoskeletal pain', 'chronic musculoskeletal pain', 'chronic low back pain'],
-    cascade_drugs: ['ibuprofen', 'naproxen', 'naproxeno', 'celecoxib', 'diclofenac', 'diclofenaco', 'meloxicam', 'indometacin', 'indomethacin', 'ketorolac'],
-    reason_es: 'artrosis/dolor musculoesquelético crónico',
-    reason_en: 'osteoarthritis / chronic musculoskeletal pain'
-  },
-  {
-    keywords_es: ['reflujo gastroesofágico', 'erge', 'dispepsia', 'gastritis', 'úlcera péptica', 'pirosis crónica', 'esofagitis', 'reflujo previo'],
-    keywords_en: ['gerd', 'gastroesophageal reflux', 'dyspepsia', 'gastritis', 'peptic ulcer', 'chronic heartburn', 'esophagitis', 'prior reflux'],
-    cascade_drugs: ['omeprazole', 'omeprazol', 'esomeprazole', 'esomeprazol', 'pantoprazole', 'pantoprazol', 'lansoprazole', 'lansoprazol', 'rabeprazole', 'rabeprazol'],
-    reason_es: 'ERGE/dispepsia/gastritis previa',
-    reason_en: 'prior GERD / dyspepsia / gastritis'
-  },
-  {
-    keywords_es: ['hipertensión esencial', 'hta esencial', 'hta previa', 'hipertensión arterial crónica', 'hipertensión conocida', 'hipertensión arterial esencial', 'hta conocida'],
-    keywords_en: ['essential hypertension', 'prior hypertension', 'known hypertension', 'chronic hypertension', 'pre-existing hypertension'],
-    cascade_drugs: ['amlodipine', 'amlodipino', 'enalapril', 'lisinopril', 'losartan', 'losartán', 'valsartan', 'valsartán', 'ramipril', 'telmisartan', 'perindopril'],
-    reason_es: 'hipertensión arterial esencial previa',
-    reason_en: 'pre-existing essential hypertension'
-  },
-  {
-    keywords_es: ['parkinson', 'enfermedad de parkinson', 'enfermedad de parkinson conocida'],
-    keywords_en: ['parkinson', "parkinson's disease", 'parkinson disease', 'known parkinson'],
-    cascade_drugs: ['levodopa', 'carbidopa', 'ropinirole', 'ropinirol', 'pramipexole', 'pramipexol', 'rotigotine', 'rotigotina'],
-    reason_es: 'enfermedad de Parkinson conocida',
-    reason_en: 'known Parkinson disease'
-  },
-  {
-    keywords_es: ['diabetes mellitus', 'dm2', 'dm tipo 2', 'diabetes tipo 2', 'diabetes conocida', 'diabetes previa', 'diabetes mellitus tipo 2'],
-    keywords_en: ['diabetes mellitus', 'type 2 diabetes', 'known diabetes', 'pre-existing diabetes', 'diabetes mellitus type 2'],
-    cascade_drugs: ['metformin', 'metformina', 'sitagliptin', 'sitagliptina', 'empagliflozin', 'dapagliflozin', 'liraglutide', 'liraglutida', 'glipizide', 'glibenclamide', 'glibenclamida'],
-    reason_es: 'diabetes mellitus tipo 2 conocida',
-    reason_en: 'known type 2 diabetes mellitus'
-  }
-];
-
 /**
- * Check whether the clinical note contains a plausible independent diagnosis
- * that could explain why the cascade drug was prescribed, independently of
- * any adverse drug event from the index drug.
+ * Check whether the clinical note documents a plausible independent diagnosis
+ * for the cascade drug, i.e. a reason to prescribe it that does not involve
+ * an adverse drug event from the index drug.
  *
- * Uses ALTERNATIVE_INDICATION_MAP: a conservative list of well-established
- * diagnosis→drug relationships.  Returns { found: true } only when the note
- * explicitly mentions a recognised diagnosis keyword for that drug.
+ * Entries come from kb_alternative_indications.json.  An entry is considered
+ * when its `applies_to` scope names the signal's KB cascade (`cascade_ids`)
+ * or a class of the cascade drug (`drug_classes`, ancestors included), and
+ * matches when one of its keywords appears in the note.  Every matching entry
+ * is returned, in KB order.
  *
  * @param {string} noteText
- * @param {string} cascadeDrug  Canonical cascade drug name
- * @returns {{ found: boolean, reason: string }}
+ * @param {Object} signal  Cascade signal (cascade_id, cascade_drug, drug_resolution)
+ * @returns {{ found: boolean, reason: string,
+ *             matches: Array<{ id: string, reason: string, keyword: string, references: string[] }> }}
  */
-function detectAlternativeIndication(noteText, cascadeDrug) {
-  if (!hasText(noteText) || !hasText(cascadeDrug)) return { found: false, reason: '' };
-  var normNote    = normalizeDrugText(noteText);
-  var normCascade = normalizeDrugText(cascadeDrug);
-
-  for (var i = 0; i < ALTERNATIVE_INDICATION_MAP.length; i++) {
-    var entry = ALTERNATIVE_INDICATION_MAP[i];
+function detectAlternativeIndication(noteText, signal) {
+  var none = { found: false, reason: '', matches: [] };
+  var entries = (state.kb.alternativeIndications && state.kb.alternativeIndications.alternative_indications) || [];
+  if (!entries.length || !hasText(noteText) || !signal || !hasText(signal.cascade_drug)) return none;
+
+  var kbEntry   = findCascadeEntryForSignal(signal);
+  var cascadeId = kbEntry ? kbEntry.id : signal.cascade_id;
+  var mention   = (signal.drug_resolution && signal.drug_resolution.cascade) || { canonical: signal.cascade_drug };
+  var drugClasses = mentionClassNodes(getClassTaxonomy(), mention);
+  var normNote  = normalizeDrugText(noteText);
+
+  var matches = [];
+  entries.forEach(function (entry) {
+    var scope = entry.applies_to || {};
+    var inScope = (scope.cascade_ids || []).indexOf(cascadeId) !== -1 ||
+      (scope.drug_classes || []).some(function (c) { return drugClasses.indexOf(c) !== -1; });
+    if (!inScope) return;
 
-    /* Does the cascade drug match this indication entry? */
-    var drugMatch = entry.cascade_drugs.some(function (d) {
-      return normalizeDrugText(d) === normCascade;
+    /* Does the note explicitly mention the independent diagnosis? */
+    var keyword = (entry.keywords_es || []).concat(entry.keywords_en || []).find(function (kw) {
+      var norm = normalizeDrugText(kw);
+      return norm && normNote.indexOf(norm) !== -1;
     });
-    if (!drugMatch) continue;
+    if (!keyword) return;
+    matches.push({
+      id:         entry.id,
+      reason:     getLocalizedField(entry, 'reason', currentLanguage),
+      keyword:    keyword,
+      references: entry.references || []
+    });
+  });
 
-    /* Does the note explicitly mention the independent diagnosis? */
-    var allKeywords = (entry.keywords_es || []).concat(entry.keywords_en || []);
-    for (var ki = 0; ki < allKeywords.length; ki++) {
-      var kw = normalizeDrugText(allKeywords[ki]);
-      if (kw && normNote.indexOf(kw) !== -1) {
-        var reason = currentLanguage === 'es' ? entry.reason_es : entry.reason_en;
-        return { found: true, reason: reason };
-      }
-    }
-  }
-  return { found: false, reason: '' };
+  if (!matches.length) return none;
+  return {
+    found:   true,
+    reason:  matches.map(function (m) { return m.reason; }).join('; '),
+    matches: matches
+  };
+}
+
+function signalSpecificityRank(signalType) {
+  return signalType === 'symptom_bridge' ? 2 : signalType === 'therapeutic_plausibility' ? 1 : 0;
 }
 
 /**
  * Deduplication / overlap suppression layer.
  *
- * After all cascade signals (drug_drug + symptom_bridge) have been collected,
+ * After all cascade signals (drug_drug + symptom_bridge + therapeutic_plausibility)
+ * have been collected,
  * group them by their core pharmacological pair:
- *   key = normalized(index_drug) + '|' + normalized(cascade_drug)
+ *   key = signalDrugKey(index) + '|' + signalDrugKey(cascade)
+ *
+ * Each side is keyed by the canonical of the mention it resolved to, so
+ * "darunavir" (CC072) and "darunavir/cobicistat" (VIH001) meeting the same
+ * note mention fall into one group.
  *
  * Within each group, keep only the BEST signal and suppress the others.
  * Selection preference (in order):
- *   1. Higher confidence rank (high > medium > low)
- *   2. More specific signal type (symptom_bridge > drug_drug)
- *   3. Classic ('often_inappropriate') over context-dependent
+ *   1. A contraindicated cascade drug over any other mechanism
+ *   2. Higher confidence rank (high > medium > low)
+ *   3. Listed KB examples over a class-level match
+ *   4. More specific signal type (symptom_bridge > therapeutic_plausibility > drug_drug)
+ *   5. Classic ('often_inappropriate') over context-dependent
  *
- * Suppressed signal IDs are stored on the winner as suppressed_duplicates[]
- * for transparency in JSON export; they are not shown in the UI.
+ * The suppressed signals are kept whole on the winner as suppressed_duplicates[]
+ * (strongest first): the same pair can match several KB cascades through
+ * different ADEs, so Steps 4–6 list them as other possible mechanisms, each
+ * classifiable under its own signalReviewKey(), and buildReport() exports
+ * them.  A duplicate resolving to the winner's own KB cascade is dropped.
  *
  * @param {Array} signals
  * @returns {Array}
@@ -3219,10 +7315,10 @@ function detectAlternativeIndication(noteText, cascadeDrug) {
 function suppressDuplicateSignals(signals) {
   if (!signals || signals.length < 2) return signals;
 
-  /* Build groups keyed by (normalized index_drug | normalized cascade_drug) */
+  /* Build groups keyed by (resolved index drug | resolved cascade drug) */
   var groups = {};
   signals.forEach(function (sig) {
-    var key = normalizeDrugText(sig.index_drug || '') + '|' + normalizeDrugText(sig.cascade_drug || '');
+    var key = signalDrugKey(sig, 'index') + '|' + signalDrugKey(sig, 'cascade');
     if (!groups[key]) groups[key] = [];
     groups[key].push(sig);
   });
@@ -3235,26 +7331,37 @@ function suppressDuplicateSignals(signals) {
       return;
     }
 
-    /* Sort by preference: confidence → signal type → appropriateness */
+    /* Sort by preference: contraindicated → confidence → example vs class → signal type → appropriateness */
     group.sort(function (a, b) {
-      /* 1. Higher confidence wins */
+      /* 1. A contraindicated cascade drug outranks any other mechanism */
+      var contraDiff = (b.contraindicated ? 1 : 0) - (a.contraindicated ? 1 : 0);
+      if (contraDiff !== 0) return contraDiff;
+
+      /* 2. Higher confidence wins */
       var confDiff = confidenceRank(b.confidence) - confidenceRank(a.confidence);
       if (confDiff !== 0) return confDiff;
 
-      /* 2. symptom_bridge is more specific than drug_drug */
-      var aSpec = a.signal_type === 'symptom_bridge' ? 1 : 0;
-      var bSpec = b.signal_type === 'symptom_bridge' ? 1 : 0;
+      /* 3. Explicit examples beat a class-level match */
+      var classDiff = (a.class_match ? 1 : 0) - (b.class_match ? 1 : 0);
+      if (classDiff !== 0) return classDiff;
+
+      /* 4. symptom_bridge > therapeutic_plausibility > drug_drug */
+      var aSpec = signalSpecificityRank(a.signal_type);
+      var bSpec = signalSpecificityRank(b.signal_type);
       if (bSpec !== aSpec) return bSpec - aSpec;
 
-      /* 3. 'often_inappropriate' (classic) beats context-dependent */
+      /* 5. 'often_inappropriate' (classic) beats context-dependent */
       var aClassic = a.appropriateness === 'often_inappropriate' ? 1 : 0;
       var bClassic = b.appropriateness === 'often_inappropriate' ? 1 : 0;
       return bClassic - aClassic;
     });
 
+    /* A duplicate that resolves to the winner's own KB cascade is no other mechanism */
     var winner = group[0];
-    /* Attach suppressed IDs to winner for JSON-export transparency */
-    winner.suppressed_duplicates = group.slice(1).map(function (s) { return s.cascade_id; });
+    var winnerEntry = findCascadeEntryForSignal(winner);
+    winner.suppressed_duplicates = group.slice(1).filter(function (a) {
+      return !winnerEntry || findCascadeEntryForSignal(a) !== winnerEntry;
+    });
 
     result.push(winner);
   });
@@ -3273,6 +7380,25 @@ function detectDrugPairTemporality(noteText, signal) {
     return { status: 'unknown', detail: tUI('temporality_no_data') };
   }
 
+  /* Dated mentions take precedence over cue words; their status follows the
+   * temporal grade: T0 + T1 supportive, T0 + T2 weak, anything else
+   * contradictory (reversed, too soon or too far apart) */
+  var res = signal.drug_resolution || {};
+  var idxStart = res.index && res.index.start_date;
+  var casStart = res.cascade && res.cascade.start_date;
+  if (idxStart && casStart) {
+    var grade = signal.temporal_grade || gradeSignalTemporality(noteText, signal);
+    if (!grade.indeterminate) {
+      return { status: grade.cascade === 'T1' ? 'supportive' : 'weak', detail: tUI('temporality_dated', idxStart, casStart) };
+    }
+    return {
+      status: 'contradictory',
+      detail: casStart < idxStart
+        ? tUI('temporality_dated_reversed', idxStart, casStart)
+        : tUI('temporal_grade_detail', grade.label, grade.elapsed_days)
+    };
+  }
+
   var idxPos = signal.index_drug ? findTermInNote(noteText, signal.index_drug) : null;
   var casPos = signal.cascade_drug ? findTermInNote(noteText, signal.cascade_drug) : null;
   if (!idxPos && !casPos) {
@@ -3294,11 +7420,38 @@ function buildEvidenceProfile(signal, recommendationText, noteText) {
   var missing = [];
   var temporality = detectDrugPairTemporality(noteText, signal);
   var symptomMatch = false;
+
+  /* ── Temporal grade (pipeline_spec_v1.0.md §3–4) ───────────────────────
+   * A dated T0 + T1/T2 pair takes precedence over keyword cues (T1 counts as
+   * supportive, T2 as weak); dates that grade TX are contradictory (see
+   * detectDrugPairTemporality()).  Without supportive dates or cues the
+   * signal is TX-only: a "temporally indeterminate" advisory, never a
+   * plausible cascade.
+   * ─────────────────────────────────────────────────────────────────────── */
+  var grade = signal.temporal_grade || null;
+  if (grade && !grade.indeterminate) {
+    temporality = {
+      status: grade.cascade === 'T1' ? 'supportive' : 'weak',
+      detail: tUI('temporal_grade_detail', grade.label, grade.elapsed_days)
+    };
+  }
+  var datedAgainst = !!(grade && grade.elapsed_days !== null && grade.elapsed_days < 0);
+  var temporalAdvisory = !!(grade && grade.indeterminate) &&
+    (temporality.status !== 'supportive' || datedAgainst);
   var explicitKbIntervention = hasText(recommendationText) || signal.appropriateness === 'often_inappropriate';
   var explicitEvidence = hasText(signal.ddi_warning);
 
+  /* As-needed index drug: intermittent exposure (e.g. ibuprofen PRN in
+   * CC001) is a weaker cause than continuous therapy. */
+  var indexMeta = signal.drug_resolution && signal.drug_resolution.index;
+  var indexRegimen = indexMeta ? getDrugRegimens(noteText)[normalizeDrugText(indexMeta.canonical)] : null;
+  var occasionalUse = !!(indexRegimen && indexRegimen.prn);
+
   if (signal.signal_type === 'symptom_bridge') {
     supports.push(tUI('symptom_detected'));
+  } else if (signal.signal_type === 'therapeutic_plausibility') {
+    symptomMatch = true;
+    supports.push(tUI('ade_detected', (signal.rationale && signal.rationale.matchedAde) || signal.ade_en));
   } else {
     var matchedSymptoms = (state.symptomsDetected || []).filter(function (s) {
       /* Use normalizeSymptomText() so diacritic variants and mixed-case ADE
@@ -3308,6 +7461,12 @@ function buildEvidenceProfile(signal, recommendationText, noteText) {
     });
     symptomMatch = matchedSymptoms.length > 0;
     if (symptomMatch) supports.push(tUI('ade_detected', signal.ade_en));
+    var labAde = symptomMatch ? null : findLabADE(extractLabValues(noteText), [signal.ade_en, signal.ade_es]);
+    if (labAde) {
+      symptomMatch = true;
+      supports.push(tUI('lab_ade_detected', formatLabValue(labAde),
+        (currentLanguage === 'es' && signal.ade_es) ? signal.ade_es : signal.ade_en));
+    }
   }
 
   if (temporality.status === 'supportive') supports.push(temporality.detail);
@@ -3316,6 +7475,17 @@ function buildEvidenceProfile(signal, recommendationText, noteText) {
   if (explicitKbIntervention) supports.push(tUI('kb_has_recommendation'));
   if (explicitEvidence)       supports.push(tUI('explicit_kb_evidence'));
 
+  /* Class-only sides: the KB never named this drug for the cascade */
+  var classMatch = signal.class_match || null;
+  if (classMatch && classMatch.index)   missing.push(tUI('class_match_note', signal.index_drug, classMatch.index));
+  if (classMatch && classMatch.cascade) missing.push(tUI('class_match_note', signal.cascade_drug, classMatch.cascade));
+
+  if (occasionalUse) {
+    missing.push(tUI('index_prn_use', signal.index_drug));
+  } else if (indexRegimen && indexRegimen.doses_per_day) {
+    supports.push(tUI('index_scheduled_use', signal.index_drug, formatRegimen(indexRegimen)));
+  }
+
   var noteDrivenSupport = symptomMatch || temporality.status === 'supportive' || explicitEvidence;
   var hasClinicalSupport = signal.signal_type === 'symptom_bridge' || noteDrivenSupport;
   if (signal.signal_type === 'drug_drug' && !hasClinicalSupport) {
@@ -3326,12 +7496,13 @@ function buildEvidenceProfile(signal, recommendationText, noteText) {
    * Check whether the note contains a plausible independent diagnosis that
    * could explain the cascade drug without a prescribing cascade.
    * Conservative: only fires when a well-known diagnosis keyword is present.
-   * When found, adds an explicit "Qué falta" item so clinicians see the caveat.
+   * Each matched indication adds its own "Qué falta" item so clinicians see
+   * every caveat, not only the first.
    * ─────────────────────────────────────────────────────────────────────── */
-  var altIndication = detectAlternativeIndication(noteText, signal.cascade_drug);
-  if (altIndication.found) {
-    missing.push(tUI('alt_indication_note', altIndication.reason));
-  }
+  var altIndication = detectAlternativeIndication(noteText, signal);
+  altIndication.matches.forEach(function (m) {
+    missing.push(tUI('alt_indication_note', m.reason));
+  });
 
   /* ── HIV modifier-only down-weighting ──────────────────────────────────
    * A signal is "HIV-modifier-only" if it was upgraded by an HIV clinical
@@ -3348,60 +7519,179 @@ function buildEvidenceProfile(signal, recommendationText, noteText) {
     missing.push(tUI('hiv_modifier_only_note'));
   }
 
-  var isPreliminary = signal.signal_type === 'drug_drug' && !hasClinicalSupport;
+  if (temporalAdvisory) {
+    missing.push(tUI('temporal_tx_advisory'));
+  }
+
+  /* A contraindicated cascade drug is its own level: no note evidence is
+   * needed for the pair to warrant review. */
+  var contraindicated = !!signal.contraindicated;
+  if (contraindicated) supports.unshift(tUI('contraindicated_support', signal.cascade_drug, signal.index_drug));
+
+  var isPreliminary = (signal.signal_type === 'drug_drug' && !hasClinicalSupport) || temporalAdvisory;
   return {
-    level:       isPreliminary ? 'preliminary_signal' : 'plausible_cascade',
-    label:       isPreliminary ? tUI('level_preliminary_label') : tUI('level_plausible_label'),
-    levelReason: isPreliminary ? tUI('level_preliminary_reason') : tUI('level_plausible_reason'),
+    level:       contraindicated ? 'contraindicated_cascade'
+               : isPreliminary   ? 'preliminary_signal' : 'plausible_cascade',
+    label:       contraindicated ? tUI('level_contraindicated_label')
+               : isPreliminary   ? tUI('level_preliminary_label') : tUI('level_plausible_label'),
+    levelReason: contraindicated  ? tUI('level_contraindicated_reason')
+               : temporalAdvisory ? tUI('level_tx_reason')
+               : isPreliminary    ? tUI('level_preliminary_reason') : tUI('level_plausible_reason'),
+    contraindicated: contraindicated,            /* used by derivePharmacyPriority */
     supports: supports,
     missing: missing,
     hasClinicalSupport: hasClinicalSupport,
     temporality: temporality,
+    temporalAdvisory: temporalAdvisory,
+    occasionalUse: occasionalUse,                /* used by derivePharmacyPriority */
+    classMatchOnly: !!classMatch,                /* used by derivePharmacyPriority */
     altIndicationPenalty: altIndication.found,   /* used by derivePharmacyPriority */
+    alternativeIndications: altIndication.matches,
     hivModifierOnly: hivModifierOnly             /* used by derivePharmacyPriority */
   };
 }
 
+/* ============================================================
+   SCORING PROFILES — kb/scoring_profiles.json
+   Points per evidence factor and the priority thresholds used by
+   derivePharmacyPriority().  Sites pick a profile; every report
+   records the profile id and the file version.
+   ============================================================ */
+
+/* Used when kb/scoring_profiles.json is not loaded: the balanced profile */
+var FALLBACK_SCORING_PROFILE = {
+  id: 'balanced',
+  name_es: 'Equilibrado',
+  name_en: 'Balanced',
+  weights: {
+    confidence: { low: 1, medium: 2, high: 3 },
+    signal_type: { drug_drug: 1, symptom_bridge: 2, therapeutic_plausibility: 2 },
+    drug_drug_ade_named: 1,
+    actionable: 1,
+    no_clinical_support: -2,
+    temporal_supportive: 1,
+    temporal_weak: -1,
+    temporal_absent: -1,
+    nonspecific_symptom: -1,
+    alternative_indication: -1,
+    hiv_modifier_only: -1,
+    temporal_advisory: -1,
+    prn_use: -1,
+    class_match_only: -1
+  },
+  thresholds: { alta: 6, intermedia: 4 }
+};
+
+/**
+ * Scoring profile in use: state.scoringProfile when the loaded file has it,
+ * else the file's default_profile, else FALLBACK_SCORING_PROFILE.  `version`
+ * is the scoring file version ('' for the built-in fallback).
+ *
+ * @returns {{ id: string, name_es: string, name_en: string, version: string,
+ *   weights: Object, thresholds: { alta: number, intermedia: number } }}
+ */
+function getScoringProfile() {
+  var file = state.kb.scoringProfiles;
+  var profiles = (file && file.profiles) || [];
+  var byId = function (id) { return profiles.find(function (p) { return p.id === id; }); };
+  var profile = byId(state.scoringProfile) || byId(file && file.default_profile) || profiles[0];
+  if (!profile) return Object.assign({ version: '' }, FALLBACK_SCORING_PROFILE);
+  return Object.assign({}, profile, { version: file.version || '' });
+}
+
+/* ============================================================
+   Scoring profile selector
+   Called via inline onchange: setScoringProfile(id)
+   ============================================================ */
+window.setScoringProfile = function (id) {
+  state.scoringProfile = id;
+  try { localStorage.setItem(LS_PROFILE_KEY, id); } catch (e) { /* ignore */ }
+  renderStepContent(state.step);
+};
+
+/* Profile picker for the Step 6 case data; plain text when only one profile exists */
+function renderScoringProfileSelect(current) {
+  var file = state.kb.scoringProfiles;
+  var profiles = (file && file.profiles) || [];
+  var version = current.version ? ' <span style="color:#bbb;font-size:.8rem;">v' + escHtml(current.version) + '</span>' : '';
+  if (profiles.length < 2) return escHtml(current.name || current.id) + version;
+  return (
+    '<select onchange="setScoringProfile(this.value)" style="font-size:.84rem;padding:.1rem .3rem;">' +
+      profiles.map(function (p) {
+        var name = currentLanguage === 'es' ? p.name_es : p.name_en;
+        var desc = currentLanguage === 'es' ? p.description_es : p.description_en;
+        return '<option value="' + escHtml(p.id) + '"' + (p.id === current.id ? ' selected' : '') +
+          (desc ? ' title="' + escHtml(desc) + '"' : '') + '>' + escHtml(name || p.id) + '</option>';
+      }).join('') +
+    '</select>' + version
+  );
+}
+
+/**
+ * Pharmacy review priority of a signal under the current scoring profile.
+ * Besides the total and the text reasons, every factor that counted is
+ * returned as { factor, delta, source, label }: `factor` is the profile
+ * weight key, `source` the signal or evidence field it was read from and
+ * `label` the localised reason.  The factors sum to `score`.  A contraindicated
+ * cascade drug sets the level to 'alta' with `override` 'contraindicated_cascade'.
+ *
+ * @returns {{ level: string, label: string, score: number, reasons: Array<string>,
+ *   factors: Array<Object>, profile: string, thresholds: Object, override?: string }}
+ */
 function derivePharmacyPriority(signal, recommendationText, evidence) {
+  var profile = getScoringProfile();
+  var weights = profile.weights || {};
   var score = 0;
   var reasons = [];
+  var factors = [];
 
-  var confScore = confidenceRank(signal.confidence);
-  score += confScore;
-  reasons.push(tUI('prio_reason_probability', signal.confidence || 'low'));
-
-  var specificityScore = signal.signal_type === 'symptom_bridge' ? 2 : 1;
-  if (signal.signal_type === 'drug_drug' && hasText(signal.ade_en)) specificityScore += 1;
-  score += specificityScore;
-  reasons.push(
-    signal.signal_type === 'symptom_bridge'
-      ? tUI('prio_reason_symptom_bridge')
-      : tUI('prio_reason_pharmacological')
-  );
+  function add(factor, delta, source, label) {
+    score += delta;
+    reasons.push(label);
+    factors.push({ factor: factor, delta: delta, source: source, label: label });
+  }
+
+  /* Add a weighted factor; a factor the profile weighs at 0 is left out */
+  function apply(factor, reasonKey, source) {
+    var points = Number(weights[factor]) || 0;
+    if (points) add(factor, points, source, tUI(reasonKey));
+  }
+
+  var conf = CONFIDENCE_LEVELS.indexOf(signal.confidence) !== -1 ? signal.confidence : 'low';
+  add('confidence', Number((weights.confidence || {})[conf]) || 0, 'signal.confidence=' + conf,
+    tUI('prio_reason_probability', signal.confidence || 'low'));
+
+  add('signal_type', Number((weights.signal_type || {})[signal.signal_type]) || 0, 'signal.signal_type=' + signal.signal_type,
+    signal.signal_type === 'symptom_bridge'           ? tUI('prio_reason_symptom_bridge')
+      : signal.signal_type === 'therapeutic_plausibility' ? tUI('prio_reason_therapeutic_plausibility')
+      : tUI('prio_reason_pharmacological'));
+  if (signal.signal_type === 'drug_drug' && hasText(signal.ade_en)) {
+    var named = Number(weights.drug_drug_ade_named) || 0;
+    /* Scored since the first version but never listed among the reasons */
+    if (named) {
+      score += named;
+      factors.push({ factor: 'drug_drug_ade_named', delta: named, source: 'signal.ade_en', label: tUI('prio_reason_ade_named') });
+    }
+  }
 
   var hasClearIntervention = !!(recommendationText && recommendationText.trim()) ||
     signal.appropriateness === 'often_inappropriate';
   if (hasClearIntervention) {
-    score += 1;
-    reasons.push(tUI('prio_reason_actionable'));
+    apply('actionable', 'prio_reason_actionable',
+      recommendationText && recommendationText.trim() ? 'kb.recommended_first_action' : 'signal.appropriateness');
   } else {
     reasons.push(tUI('prio_reason_less_defined'));
   }
 
   if (evidence) {
-    if (!evidence.hasClinicalSupport) {
-      score -= 2;
-      reasons.push(tUI('prio_reason_no_clinical'));
-    }
+    if (!evidence.hasClinicalSupport) apply('no_clinical_support', 'prio_reason_no_clinical', 'evidence.hasClinicalSupport');
+    var temporalSource = 'evidence.temporality=' + evidence.temporality.status;
     if (evidence.temporality.status === 'supportive') {
-      score += 1;
-      reasons.push(tUI('prio_reason_temp_good'));
+      apply('temporal_supportive', 'prio_reason_temp_good', temporalSource);
     } else if (evidence.temporality.status === 'weak') {
-      score -= 1;
-      reasons.push(tUI('prio_reason_temp_weak'));
+      apply('temporal_weak', 'prio_reason_temp_weak', temporalSource);
     } else {
-      score -= 1;
-      reasons.push(tUI('prio_reason_no_temporal'));
+      apply('temporal_absent', 'prio_reason_no_temporal', temporalSource);
     }
   }
 
@@ -3410,34 +7700,42 @@ function derivePharmacyPriority(signal, recommendationText, evidence) {
   ) || signal.confidence === 'high';
 
   if (signal.signal_type === 'symptom_bridge' && isNonspecificSymptom(signal.ade_en) && !hasAdditionalSupport) {
-    score -= 1;
-    reasons.push(tUI('prio_reason_nonspecific'));
+    apply('nonspecific_symptom', 'prio_reason_nonspecific', 'signal.ade_en');
   }
 
   /* ── Alternative-indication penalty ────────────────────────────────────
    * If the note contains a plausible independent diagnosis that could explain
-   * the cascade drug on its own, reduce the score by 1.  This prevents the
+   * the cascade drug on its own, reduce the score.  This prevents the
    * signal from being over-called when the cascade drug likely has a primary
-   * non-cascade indication.  Applied conservatively (-1 only).
+   * non-cascade indication.
    * ─────────────────────────────────────────────────────────────────────── */
   if (evidence && evidence.altIndicationPenalty) {
-    score -= 1;
-    reasons.push(tUI('prio_reason_alt_indication'));
+    apply('alternative_indication', 'prio_reason_alt_indication', 'evidence.altIndicationPenalty');
   }
 
   /* ── HIV modifier-only down-weighting ──────────────────────────────────
    * Signals driven mainly by an HIV clinical context modifier but lacking
    * direct ADE evidence in the note should not outscore direct drug→ADE→drug
-   * patterns.  Apply a modest penalty (-1) to keep them correctly ranked.
+   * patterns.  A modest penalty keeps them correctly ranked.
    * ─────────────────────────────────────────────────────────────────────── */
-  if (evidence && evidence.hivModifierOnly) {
-    score -= 1;
-    reasons.push(tUI('prio_reason_hiv_modifier_only'));
-  }
+  if (evidence && evidence.hivModifierOnly) apply('hiv_modifier_only', 'prio_reason_hiv_modifier_only', 'evidence.hivModifierOnly');
+
+  if (evidence && evidence.temporalAdvisory) apply('temporal_advisory', 'prio_reason_temporal_advisory', 'evidence.temporalAdvisory');
+  if (evidence && evidence.occasionalUse)    apply('prn_use', 'prio_reason_prn_use', 'evidence.occasionalUse');
+  if (evidence && evidence.classMatchOnly)   apply('class_match_only', 'prio_reason_class_match', 'evidence.classMatchOnly');
 
-  if (score >= 6) return { level: 'alta',       label: tUI('prio_high'),   score: score, reasons: reasons };
-  if (score >= 4) return { level: 'intermedia',  label: tUI('prio_medium'), score: score, reasons: reasons };
-  return             { level: 'baja',            label: tUI('prio_low'),    score: score, reasons: reasons };
+  var thresholds = profile.thresholds || FALLBACK_SCORING_PROFILE.thresholds;
+  var result = { score: score, reasons: reasons, factors: factors, profile: profile.id, thresholds: thresholds };
+
+  /* A contraindicated cascade drug is high priority whatever the score; the
+   * factors still sum to `score` and `override` says why the level differs. */
+  if (evidence && evidence.contraindicated) {
+    reasons.unshift(tUI('prio_reason_contraindicated'));
+    return Object.assign({ level: 'alta', label: tUI('prio_high'), override: 'contraindicated_cascade' }, result);
+  }
+  if (score >= thresholds.alta)       return Object.assign({ level: 'alta',       label: tUI('prio_high') },   result);
+  if (score >= thresholds.intermedia) return Object.assign({ level: 'intermedia', label: tUI('prio_medium') }, result);
+  return                                     Object.assign({ level: 'baja',       label: tUI('prio_low') },    result);
 }
 
 function buildVerificationItems(signal) {
@@ -3451,6 +7749,10 @@ function buildVerificationItems(signal) {
     items.push(tUI('verif_symptom_active'));
   }
 
+  if (signal.signal_type === 'therapeutic_plausibility') {
+    items.push(tUI('verif_ade_treatment'));
+  }
+
   if (!signal.ade_en) {
     items.push(tUI('verif_no_ade'));
   }
@@ -3466,6 +7768,10 @@ function buildSignalExplanation(signal) {
     return tUI('signal_bridge_base') + temporal;
   }
 
+  if (signal.signal_type === 'therapeutic_plausibility') {
+    return tUI('signal_therapeutic_plausibility', signal.plausibility_weight, signal.plausibility_score);
+  }
+
   return tUI('signal_drug_drug');
 }
 
@@ -3493,19 +7799,57 @@ function buildReport() {
   var inferredCount   = reconciledDrugs.length - drugs.length;
   var normalized      = normalizeDrugs(reconciledDrugs);
 
+  var demographics    = extractDemographics(state.clinicalNote);
+  var scoringProfile  = getScoringProfile();
+
   /* Unique drug classes, preserving first-seen order */
+  var regimens = getDrugRegimens(state.clinicalNote);
+  var drugRegimens = [];
+  reconciledDrugs.forEach(function (d) {
+    var r = regimens[normalizeDrugText(d)];
+    if (!hasRegimen(r)) return;
+    drugRegimens.push({
+      drug:          d,
+      dose:          r.dose,
+      frequency:     r.frequency,
+      doses_per_day: r.doses_per_day,
+      route:         r.route,
+      prn:           r.prn,
+      regimen:       formatRegimen(r)
+    });
+  });
+
   var uniqueClasses = [];
   var _seenCls = {};
   normalized.forEach(function (n) {
     if (n.class && !_seenCls[n.class]) { _seenCls[n.class] = true; uniqueClasses.push(n.class); }
   });
 
+  var ddiFindings = getDetectedDDIs(state.clinicalNote).map(function (f) {
+    return {
+      ddi_id:            f.ddi_id,
+      severity:          f.severity,
+      severity_label:    tUI('ddi_sev_' + f.severity.toLowerCase()),
+      drug_a:            f.drug_a,
+      drug_b:            f.drug_b,
+      drugs_label:       f.drug_a + ' + ' + f.drug_b,
+      mechanism:         getLocalizedField(f, 'mechanism', currentLanguage),
+      consequence:       getLocalizedField(f, 'consequence', currentLanguage),
+      management:        getLocalizedField(f, 'management', currentLanguage),
+      cascade_relevance: getLocalizedField(f, 'cascade_relevance', currentLanguage),
+      safer_alternatives: getSaferAlternatives({ ddi_id: f.ddi_id, drugs: [f.drug_a, f.drug_b] }, state.clinicalNote)
+    };
+  });
+  var contraindicatedDDIs = ddiFindings.filter(function (f) { return f.severity === 'CONTRAINDICATED'; });
+
   var cascades = detected.map(function (c) {
     var entry = findCascadeEntryForSignal(c);
     var rec   = entry
       ? (getLocalizedField(entry, 'recommended_first_action', currentLanguage) ||
          getLocalizedField(entry, 'clinical_note', currentLanguage))
       : (c.clinical_hint || '');
+    /* For a contraindicated cascade drug the KB warning is the intervention */
+    if (c.contraindicated && entry) rec = getLocalizedField(entry, 'ddi_warning', currentLanguage) || rec;
     var evidence = buildEvidenceProfile(c, rec, state.clinicalNote);
     var priority = derivePharmacyPriority(c, rec, evidence);
     var clinicalInterpretation = buildClinicalInterpretation(c, entry);
@@ -3524,8 +7868,27 @@ function buildReport() {
       ? (getLocalizedField(entry, 'name', currentLanguage) || c.cascade_name)
       : ((currentLanguage === 'es' && c.cascade_name_es) ? c.cascade_name_es : c.cascade_name);
 
+    /* Same pair, other KB cascades — reviewed separately under their own signal id */
+    var alternates = (c.suppressed_duplicates || []).map(function (a) {
+      var altEntry = findCascadeEntryForSignal(a);
+      var altAde   = (currentLanguage === 'es' && a.ade_es) ? a.ade_es : (a.ade_en || '');
+      return {
+        cascade_id:          (altEntry && altEntry.id) ? altEntry.id : a.cascade_id,
+        signal_id:           a.cascade_id,
+        cascade_name:        altEntry
+          ? (getLocalizedField(altEntry, 'name', currentLanguage) || a.cascade_name)
+          : ((currentLanguage === 'es' && a.cascade_name_es) ? a.cascade_name_es : a.cascade_name),
+        signal_type:         a.signal_type,
+        confidence:          a.confidence,
+        ade_display:         altAde,
+        sequence:            a.index_drug + ' \u2192 ' + (altAde || tUI('seq_potential_ade')) + ' \u2192 ' + a.cascade_drug,
+        verification_status: state.cascadeClassifications[signalReviewKey(a)] || 'unreviewed'
+      };
+    });
+
     return {
       cascade_id:              displayId,
+      signal_id:               c.cascade_id,
       cascade_name:            displayName,
       index_drug:              c.index_drug,
       cascade_drug:            c.cascade_drug,
@@ -3533,7 +7896,7 @@ function buildReport() {
       ade_en:                  c.ade_en  || '',
       ade_display:             adeDisplay,
       clinical_recommendation: rec,
-      verification_status:     state.cascadeClassifications[c.cascade_id] || 'unreviewed',
+      verification_status:     state.cascadeClassifications[signalReviewKey(c)] || 'unreviewed',
       sequence:                c.index_drug + ' \u2192 ' + (adeDisplay || tUI('seq_potential_ade')) + ' \u2192 ' + c.cascade_drug,
       clinical_interpretation: clinicalInterpretation,
       factors_in_favor:        factorsInFavor,
@@ -3541,6 +7904,13 @@ function buildReport() {
       suggested_intervention:  rec || tUI('no_kb_intervention'),
       pharmacy_priority:       priority.label,
       pharmacy_priority_level: priority.level,
+      priority_breakdown:      {
+        profile:    priority.profile,
+        score:      priority.score,
+        thresholds: priority.thresholds,
+        factors:    priority.factors,
+        override:   priority.override || null
+      },
       trigger_explanation:     buildSignalExplanation(c),
       certainty_gap:           tUI('certainty_gap_text'),
       finding_level:           evidence.level,
@@ -3548,11 +7918,39 @@ function buildReport() {
       support_summary:         evidence.supports.length ? evidence.supports.join(' | ') : tUI('no_support_summary'),
       missing_summary:         evidence.missing.length ? evidence.missing.join(' | ') : tUI('no_missing_summary'),
       level_reason:            evidence.levelReason,
-      temporal_support:        evidence.temporality.status
+      temporal_support:        evidence.temporality.status,
+      temporal_grade:          c.temporal_grade ? c.temporal_grade.label : 'TX + TX',
+      temporal_grading:        c.temporal_grade || null,
+      temporal_advisory:       evidence.temporalAdvisory,
+      modifier_effects:        c.modifier_effects || [],
+      alternative_indications: evidence.alternativeIndications,
+      alternate_mechanisms:    alternates,
+      safer_alternatives:      getSaferAlternatives({ cascade_id: displayId, drugs: [c.index_drug, c.cascade_drug] }, state.clinicalNote),
+      evidence_spans:          c.evidence_spans || []
+    };
+  });
+
+  /* Chains reuse each link's report entry (display id, ADE, intervention) */
+  var cascadeChains = detectCascadeChains(detected).map(function (chain) {
+    var links = chain.signals.map(function (sig) { return cascades[detected.indexOf(sig)]; });
+    var sequence = chain.root_drug;
+    links.forEach(function (l) {
+      sequence += ' \u2192 ' + (l.ade_display || tUI('seq_potential_ade')) + ' \u2192 ' + l.cascade_drug;
+    });
+    return {
+      chain_id:          chain.chain_id,
+      root_drug:         chain.root_drug,
+      length:            chain.length,
+      drugs:             chain.drugs,
+      cascade_ids:       links.map(function (l) { return l.cascade_id; }),
+      sequence:          sequence,
+      root_intervention: links[0].suggested_intervention
     };
   });
 
   cascades.sort(function (a, b) {
+    var byContra = (b.finding_level === 'contraindicated_cascade' ? 1 : 0) - (a.finding_level === 'contraindicated_cascade' ? 1 : 0);
+    if (byContra !== 0) return byContra;
     var byPriority = priorityRank(b.pharmacy_priority_level) - priorityRank(a.pharmacy_priority_level);
     if (byPriority !== 0) return byPriority;
     var aLevel = a.finding_level === 'plausible_cascade' ? 1 : 0;
@@ -3561,10 +7959,18 @@ function buildReport() {
     return confidenceRank(b.confidence) - confidenceRank(a.confidence);
   });
 
+  var contraindicatedCount = cascades.filter(function (c) { return c.finding_level === 'contraindicated_cascade'; }).length;
   var plausibleCount = cascades.filter(function (c) { return c.finding_level === 'plausible_cascade'; }).length;
   var highPriorityCount = cascades.filter(function (c) { return c.pharmacy_priority_level === 'alta'; }).length;
   var topInterventions = [];
   var seenInterventions = {};
+  /* Contraindicated DDIs outrank every cascade intervention (pipeline spec §4) */
+  contraindicatedDDIs.forEach(function (f) {
+    var key = (f.management || '').trim().toLowerCase();
+    if (!key || seenInterventions[key]) return;
+    seenInterventions[key] = true;
+    topInterventions.push(f.management);
+  });
   cascades.forEach(function (c) {
     var key = (c.suggested_intervention || '').trim().toLowerCase();
     if (!key || seenInterventions[key]) return;
@@ -3577,8 +7983,36 @@ function buildReport() {
     generated_at:       new Date().toISOString(),
     kb_version:         getKBVersion(),
     kb_mode:            state.kbMode,
+    scoring_profile:    {
+      id:      scoringProfile.id,
+      name:    currentLanguage === 'es' ? scoringProfile.name_es : scoringProfile.name_en,
+      version: scoringProfile.version
+    },
     drugs_detected:     reconciledDrugs,
     drug_classes:       uniqueClasses,
+    drug_regimens:      drugRegimens,
+    inactive_drug_mentions: getInactiveDrugMentions(state.clinicalNote).map(function (m) {
+      return { drug: m.drug, mention: m.mention, status: m.status, status_label: tUI('drug_status_' + m.status), cue: m.cue };
+    }),
+    fuzzy_drug_matches: getFuzzyDrugSuggestions(state.clinicalNote),
+    anticholinergic_burden: describeMedicationBurden(computeAnticholinergicBurden(state.clinicalNote), 'acb_total'),
+    fall_risk_load:     describeMedicationBurden(computeRiskTagLoad(state.clinicalNote, 'fall_risk'), 'fall_risk_load'),
+    cns_depressant_load: describeMedicationBurden(computeRiskTagLoad(state.clinicalNote, 'cns_depressant'), 'cns_depressant_load'),
+    qt_risk:            computeQtRisk(state.clinicalNote),
+    demographics:       {
+      age:          demographics.age ? demographics.age.value : null,
+      sex:          demographics.sex ? demographics.sex.value : null,
+      weight_kg:    demographics.weight ? demographics.weight.value : null,
+      height_cm:    demographics.height ? demographics.height.value : null,
+      bmi:          demographics.bmi ? demographics.bmi.value : null,
+      bmi_computed: !!(demographics.bmi && demographics.bmi.computed)
+    },
+    lab_values:         extractLabValues(state.clinicalNote).map(function (l) {
+      return {
+        analyte: l.analyte, value: l.value, unit: l.unit, comparator: l.comparator, qualifier: l.qualifier,
+        flag: l.flag, text: l.text, date: l.date, display: formatLabValue(l)
+      };
+    }),
     diagnostics: {
       inferredDrugsFromCascades: inferredCount > 0,
       inferredDrugCount:         inferredCount
@@ -3586,62 +8020,153 @@ function buildReport() {
     symptoms_detected:  state.symptomsDetected.map(function (s) {
       return { id: s.id, term: s.term, matched_term: s.matched_term, category: s.category };
     }),
+    ddi_count:          ddiFindings.length,
+    ddi_findings:       ddiFindings,
     cascade_count:      detected.length,
     cascades:           cascades,
+    cascade_chains:     cascadeChains,
     clinical_summary: {
       total_cascades: detected.length,
+      total_chains: cascadeChains.length,
+      contraindicated_cascades: contraindicatedCount,
       plausible_cascades: plausibleCount,
       high_priority_cascades: highPriorityCount,
+      total_ddis: ddiFindings.length,
+      contraindicated_ddis: contraindicatedDDIs.length,
       top_interventions: topInterventions.slice(0, 3),
       validation_warning: tUI('validation_warning')
     }
   };
 }
 
+/* Formatted regimen for `drug` from report.drug_regimens, or '' */
+function reportRegimen(report, drug) {
+  var hit = (report.drug_regimens || []).find(function (r) { return r.drug === drug; });
+  return hit ? hit.regimen : '';
+}
+
+/* "simvastatin \u2192 pravastatin, rosuvastatin [DDI028 MODERATE: lopinavir/ritonavir]" */
+function formatSaferAlternatives(list) {
+  return list.map(function (s) {
+    return s.replaces + ' \u2192 ' + s.alternatives.map(function (a) {
+      return a.drug + (a.ddis.length ? ' [' + a.ddis.map(function (d) {
+        return d.ddi_id + ' ' + d.severity + ': ' + d.partner;
+      }).join('; ') + ']' : '');
+    }).join(', ');
+  }).join('; ');
+}
+
 function formatReportForClinicalRecord(report) {
   var lines = [];
   lines.push(tUI('report_header'));
   lines.push(tUI('report_patient') + (report.patient_id || tUI('report_not_set')));
   lines.push(tUI('report_date') + report.generated_at);
   lines.push(tUI('report_kb') + report.kb_mode + (report.kb_version ? ' v' + report.kb_version : ''));
+  if (report.scoring_profile) {
+    lines.push(tUI('report_scoring') + report.scoring_profile.id +
+      (report.scoring_profile.version ? ' v' + report.scoring_profile.version : ''));
+  }
   lines.push('');
   lines.push(tUI('report_summary'));
   lines.push(tUI('report_total') + report.cascade_count);
+  lines.push(tUI('report_contraindicated_count') + (report.clinical_summary && report.clinical_summary.contraindicated_cascades ? report.clinical_summary.contraindicated_cascades : 0));
   lines.push(tUI('report_plausible_count') + (report.clinical_summary && report.clinical_summary.plausible_cascades ? report.clinical_summary.plausible_cascades : 0));
   lines.push(tUI('report_high_prio') + (report.clinical_summary && report.clinical_summary.high_priority_cascades ? report.clinical_summary.high_priority_cascades : 0));
-  lines.push(tUI('report_drugs_list') + (report.drugs_detected.join(', ') || tUI('report_none')));
+  lines.push(tUI('report_ddi_count') + (report.ddi_count || 0));
+  lines.push(tUI('report_ddi_contraindicated') + (report.clinical_summary && report.clinical_summary.contraindicated_ddis ? report.clinical_summary.contraindicated_ddis : 0));
+  lines.push(tUI('report_drugs_list') + (report.drugs_detected.map(function (d) {
+    var reg = reportRegimen(report, d);
+    return reg ? d + ' (' + reg + ')' : d;
+  }).join(', ') || tUI('report_none')));
   lines.push(tUI('report_classes_list') + (report.drug_classes.join(', ') || tUI('report_not_classified')));
+  function pushBurden(key, load, drugLabel) {
+    if (!load) return;
+    lines.push(tUI(key) + load.total +
+      (load.drugs.length ? ' (' + load.drugs.map(drugLabel).join(', ') + ')' : '') +
+      (load.above_threshold ? ' [' + tUI('report_burden_above', load.threshold, load.modifier_id) + ']' : ''));
+  }
+  pushBurden('report_acb', report.anticholinergic_burden, function (d) { return d.drug + ' ' + d.score; });
+  pushBurden('report_fall_load', report.fall_risk_load, function (d) { return d.drug; });
+  pushBurden('report_cns_load', report.cns_depressant_load, function (d) { return d.drug; });
+  var qt = report.qt_risk;
+  if (qt && qt.alert) {
+    lines.push(tUI('report_qt_alert', tUI('qt_level_' + qt.level), qt.total) + qt.drugs.map(function (d) {
+      return d.drug + ' [' + tUI('report_qt_cat_' + d.category) + (d.boosted ? '; ' + tUI('report_qt_boosted') : '') + ']';
+    }).join(', ') + (qt.boosters.length ? '; ' + tUI('report_qt_boosters') + qt.boosters.join(', ') : ''));
+    qt.monitoring.forEach(function (m) { lines.push('   - ' + m); });
+  }
+  var demo = report.demographics || {};
+  var demoParts = [
+    demo.age !== null && demo.age !== undefined ? tUI('report_demo_age', demo.age) : '',
+    demo.sex ? tUI('report_demo_' + demo.sex) : '',
+    demo.weight_kg ? demo.weight_kg + ' kg' : '',
+    demo.height_cm ? demo.height_cm + ' cm' : '',
+    demo.bmi ? tUI('report_demo_bmi') + demo.bmi : ''
+  ].filter(Boolean);
+  if (demoParts.length) lines.push(tUI('report_demographics') + demoParts.join(', '));
+  if (report.lab_values && report.lab_values.length) {
+    lines.push(tUI('report_labs_list') + report.lab_values.map(function (l) {
+      return l.display + (l.flag ? ' (' + tUI('lab_flag_' + l.flag) + ')' : '');
+    }).join(', '));
+  }
   lines.push('');
 
+  if (report.ddi_findings && report.ddi_findings.length) {
+    lines.push(tUI('report_ddi_section', report.ddi_findings.length));
+    report.ddi_findings.forEach(function (f, idx) {
+      lines.push((idx + 1) + '. ' + f.drugs_label + ' [' + f.ddi_id + '] \u2014 ' + f.severity_label);
+      lines.push(tUI('report_ddi_consequence') + (f.consequence || '\u2014'));
+      lines.push(tUI('report_ddi_management') + (f.management || '\u2014'));
+      if (f.safer_alternatives.length) lines.push(tUI('report_safer_alts') + formatSaferAlternatives(f.safer_alternatives));
+    });
+    lines.push('');
+  }
+
+  if (report.cascade_chains && report.cascade_chains.length) {
+    lines.push(tUI('report_chains_section', report.cascade_chains.length));
+    report.cascade_chains.forEach(function (ch, idx) {
+      lines.push((idx + 1) + '. ' + ch.sequence + ' [' + ch.cascade_ids.join(', ') + ']');
+      lines.push(tUI('report_chain_root') + ch.root_drug);
+      lines.push(tUI('report_chain_first') + (ch.root_intervention || tUI('report_no_rec')));
+    });
+    lines.push('');
+  }
+
   if (!report.cascades.length) {
     lines.push(tUI('report_no_cascades'));
   } else {
+    var contraindicated = report.cascades.filter(function (c) { return c.finding_level === 'contraindicated_cascade'; });
     var plausible = report.cascades.filter(function (c) { return c.finding_level === 'plausible_cascade'; });
     var preliminary = report.cascades.filter(function (c) { return c.finding_level === 'preliminary_signal'; });
-    lines.push(tUI('report_plausible_section', plausible.length));
-    plausible.forEach(function (c, idx) {
+    var pushCascade = function (c, idx) {
       lines.push((idx + 1) + '. ' + c.cascade_name + ' [' + c.cascade_id + ']');
       lines.push(tUI('report_seq') + c.sequence);
       lines.push(tUI('report_finding') + c.finding_level);
       lines.push(tUI('report_prio') + c.pharmacy_priority);
       lines.push(tUI('report_verif') + c.verification_status);
+      if (c.alternate_mechanisms.length) {
+        lines.push(tUI('report_alt_mechanisms') + c.alternate_mechanisms.map(function (a) {
+          return (a.ade_display || tUI('seq_potential_ade')) + ' [' + a.cascade_id + '] (' + a.verification_status + ')';
+        }).join('; '));
+      }
+      lines.push(tUI('report_temporal') + (c.temporal_advisory ? tUI('temporal_indeterminate') + ' (' + c.temporal_grade + ')' : c.temporal_grade));
       lines.push(tUI('report_evidence') + (c.support_summary || tUI('report_no_support')));
       lines.push(tUI('report_missing_conf') + (c.missing_summary || tUI('report_no_gaps')));
       lines.push(tUI('report_rec') + (c.clinical_recommendation || c.suggested_intervention || tUI('report_no_rec')));
-    });
+      if (c.safer_alternatives.length) lines.push(tUI('report_safer_alts') + formatSaferAlternatives(c.safer_alternatives));
+    };
+
+    if (contraindicated.length) {
+      lines.push(tUI('report_contraindicated_section', contraindicated.length));
+      contraindicated.forEach(pushCascade);
+      lines.push('');
+    }
+    lines.push(tUI('report_plausible_section', plausible.length));
+    plausible.forEach(pushCascade);
 
     lines.push('');
     lines.push(tUI('report_preliminary_section', preliminary.length));
-    preliminary.forEach(function (c, idx) {
-      lines.push((idx + 1) + '. ' + c.cascade_name + ' [' + c.cascade_id + ']');
-      lines.push(tUI('report_seq') + c.sequence);
-      lines.push(tUI('report_finding') + c.finding_level);
-      lines.push(tUI('report_prio') + c.pharmacy_priority);
-      lines.push(tUI('report_verif') + c.verification_status);
-      lines.push(tUI('report_evidence') + (c.support_summary || tUI('report_no_support')));
-      lines.push(tUI('report_missing_conf') + (c.missing_summary || tUI('report_no_gaps')));
-      lines.push(tUI('report_rec') + (c.clinical_recommendation || c.suggested_intervention || tUI('report_no_rec')));
-    });
+    preliminary.forEach(pushCascade);
   }
 
   if (report.clinical_summary && report.clinical_summary.top_interventions && report.clinical_summary.top_interventions.length) {
@@ -3728,10 +8253,11 @@ window.exportReport = function (format) {
   if (format === 'csv') {
     /* One row per cascade; header + data rows */
     var csvCols = [
-      'patient_id', 'generated_at', 'kb_version',
+      'patient_id', 'generated_at', 'kb_version', 'scoring_profile', 'scoring_profile_version',
       'cascade_id', 'cascade_name',
       'index_drug', 'cascade_drug', 'confidence', 'ade_en',
-      'clinical_recommendation', 'verification_status', 'finding_level', 'temporal_support'
+      'clinical_recommendation', 'verification_status', 'finding_level', 'temporal_support',
+      'temporal_grade'
     ];
     /* RFC 4180 cell quoting: wrap in " and double any inner " */
     function csvCell(v) {
@@ -3743,9 +8269,10 @@ window.exportReport = function (format) {
       /* Single data row indicating no cascades */
       rows.push([
         csvCell(report.patient_id), csvCell(report.generated_at), csvCell(report.kb_version),
+        csvCell(report.scoring_profile.id), csvCell(report.scoring_profile.version),
         csvCell(''), csvCell(tUI('report_no_cascades')),
         csvCell(''), csvCell(''), csvCell(''), csvCell(''),
-        csvCell(''), csvCell(''), csvCell(''), csvCell('')
+        csvCell(''), csvCell(''), csvCell(''), csvCell(''), csvCell('')
       ].join(','));
     } else {
       report.cascades.forEach(function (c) {
@@ -3753,6 +8280,8 @@ window.exportReport = function (format) {
           csvCell(report.patient_id),
           csvCell(report.generated_at),
           csvCell(report.kb_version),
+          csvCell(report.scoring_profile.id),
+          csvCell(report.scoring_profile.version),
           csvCell(c.cascade_id),
           csvCell(c.cascade_name),
           csvCell(c.index_drug),
@@ -3762,7 +8291,8 @@ window.exportReport = function (format) {
           csvCell(c.clinical_recommendation),
           csvCell(c.verification_status),
           csvCell(c.finding_level),
-          csvCell(c.temporal_support)
+          csvCell(c.temporal_support),
+          csvCell(c.temporal_grade)
         ].join(','));
       });
     }
@@ -3836,6 +8366,11 @@ function importCase(file) {
         state.cascadeClassifications = data.cascadeClassifications;
         imported++;
       }
+      /* Restore fuzzy drug match reviews if present */
+      if (data.drugMatchReviews && typeof data.drugMatchReviews === 'object' &&
+          !Array.isArray(data.drugMatchReviews)) {
+        state.drugMatchReviews = data.drugMatchReviews;
+      }
 
       if (imported === 0) {
         throw new Error('No recognizable case data found in this file. Make sure it was exported by this application.');
@@ -3844,6 +8379,7 @@ function importCase(file) {
       /* Reset derived state that depends on the imported note */
       state.symptomsDetected = [];
       state.detectedCascades = null;
+      state.detectedDDIs = null;
 
       var pidEl = document.getElementById('patient-id');
       if (pidEl) pidEl.value = state.patientId;
@@ -3885,46 +8421,49 @@ function newCase() {
  * Scenario: PLHIV on ART + amlodipine (antihypertensive) → ankle oedema
  * → furosemide (diuretic) prescribed = classic CCB→oedema→diuretic cascade (CC004).
  * Also includes ibuprofen PRN → hypertension context (CC001). */
+/* Pseudonymised demo note, also used by the self-tests */
+var DEMO_CLINICAL_NOTE = [
+  'NOTA CLÍNICA — CASO PSEUDONIMIZADO (DEMO)',
+  'Paciente ID: DEMO-001 | Fecha: 2024-03-15 | Servicio: VIH / Enfermedades Infecciosas',
+  '',
+  '=== RESUMEN DEL PACIENTE ===',
+  'Varón de 58 años, persona que vive con el VIH (PVVIH) desde 2010.',
+  'TAR estable: darunavir/cobicistat/emtricitabina/tenofovir alafenamida (Symtuza) desde 2019.',
+  'CD4: 620 células/μL (ene 2024). Carga viral: indetectable (<50 copias/mL, ene 2024).',
+  '',
+  '=== COMORBILIDADES Y MEDICACIÓN ACTIVA ===',
+  '1. Hipertensión arterial — amlodipine 5mg/día (desde jul 2021)',
+  '2. Edema bilateral de tobillos — nuevo inicio sep 2022.',
+  '   Tratado con furosemide 40mg/día desde feb 2023 (derivación a cardiología).',
+  '   Ecocardiograma normal (nov 2022).',
+  '3. Dislipemia — atorvastatin 20mg/noche (desde jun 2021)',
+  '4. Diabetes mellitus tipo 2 — metformin 1g/12h (desde ene 2024; era 500mg/12h desde jun 2023)',
+  '5. Artrosis lumbar crónica — ibuprofen 600mg/8h a demanda (último ciclo feb 2024, 5 días)',
+  '6. Insomnio — zolpidem 5mg nocturno (desde abr 2023)',
+  '',
+  '=== SÍNTOMAS ACTUALES ===',
+  '- Edema maleolar bilateral, con fóvea, moderado. Inicio sep 2022. Peor al final del día.',
+  '  Sin disnea ni ortopnea. Eco normal.',
+  '- Insomnio de inicio: dificultad para conciliar el sueño desde mar 2023.',
+  '- Poliuria/polidipsia leve desde may 2023.',
+  '',
+  '=== ANALÍTICA (ene 2024) ===',
+  'Creatinina: 98 μmol/L, FGe: 72 mL/min/1,73m². Potasio: 3,5 mmol/L (límite bajo).',
+  'Colesterol total: 5,1 mmol/L. TG: 2,8 mmol/L (↑). CK: 180 UI/L.',
+  'ALT: 28 UI/L. HbA1c: 6,9%.',
+  '',
+  '=== NOTAS DEL CLÍNICO ===',
+  'Paciente con polimedicación creciente. Preocupa posible cascada de prescripción:',
+  '¿es el edema de tobillo un efecto adverso del amlodipine tratado con furosemide?',
+  '¿Podría reducirse o suspenderse el diurético si se modifica el antihipertensivo?',
+  'Solicita revisión farmacoterapéutica completa e informe de cascadas.'
+].join('\n');
+
 function loadDemoCase() {
   if (state.clinicalNote && !confirm(tUI('confirm_load_demo'))) return;
   clearState();
   state.patientId = 'DEMO-001';
-  state.clinicalNote = [
-    'NOTA CLÍNICA — CASO PSEUDONIMIZADO (DEMO)',
-    'Paciente ID: DEMO-001 | Fecha: 2024-03-15 | Servicio: VIH / Enfermedades Infecciosas',
-    '',
-    '=== RESUMEN DEL PACIENTE ===',
-    'Varón de 58 años, persona que vive con el VIH (PVVIH) desde 2010.',
-    'TAR estable: darunavir/cobicistat/emtricitabina/tenofovir alafenamida (Symtuza) desde 2019.',
-    'CD4: 620 células/μL (ene 2024). Carga viral: indetectable (<50 copias/mL, ene 2024).',
-    '',
-    '=== COMORBILIDADES Y MEDICACIÓN ACTIVA ===',
-    '1. Hipertensión arterial — amlodipine 5mg/día (desde jul 2021)',
-    '2. Edema bilateral de tobillos — nuevo inicio sep 2022.',
-    '   Tratado con furosemide 40mg/día desde feb 2023 (derivación a cardiología).',
-    '   Ecocardiograma normal (nov 2022).',
-    '3. Dislipemia — atorvastatin 20mg/noche (desde jun 2021)',
-    '4. Diabetes mellitus tipo 2 — metformin 1g/12h (desde ene 2024; era 500mg/12h desde jun 2023)',
-    '5. Artrosis lumbar crónica — ibuprofen 600mg/8h a demanda (último ciclo feb 2024, 5 días)',
-    '6. Insomnio — zolpidem 5mg nocturno (desde abr 2023)',
-    '',
-    '=== SÍNTOMAS ACTUALES ===',
-    '- Edema maleolar bilateral, con fóvea, moderado. Inicio sep 2022. Peor al final del día.',
-    '  Sin disnea ni ortopnea. Eco normal.',
-    '- Insomnio de inicio: dificultad para conciliar el sueño desde mar 2023.',
-    '- Poliuria/polidipsia leve desde may 2023.',
-    '',
-    '=== ANALÍTICA (ene 2024) ===',
-    'Creatinina: 98 μmol/L, FGe: 72 mL/min/1,73m². Potasio: 3,5 mmol/L (límite bajo).',
-    'Colesterol total: 5,1 mmol/L. TG: 2,8 mmol/L (↑). CK: 180 UI/L.',
-    'ALT: 28 UI/L. HbA1c: 6,9%.',
-    '',
-    '=== NOTAS DEL CLÍNICO ===',
-    'Paciente con polimedicación creciente. Preocupa posible cascada de prescripción:',
-    '¿es el edema de tobillo un efecto adverso del amlodipine tratado con furosemide?',
-    '¿Podría reducirse o suspenderse el diurético si se modifica el antihipertensivo?',
-    'Solicita revisión farmacoterapéutica completa e informe de cascadas.'
-  ].join('\n');
+  state.clinicalNote = DEMO_CLINICAL_NOTE;
   state.step = 1;
   saveState();
   var pidEl = document.getElementById('patient-id');
@@ -4084,6 +8623,74 @@ window.runNlpSelfTest = function () {
 
   console.groupEnd();
 
+  console.group('C3. Alternative indications (kb_alternative_indications)');
+
+  var aiSig = { signal_type: 'drug_drug', cascade_id: 'CC001', index_drug: 'ibuprofen', cascade_drug: 'amlodipine' };
+  var ai1 = detectAlternativeIndication('Known hypertension for years. Ibuprofen for back pain, amlodipine continued.', aiSig);
+  assert('AI1: known hypertension explains amlodipine',
+         ai1.matches.map(function (m) { return m.id + ':' + m.keyword; }).join(','), 'AI003:known hypertension');
+
+  var aiSaved = state.kb.alternativeIndications;
+  state.kb.alternativeIndications = { version: 'test', alternative_indications: [
+    { id: 'T1', keywords_en: ['raynaud'], applies_to: { cascade_ids: ['CC001'] }, reason_en: 'Raynaud phenomenon' },
+    { id: 'T2', keywords_en: ['angina'], applies_to: { drug_classes: ['dihydropyridine_ccb'] }, reason_en: 'stable angina' },
+    { id: 'T3', keywords_en: ['angina'], applies_to: { drug_classes: ['ppi'] }, reason_en: 'out of scope' }
+  ] };
+  var ai2 = detectAlternativeIndication('Raynaud phenomenon and stable angina on amlodipine.', aiSig);
+  state.kb.alternativeIndications = aiSaved;
+  assert('AI2: every in-scope match is reported, by cascade id and by class',
+         ai2.matches.map(function (m) { return m.id; }).join(','), 'T1,T2');
+
+  var ai3 = typeof validateAlternativeIndications === 'function'
+    ? validateAlternativeIndications({ version: 'test', alternative_indications: [
+        { id: 'T1', name_en: 'x', reason_en: 'x', keywords_en: ['x'], applies_to: { drug_classes: ['no_such_class'] } }
+      ] }, { classIds: ['nsaid'] })
+    : null;
+  assert('AI3: validator rejects an unknown drug class', ai3 ? ai3.ok : null, false);
+
+  console.groupEnd();
+
+  console.group('C4. Duplicate suppression — alternate mechanisms');
+
+  var dupSig = function (id, ade, conf) {
+    return { cascade_id: id, signal_type: 'drug_drug', index_drug: 'ibuprofen', cascade_drug: 'amlodipine', ade_en: ade, confidence: conf };
+  };
+  var dupOut = suppressDuplicateSignals([dupSig('CC001', 'hypertension', 'medium'), dupSig('CC061', 'hypertension', 'high'), dupSig('CC999', 'oedema', 'low')]);
+  assert('SD1: one signal per pair, strongest first',
+         dupOut.map(function (s) { return s.cascade_id; }).join(','), 'CC061');
+  assert('SD2: suppressed signals kept whole, in preference order',
+         dupOut[0].suppressed_duplicates.map(function (s) { return s.cascade_id + ':' + s.ade_en; }).join(','), 'CC001:hypertension,CC999:oedema');
+  var bridge = dupSig('SYM001:ibuprofen:amlodipine', 'hypertension', 'high');
+  bridge.signal_type = 'symptom_bridge';
+  var sameEntry = suppressDuplicateSignals([bridge, dupSig('CC001', 'hypertension', 'medium'), dupSig('CC061', 'hypertension', 'medium')]);
+  assert('SD3: a duplicate of the winner\'s own KB cascade is not another mechanism',
+         sameEntry[0].suppressed_duplicates.map(function (s) { return s.cascade_id; }).join(','), 'CC061');
+  var otherPair = dupSig('CC001', 'hypertension', 'medium');
+  otherPair.cascade_drug = 'lisinopril';
+  assert('SD4: the same KB cascade on two drug pairs is reviewed separately',
+         signalReviewKey(dupSig('CC001', 'hypertension', 'medium')) !== signalReviewKey(otherPair), true);
+
+  console.groupEnd();
+
+  console.group('C5. Contraindicated cascade drugs (kb_vih_modifiers)');
+
+  var ciSig = detectCascades('HIV on darunavir/cobicistat. Simvastatin 40 mg daily.').filter(function (s) {
+    return s.cascade_id === 'VIH001';
+  })[0];
+  assert('CI1: simvastatin with a booster fires VIH001 as contraindicated',
+         ciSig ? ciSig.cascade_drug + ':' + ciSig.contraindicated : null, 'simvastatin:true');
+  var ciEvidence = ciSig ? buildEvidenceProfile(ciSig, '', 'HIV on darunavir/cobicistat. Simvastatin 40 mg daily.') : null;
+  assert('CI2: contraindicated level, high priority whatever the score',
+         ciEvidence ? ciEvidence.level + ':' + derivePharmacyPriority(ciSig, '', ciEvidence).level : null, 'contraindicated_cascade:alta');
+  var ciKept = suppressDuplicateSignals(detectCascades('Rezolsta (darunavir/cobicistat) 1 comp/24h. Simvastatina 20 mg/24h.'))
+    .filter(function (s) { return s.cascade_drug === 'simvastatin'; });
+  assert('CI3: one finding per booster + simvastatin pair, the contraindicated one',
+         ciKept.map(function (s) {
+           return s.cascade_id + '>' + (s.suppressed_duplicates || []).map(function (d) { return d.cascade_id; }).join(',');
+         }).join(' '), 'VIH001>CC072');
+
+  console.groupEnd();
+
   /* ── Spanish assertions ── */
   console.group('D. Spanish — negation / historical');
 
@@ -4339,12 +8946,17 @@ window.runNlpSelfTest = function () {
   assert('G6: original drugs array not mutated', g6orig.length, 1);
   assert('G6: returned array has all three',     g6.length,     3);
 
+  /* G7: a fixed-dose example adds nothing when its components are present */
+  var g7 = reconcileDrugsWithCascades(['darunavir', 'cobicistat', 'amlodipine'],
+    [{ index_drug: 'darunavir/cobicistat', cascade_drug: 'amlodipino' }, { index_drug: 'ritonavir', cascade_drug: 'furosemide' }]);
+  assert('G7: components or INN variant already listed → not re-added', g7.join(', '), 'darunavir, cobicistat, amlodipine, ritonavir, furosemide');
+
   console.groupEnd();
 
   console.group('H — Drug resolver (alias/brand/abbr/combo/normalized)');
 
   var h1 = resolveDrugMentions('Paciente en Kaletra por TAR.').map(function (m) { return m.canonical; });
-  assert('H1: brand name Kaletra → lopinavir/ritonavir', h1.indexOf('lopinavir/ritonavir') >= 0, true);
+  assert('H1: brand name Kaletra → lopinavir + ritonavir', h1.join(','), 'lopinavir,ritonavir');
 
   var h2 = resolveDrugMentions('Se inicia AZT por disponibilidad.');
   var h2m = h2.find(function (m) { return m.canonical === 'zidovudine'; });
@@ -4359,6 +8971,569 @@ window.runNlpSelfTest = function () {
 
   console.groupEnd();
 
+  console.group('I — DDI watchlist engine');
+
+  var i1 = detectDDIs('TAR con darunavir/cobicistat. Se añade simvastatina 20 mg.');
+  assert('I1: boosted PI + simvastatin → DDI001', i1.length ? i1[0].ddi_id : null, 'DDI001');
+  assert('I1: CONTRAINDICATED sorted first',      i1.length ? i1[0].severity : null, 'CONTRAINDICATED');
+
+  var i2 = detectDDIs('Ritonavir y atorvastatina 40 mg.').map(function (f) { return f.ddi_id; });
+  assert('I2: ritonavir + atorvastatin → DDI011', i2.indexOf('DDI011') >= 0, true);
+
+  var i3 = detectDDIs('Rilpivirina; omeprazol 20 mg por reflujo.').map(function (f) { return f.ddi_id; });
+  assert('I3: class term (proton pump inhibitors) → DDI018', i3.indexOf('DDI018') >= 0, true);
+
+  var i4 = detectDDIs('Amlodipino 10 mg y furosemida 40 mg.');
+  assert('I4: no watchlist pair → no findings', i4.length, 0);
+
+  var iClass = function (term, drugClass) {
+    return ddiTermMatchesDrug(term, 'x', drugClass, getDrugResolver());
+  };
+  assert('I6: class term matches one part of a combined class', iClass('insti', 'Boosted PI / INSTI'), true);
+  assert('I6: class term matches a multi-word part', iClass('pi boosters', 'Antiretroviral / PI / Booster'), true);
+  assert('I6: class term is not matched inside another word', iClass('triazole antifungals', 'Antifungal / Echinocandin (non-azole)'), false);
+
+  var iPairs = function (note) {
+    return detectDDIs(note).map(function (f) { return f.ddi_id + ' ' + f.drug_a + '+' + f.drug_b; }).join(', ');
+  };
+  assert('I7: contraindicated partners are in the dictionary',
+    [iPairs('TAR con darunavir/cobicistat y hierba de San Juan.'), iPairs('Efavirenz 600 mg. Voriconazol 200 mg/12h.')].join(' | '),
+    'DDI036 darunavir+hypericum | DDI022 efavirenz+voriconazole');
+  assert('I8: every drug pair of an interaction is reported',
+    iPairs('Symtuza. Simvastatina 20 mg y lovastatina 20 mg.'),
+    'DDI001 cobicistat+simvastatin, DDI001 cobicistat+lovastatin');
+
+  var i5 = getSaferAlternatives({ ddi_id: 'DDI001', drugs: ['ritonavir', 'simvastatin'] },
+    'TAR con lopinavir/ritonavir. Simvastatina 20 mg.');
+  var i5Alts = i5.length ? i5[0].alternatives.map(function (a) {
+    return a.drug + (a.ddis.length ? ':' + a.ddis[0].ddi_id : '');
+  }).join(',') : null;
+  assert('I5: safer alternatives replace simvastatin',  i5.length ? i5[0].replaces : null, 'simvastatin');
+  assert('I5: rosuvastatin flagged against lopinavir/r', i5Alts, 'pravastatin,rosuvastatin:DDI028,pitavastatin');
+
+  console.groupEnd();
+
+  console.group('J — Therapeutic plausibility (ade_treatment_map)');
+
+  var jMentions = function (note) {
+    var map = {};
+    resolveDrugMentions(note).forEach(function (m) {
+      var key = normalizeDrugText(m.canonical);
+      (map[key] = map[key] || []).push(m);
+    });
+    return map;
+  };
+  var savedSymptoms = state.symptomsDetected;
+  state.symptomsDetected = [];
+
+  var j1Note = 'Prednisona 30 mg. Osteoporosis. Se añade denosumab.';
+  var j1 = detectTherapeuticPlausibility(j1Note, jMentions(j1Note));
+  assert('J1: treatment outside cascade_drug_examples → signal', j1.length ? j1[0].cascade_id : null, 'ATM006:prednisone:denosumab');
+  assert('J1: cross-linked to CC006',                            j1.length ? j1[0].linked_cascade_id : null, 'CC006');
+
+  state.symptomsDetected = [];
+  var j2Note = 'Ibuprofeno 600 mg. Dispepsia. Ranitidina 150 mg.';
+  var j2 = detectTherapeuticPlausibility(j2Note, jMentions(j2Note));
+  assert('J2: high weight + named treatment → score 3', j2.length ? j2[0].plausibility_score : null, 3);
+
+  state.symptomsDetected = [];
+  var j3Note = 'Ibuprofeno 600 mg. Niega dispepsia. Ranitidina 150 mg.';
+  assert('J3: negated ADE → no signal', detectTherapeuticPlausibility(j3Note, jMentions(j3Note)).length, 0);
+
+  state.symptomsDetected = savedSymptoms;
+
+  console.groupEnd();
+
+  console.group('K — Temporal grading (T0/T1/T2/TX)');
+
+  var k1 = findDateExpressions('amlodipino (desde jul 2021)', null);
+  assert('K1: month + year → mid-month date', k1.length ? isoDay(k1[0].date) : null, '2021-07-15');
+
+  var kGrade = function (note) {
+    state.symptomsDetected = [];
+    extractSymptoms(note);
+    var sig = detectCascades(note).find(function (c) { return c.index_drug === 'amlodipine'; });
+    return sig ? sig.temporal_grade : null;
+  };
+
+  var k2 = kGrade('Amlodipino 10 mg desde hace 6 meses. Edema maleolar desde hace 3 meses. Furosemida 40 mg desde hace 2 meses.');
+  assert('K2: relative dates inside KB window → T0 + T1', k2 ? k2.label : null, 'T0 + T1');
+
+  var k3 = kGrade('Amlodipino 10 mg. Edema maleolar. Furosemida 40 mg.');
+  assert('K3: no dates → indeterminate', k3 ? k3.indeterminate : null, true);
+
+  var k4 = kGrade('Furosemida 40 mg desde 2018. Amlodipino 10 mg desde 2023. Edema maleolar.');
+  assert('K4: cascade drug before index drug → cascade TX', k4 ? k4.cascade : null, 'TX');
+
+  var k5 = kGrade('Amlodipino 10 mg. Edema maleolar desde hace 3 meses. Furosemida 40 mg desde hace 2 meses. Amlodipino desde hace 6 meses.');
+  assert('K5: the dated mention of a drug is the one graded', k5 ? k5.label : null, 'T0 + T1');
+
+  state.symptomsDetected = [];
+  extractSymptoms(DEMO_CLINICAL_NOTE);
+  var kDemo = detectCascades(DEMO_CLINICAL_NOTE).reduce(function (all, c) {
+    return all.concat([c], c.suppressed_duplicates || []);
+  }, []).filter(function (c) {
+    return ['VIH001', 'CC072', 'CC075', 'VIH027'].indexOf(c.cascade_id) !== -1;
+  }).map(function (c) { return c.cascade_id + ' ' + c.temporal_grade.label; }).sort().join(', ');
+  assert('K6: demo booster cascades are graded from the note dates, and years apart is TX', kDemo,
+    'CC072 T0 + TX, CC075 T0 + TX, VIH001 T0 + TX, VIH027 T0 + TX');
+
+  var k7 = kGrade('Amlodipino 10 mg desde hace 10 meses. Edema maleolar desde hace 8 meses. Furosemida 40 mg desde hace 5 meses.');
+  assert('K7: after the KB window but within a year → T2', k7 ? k7.label : null, 'T0 + T2');
+  var k8 = kGrade('Amlodipino 10 mg desde jul 2021. Edema maleolar desde sep 2022. Furosemida 40 mg desde feb 2023.');
+  assert('K8: more than 365 days later → TX', k8 ? k8.cascade + ' ' + k8.elapsed_days : null, 'TX 580');
+  var k9 = kGrade('Amlodipino 10 mg desde hace 20 d\u00EDas. Edema maleolar. Furosemida 40 mg desde hace 15 d\u00EDas.');
+  assert('K9: sooner than the KB window minimum → TX', k9 ? k9.label + ' ' + k9.elapsed_days : null, 'T0 + TX 5');
+
+  var kEvidence = function (note) {
+    state.symptomsDetected = [];
+    extractSymptoms(note);
+    var sig = detectCascades(note).find(function (c) { return c.index_drug === 'amlodipine'; });
+    var ev = sig ? buildEvidenceProfile(sig, '', note) : null;
+    return ev ? ev.temporality.status + (ev.temporalAdvisory ? ' + TX advisory' : '') : null;
+  };
+  assert('K10: dated T0 + T1 → supportive',
+    kEvidence('Amlodipino 10 mg desde hace 6 meses. Edema maleolar desde hace 3 meses. Furosemida 40 mg desde hace 2 meses.'),
+    'supportive');
+  assert('K10: dated T0 + TX (580 days) → contradictory, with the TX advisory',
+    kEvidence('Amlodipino 10 mg desde jul 2021. Edema maleolar desde sep 2022. Furosemida 40 mg desde feb 2023.'),
+    'contradictory + TX advisory');
+
+  state.symptomsDetected = savedSymptoms;
+
+  console.groupEnd();
+
+  console.group('L — Date extraction');
+
+  var l1 = extractTemporalExpressions('Iniciado el 05/02/2024.');
+  assert('L1: dd/mm/yyyy → ISO day', l1.length ? l1[0].date : null, '2024-02-05');
+
+  var l2 = extractTemporalExpressions('Fecha: 2024-03-15. Tos desde hace años.');
+  assert('L2: "desde hace años" → approximate', l2.length > 1 ? l2[1].precision : null, 'approximate');
+
+  var l3 = extractTemporalExpressions('Fecha: 2024-03-15. Amlodipino hace 3 meses.');
+  assert('L3: relative phrase resolved against encounter date', l3.length > 1 ? l3[1].date : null, '2023-12-16');
+
+  var lNote = 'Fecha: 2024-03-15. Amlodipino 10 mg desde hace 6 meses. Edema maleolar desde hace 2 semanas.';
+  var l4 = resolveDrugMentions(lNote).find(function (m) { return m.canonical === 'amlodipine'; });
+  assert('L4: start_date attached to drug mention', l4 ? l4.start_date : null, '2023-09-17');
+
+  state.symptomsDetected = [];
+  var l5 = extractSymptoms(lNote).find(function (sym) { return sym.onset_date; });
+  assert('L5: onset_date attached to symptom', l5 ? l5.onset_date : null, '2024-03-01');
+  state.symptomsDetected = savedSymptoms;
+
+  var l6 = resolveDrugMentions('TAR: darunavir/cobicistat/emtricitabina/tenofovir alafenamida (Symtuza) desde 2019.')
+    .filter(function (m) { return !m.start_date; });
+  assert('L6: every component of a product line shares its date', l6.length, 0);
+
+  var lStart = function (note, canonical) {
+    var m = resolveDrugMentions(note).find(function (x) { return x.canonical === canonical; });
+    return m ? m.start_date : null;
+  };
+  assert('L7: start cue wins over a later dose change',
+    lStart('Fecha: 2024-03-15. Metformina 1g/12h (desde ene 2024; era 500mg/12h desde jun 2023).', 'metformin'), '2023-06-15');
+  var l8 = extractTemporalExpressions('Fecha: 2024-03-15. Amlodipino desde jun 2025.');
+  assert('L8: a date after the note is flagged future', l8.length > 1 ? l8[1].future + ' ' + l8[0].future : null, 'true false');
+  assert('L8: and never becomes a start date',
+    lStart('Fecha: 2024-03-15\nAmlodipino 5 mg desde jun 2025.', 'amlodipine') + ' ' +
+    lStart('Fecha: 2024-03-15\nDesde 2021 amlodipino 5 mg (revisar jun 2025).', 'amlodipine'), 'null 2021-07-01');
+  var l9 = extractTemporalExpressions('Fecha: 2024-03-15. Ibuprofeno desde hace dos semanas. Zolpidem since three months ago.');
+  assert('L9: spelled-out quantities ("dos semanas", "three months ago")',
+    l9.slice(1).map(function (t) { return t.date; }).join(' '), '2024-03-01 2023-12-16');
+
+  console.groupEnd();
+
+  console.group('M — Dose, frequency, route, PRN');
+
+  var m1 = parseDosage(' 5 mg c/12 h v.o.');
+  assert('M1: strength parsed', m1.dose, '5 mg');
+  assert('M1: frequency → doses per day', m1.doses_per_day, 2);
+  assert('M1: route parsed', m1.route, 'oral');
+
+  var mFreq = function (text) {
+    var d = parseDosage(text);
+    return d.frequency + ' / ' + d.doses_per_day;
+  };
+  var savedLanguage = currentLanguage;
+  currentLanguage = 'es';
+  assert('M4: bare "/8h" → cada 8 h', mFreq(' 600mg/8h a demanda'), 'cada 8 h / 3');
+  assert('M4: bare "/12h" → cada 12 h', mFreq(' 1g/12h'), 'cada 12 h / 2');
+  assert('M4: "nocturno" → por la noche', mFreq(' 5mg nocturno'), 'por la noche / 1');
+  assert('M4: "/noche" → por la noche', mFreq(' 20mg/noche'), 'por la noche / 1');
+  assert('M4: "/día" normalised', mFreq(' 5mg/d\u00EDa (desde jul 2021)'), 'una vez al d\u00EDa / 1');
+  currentLanguage = 'en';
+  assert('M4: labels follow the UI language', mFreq(' 50 mg bid'), 'every 12 h / 2');
+  currentLanguage = savedLanguage;
+
+  var m2 = resolveDrugMentions('Ibuprofeno 600 mg a demanda. Enalapril 10 mg cada 24 h.');
+  assert('M2: PRN bound to its own mention only', m2.map(function (m) { return m.prn; }).join(','), 'true,false');
+
+  var mPrn = function (note) {
+    state.symptomsDetected = [];
+    extractSymptoms(note);
+    var sig = detectCascades(note).find(function (c) { return c.index_drug === 'ibuprofen'; });
+    return sig ? buildEvidenceProfile(sig, '', note).occasionalUse : null;
+  };
+  assert('M3: ibuprofen PRN flagged as occasional use',
+    mPrn('Ibuprofeno 600 mg si dolor. Enalapril 10 mg cada 24 h.'), true);
+  assert('M3: scheduled ibuprofen not flagged',
+    mPrn('Ibuprofeno 600 mg cada 8 h. Enalapril 10 mg cada 24 h.'), false);
+  state.symptomsDetected = savedSymptoms;
+
+  console.groupEnd();
+
+  console.group('N — Drug mention status');
+
+  var nStatus = function (note) {
+    return resolveDrugMentions(note).map(function (m) { return m.canonical + '=' + m.status; }).join(', ');
+  };
+  assert('N1: "se suspende" → discontinued; next sentence stays active',
+    nStatus('Se suspende amlodipino. Furosemida 40 mg.'), 'amlodipine=discontinued, furosemide=active');
+  assert('N2: allergy and negation',
+    nStatus('Alergia a ibuprofeno. No toma omeprazol.'), 'ibuprofen=allergy, omeprazole=negated');
+  assert('N3: discontinued and planned (EN)',
+    nStatus('Stopped omeprazole in 2022. Will start amlodipine.'), 'omeprazole=discontinued, amlodipine=planned');
+  assert('N5: a parenthesised cue stays with its own drug',
+    nStatus('Amlodipino 10 mg (retirado en 2023), furosemida 40 mg cada 24 h.'), 'amlodipine=discontinued, furosemide=active');
+  assert('N6: the drug switched to stays active',
+    nStatus('Amlodipine stopped due to ankle oedema, switched to lercanidipine 10 mg.'), 'amlodipine=discontinued, lercanidipine=active');
+  assert('N7: one cue still covers a list of drugs',
+    nStatus('Se suspenden amlodipino, furosemida y omeprazol.'), 'amlodipine=discontinued, furosemide=discontinued, omeprazole=discontinued');
+  assert('N8: continuation cues keep a drug active, also under Plan',
+    ['Plan: continuar amlodipino.', 'PLAN\n- Continuar amlodipino 5 mg.', 'Seguir con amlodipino.', 'Plan: continue amlodipine.']
+      .map(nStatus).join(' | '),
+    'amlodipine=active | amlodipine=active | amlodipine=active | amlodipine=active');
+  assert('N9: a negated stop cue keeps the drug active',
+    nStatus('No se suspende amlodipino. Do not stop furosemide.'), 'amlodipine=active, furosemide=active');
+
+  state.symptomsDetected = [];
+  var n4 = detectCascades('Se suspende amlodipino. Edema maleolar. Furosemida 40 mg.')
+    .some(function (c) { return c.index_drug === 'amlodipine'; });
+  assert('N4: discontinued index drug → no cascade', n4, false);
+  state.symptomsDetected = savedSymptoms;
+
+  console.groupEnd();
+
+  console.group('O — Note sections');
+
+  var oNote = [
+    '=== TRATAMIENTO ACTUAL ===',
+    'Amlodipino 10 mg/24h.',
+    'Antecedentes familiares: madre con edema maleolar.',
+    '',
+    'PLAN',
+    'Iniciar furosemida 40 mg/24h.'
+  ].join('\n');
+  assert('O1: headings recognised',
+    segmentNoteSections(oNote).map(function (sec) { return sec.section; }).join(','), 'medications,family_history,plan');
+  assert('O2: drug under Plan → planned',
+    resolveDrugMentions(oNote).map(function (m) { return m.canonical + '=' + m.status; }).join(', '),
+    'amlodipine=active, furosemide=planned');
+  assert('O5: explicit cues under Plan win over the section',
+    resolveDrugMentions('PLAN\nSuspender amlodipino, mantener furosemida. Valorar atorvastatina.')
+      .map(function (m) { return m.canonical + '=' + m.status; }).join(', '),
+    'amlodipine=discontinued, furosemide=active, atorvastatin=planned');
+  var o6Note = 'Buen control tensional con amlodipino. Plan: suspender omeprazol, mantener furosemida.';
+  assert('O6: inline "Plan:" heading starts mid-line',
+    segmentNoteSections(o6Note).map(function (sec) { return sec.section + '@' + sec.start; }).join(','),
+    'plan@' + o6Note.indexOf('Plan'));
+  assert('O6: mentions before an inline heading keep their status',
+    resolveDrugMentions(o6Note).map(function (m) { return m.canonical + '=' + m.status; }).join(', '),
+    'amlodipine=active, omeprazole=discontinued, furosemide=active');
+  var oLine = function (note) {
+    return segmentNoteSections(note).map(function (sec) { return sec.section; }).join(',') + ' | ' +
+      resolveDrugMentions(note).map(function (m) { return m.canonical + '=' + m.status + '@' + m.section; }).join(', ');
+  };
+  assert('O7: every heading on one line starts its own section',
+    oLine('Allergies: NKDA. Meds: amlodipine 5 mg daily, furosemide 40 mg.'),
+    'allergies,medications | amlodipine=active@medications, furosemide=active@medications');
+  assert('O7: Spanish headings on one line',
+    oLine('Alergias: no conocidas. Medicaci\u00F3n: amlodipino 5 mg/24h, furosemida 40 mg.'),
+    'allergies,medications | amlodipine=active@medications, furosemide=active@medications');
+  assert('O7: three headings on one line',
+    oLine('Antecedentes: HTA con amlodipino. Alergias: penicilina. Plan: iniciar furosemida.'),
+    'past_history,allergies,plan | amlodipine=active@past_history, furosemide=planned@plan');
+
+  state.symptomsDetected = [];
+  var o3 = extractSymptoms(oNote).find(function (sym) { return sym.term === 'oedema'; });
+  assert('O3: symptom under family history is not the patient\'s', o3 ? o3.active : null, false);
+  var o4 = extractSymptoms(oNote + '\n\n=== SÍNTOMAS ===\nEdema maleolar.').find(function (sym) { return sym.term === 'oedema'; });
+  assert('O4: later occurrence outside family history counts', o4 ? o4.section : null, 'symptoms');
+  state.symptomsDetected = savedSymptoms;
+
+  console.groupEnd();
+
+  console.group('P — Fixed-dose combinations');
+
+  var pCanon = function (note) {
+    return resolveDrugMentions(note).map(function (m) { return m.canonical; }).join(', ');
+  };
+  assert('P1: Biktarvy → all three components',
+    pCanon('TAR con Biktarvy.'), 'bictegravir, emtricitabine, tenofovir alafenamide');
+  assert('P2: Descovy → TAF, not tenofovir DF',
+    pCanon('Descovy 1 comp/24h.'), 'emtricitabine, tenofovir alafenamide');
+  assert('P3: components of one tablet never form a DDI', detectDDIs('Symtuza.').length, 0);
+  var p4 = detectDDIs('Genvoya y atorvastatina 40 mg.').map(function (f) { return f.ddi_id; });
+  assert('P4: cobicistat inside Genvoya meets booster DDI (DDI011)', p4.indexOf('DDI011') >= 0, true);
+  var p5 = detectDDIs('Kaletra. Rosuvastatina 20 mg.').map(function (f) { return f.ddi_id; });
+  assert('P5: product term "Lopinavir/ritonavir" matches Kaletra (DDI028)', p5.indexOf('DDI028') >= 0, true);
+
+  console.groupEnd();
+
+  console.group('Q — Fuzzy drug matching');
+
+  var savedReviews = state.drugMatchReviews;
+  state.drugMatchReviews = {};
+  assert('Q3: pending fuzzy matches stay out of the analysis',
+    resolveDrugMentions('Amlodipno 5 mg y furosemdia 40 mg.').length, 0);
+  assert('Q3: pending fuzzy matches are still offered for review',
+    getFuzzyDrugSuggestions('Amlodipno 5 mg y furosemdia 40 mg.').map(function (f) { return f.canonical; }).join(','),
+    'amlodipine,furosemide');
+  var qPending = 'Portador de sonda vesical. Predispone a ca\u00EDdas.';
+  assert('Q7: pending everyday-word matches feed no burden, DDI or QT engine',
+    [resolveDrugMentions(qPending).length, getMedicationBurden(qPending).acb_total,
+     detectDDIs(qPending).length, computeQtRisk(qPending).total].join(','), '0,0,0,0');
+  state.drugMatchReviews = { amlodipno: 'accepted', furosemdia: 'accepted' };
+  var q1 = resolveDrugMentions('Amlodipno 5 mg y furosemdia 40 mg.');
+  assert('Q1: "amlodipno" → amlodipine (fuzzy)', q1[0] ? q1[0].canonical + '/' + q1[0].match_type : null, 'amlodipine/fuzzy');
+  assert('Q2: transposition "furosemdia" → furosemide', q1[1] ? q1[1].canonical : null, 'furosemide');
+  state.drugMatchReviews = {};
+  var q4 = resolveDrugMentions('omeprazol20mg cada 24h');
+  assert('Q4: dose glued to the name still resolves and parses', q4[0] ? q4[0].canonical + '/' + q4[0].dose : null, 'omeprazole/20 mg');
+  assert('Q5: everyday words are not corrected',
+    resolveDrugMentions('Exploraci\u00F3n completa, tratados con dieta.').length, 0);
+  state.drugMatchReviews = { amlodipno: 'rejected' };
+  assert('Q6: rejected correction is dropped',
+    resolveDrugMentions('Amlodipno 5 mg.').length, 0);
+  state.drugMatchReviews = savedReviews;
+
+  console.groupEnd();
+
+  console.group('R — Class-level cascade matching');
+
+  var rCascades = function (note) {
+    var savedNote = state.clinicalNote;
+    var savedSym  = state.symptomsDetected;
+    state.clinicalNote = note;
+    state.symptomsDetected = [];
+    var sigs = detectCascades(note);
+    state.clinicalNote = savedNote;
+    state.symptomsDetected = savedSym;
+    return sigs;
+  };
+  var r1 = rCascades('Diltiazem 120 mg/12h. Furosemida 40 mg/d\u00EDa.').find(function (c) { return c.cascade_id === 'CC004'; });
+  assert('R1: diltiazem (no CC004 example) meets CC004 by class', !!r1, true);
+  assert('R2: class-only side is labelled', r1 && r1.class_match ? r1.class_match.index : null, 'Calcium channel blocker');
+  var r3 = rCascades('Amlodipino 5 mg. Furosemida 40 mg.').find(function (c) { return c.cascade_id === 'CC004'; });
+  assert('R3: listed examples carry no class_match', r3 ? r3.class_match : 'missing', null);
+  if (r1 && r3) {
+    var rPrio = function (sig) {
+      return derivePharmacyPriority(sig, '', buildEvidenceProfile(sig, '', 'x')).score;
+    };
+    assert('R4: class match scores below the same cascade by example', rPrio(r1) < rPrio(r3), true);
+  }
+  assert('R5: inhaled corticosteroid is not a systemic corticosteroid',
+    classNodesForLabel(getClassTaxonomy(), 'Corticosteroid / Inhaled').indexOf('systemic_corticosteroid'), -1);
+
+  console.groupEnd();
+
+  console.group('S \u2014 ATC codes and hierarchy');
+
+  assert('S1: ATC path walks every level',
+    atcPath('C08CA01').map(function (n) { return n.code; }).join(','), 'C,C08,C08C,C08CA,C08CA01');
+  var s2 = normalizeDrugs(['amlodipine'])[0];
+  assert('S2: normalizeDrugs carries class and ATC', s2.class + ' ' + s2.atc.join(','), 'Calcium Channel Blocker C08CA01');
+  var sTax = getClassTaxonomy();
+  assert('S3: amlodipine is a dihydropyridine through C08CA',
+    mentionClassNodes(sTax, { canonical: 'amlodipine' }).indexOf('dihydropyridine_ccb') !== -1, true);
+  assert('S4: diltiazem (C08DB) is not a dihydropyridine',
+    mentionClassNodes(sTax, { canonical: 'diltiazem' }).indexOf('dihydropyridine_ccb'), -1);
+
+  console.groupEnd();
+
+  /* Group letter T is taken by the A/B assertion labels */
+  console.group('U \u2014 Cascade chains');
+
+  var uSig = function (idx, cas) {
+    return { cascade_id: idx + '>' + cas, index_drug: idx, cascade_drug: cas, drug_resolution: {} };
+  };
+  var uChains = detectCascadeChains([
+    uSig('ibuprofen', 'amlodipine'), uSig('amlodipine', 'furosemide'),
+    uSig('furosemide', 'potassium chloride'), uSig('ibuprofen', 'furosemide')
+  ]);
+  assert('U1: one chain, the shortcut is folded into it', uChains.length, 1);
+  assert('U2: chain root and length', uChains[0] ? uChains[0].root_drug + ' ' + uChains[0].length : null, 'ibuprofen 3');
+  assert('U3: a single link is not a chain', detectCascadeChains([uSig('a', 'b'), uSig('c', 'd')]).length, 0);
+  assert('U4: a cycle without a root yields no chain',
+    detectCascadeChains([uSig('a', 'b'), uSig('b', 'a')]).length, 0);
+  var uDated = function (idx, idxStart, cas, casStart) {
+    var sig = uSig(idx, cas);
+    sig.drug_resolution = { index: { canonical: idx, start_date: idxStart }, cascade: { canonical: cas, start_date: casStart } };
+    return sig;
+  };
+  uChains = detectCascadeChains([
+    uDated('atorvastatin', '2021-06-15', 'ibuprofen', '2024-02-15'), uDated('ibuprofen', '2024-02-15', 'amlodipine', '2021-07-15'),
+    uDated('amlodipine', '2021-07-15', 'furosemide', '2023-02-15'), uDated('furosemide', '2023-02-15', 'potassium chloride', '2023-05-15')
+  ]);
+  assert('U5: a link whose dates are reversed breaks the chain', uChains.map(function (c) { return c.chain_id; }).join(' | '),
+    'amlodipine > furosemide > potassium chloride');
+
+  console.groupEnd();
+
+  console.group('V \u2014 Evidence spans');
+
+  var vSig = rCascades('Amlodipino 5 mg desde marzo 2021. Edemas maleolares. Furosemida 40 mg desde junio 2023.')[0];
+  var vText = function (kind) {
+    return (vSig ? vSig.evidence_spans : []).filter(function (sp) { return sp.kind === kind; })
+      .map(function (sp) { return sp.text; }).join(',');
+  };
+  assert('V1: drug and ADE spans cover the note text', vText('index_drug') + '|' + vText('ade') + '|' + vText('cascade_drug'),
+    'Amlodipino|Edemas|Furosemida');
+  assert('V2: dated pair cites its dates as time cues', vText('time_cue'), 'marzo 2021,junio 2023');
+  var vHtml = renderEvidenceNote('abc def', [{ kind: 'ade', start: 0, end: 7 }, { kind: 'index_drug', start: 4, end: 7 }]);
+  assert('V3: overlapping spans split, the index drug drawn on top',
+    (vHtml.match(/<mark/g) || []).length + ' ' + (vHtml.indexOf('>def</mark>') > vHtml.indexOf('>abc </mark>')), '2 true');
+
+  console.groupEnd();
+
+  console.group('W \u2014 Laboratory values');
+
+  var wLabs = extractLabValues('CD4: 620 c\u00E9lulas/\u03BCL, carga viral indetectable. Creatinina 106 \u00B5mol/L. ' +
+    'FGe (CKD-EPI): 45 mL/min/1,73m\u00B2. K+ 3,1 mEq/L. HbA1c 53 mmol/mol.');
+  var wLab = function (id) { return wLabs.find(function (l) { return l.analyte === id; }) || {}; };
+  assert('W1: CD4 value and unit', wLab('cd4').value + ' ' + wLab('cd4').unit, '620 cells/\u00B5L');
+  assert('W2: undetectable viral load', wLab('viral_load').comparator + wLab('viral_load').value + ' ' + wLab('viral_load').qualifier, '<50 undetectable');
+  assert('W3: units converted (creatinine, HbA1c)', wLab('creatinine').value + ' ' + wLab('hba1c').value, '1.2 7');
+  assert('W4: low potassium flagged', wLab('potassium').value + ' ' + wLab('potassium').flag, '3.1 low');
+  assert('W5: "riesgo CV alto" is not a viral load', extractLabValues('Riesgo CV alto.').length, 0);
+  var wMods = function (note) {
+    return detectClinicalContextModifiers(note).map(function (m) { return m.id; }).indexOf('CM003') !== -1;
+  };
+  assert('W6: CM003 triggers on eGFR < 60, not on "FGe: 72"', wMods('FGe 45 mL/min.') + ' ' + wMods('FGe: 72 mL/min/1,73m2.'), 'true false');
+  var wNote = 'Furosemida 40 mg. Cloruro pot\u00E1sico 600 mg/12h. Anal\u00EDtica: K 2,9 mmol/L.';
+  var wSig = rCascades(wNote).find(function (c) { return c.cascade_id === 'CC020'; });
+  assert('W7: low potassium counts as ADE evidence for CC020',
+    wSig ? buildEvidenceProfile(wSig, '', wNote).supports.some(function (t) { return t.indexOf('K 2.9') !== -1; }) : 'missing', true);
+  var wSavedLanguage = currentLanguage;
+  currentLanguage = 'es';
+  assert('W8: lab evidence quotes the ADE in the UI language',
+    wSig ? buildEvidenceProfile(wSig, '', wNote).supports.some(function (t) { return t.indexOf(wSig.ade_es) !== -1; }) : 'missing', true);
+  currentLanguage = wSavedLanguage;
+  var wLabAde = function (id) {
+    var entry = findCascadeEntry(id);
+    return entry ? !!findLabADE(extractLabValues('HbA1c 8,1%.'), [entry.ade_en, entry.ade_es]) : 'missing';
+  };
+  assert('W9: HbA1c supports hyperglycaemia (CC005), not Cushing syndrome (VIH027)',
+    wLabAde('CC005') + ' ' + wLabAde('VIH027'), 'true false');
+
+  console.groupEnd();
+
+  console.group('X \u2014 Demographics');
+
+  var xDemo = extractDemographics('Edad: 76 a\u00F1os. Sexo: femenino. Peso: 61,5 kg. Talla 1,58 m.');
+  assert('X1: age, sex, weight and height', [xDemo.age.value, xDemo.sex.value, xDemo.weight.value, xDemo.height.value].join(' '), '76 female 61.5 158');
+  assert('X2: BMI computed when not stated', xDemo.bmi.value + ' ' + xDemo.bmi.computed, '24.6 true');
+  var xAge = function (note) { var d = extractDemographics(note); return d.age ? d.age.value : null; };
+  assert('X3: "Var\u00F3n de 58 a\u00F1os" / "78-year-old"', xAge('Var\u00F3n de 58 a\u00F1os, PVVIH.') + ' ' + xAge('A 78-year-old woman.'), '58 78');
+  assert('X4: disease duration and "hace 80 a\u00F1os" are not ages',
+    xAge('Paciente con VIH de 20 a\u00F1os de evoluci\u00F3n, diagnosticado hace 80 a\u00F1os.'), null);
+  var xMods = function (note) {
+    return detectClinicalContextModifiers(note).map(function (m) { return m.id; }).indexOf('CM001') !== -1;
+  };
+  assert('X5: CM001 triggers on age >= 75 only', xMods('Mujer de 82 a\u00F1os.') + ' ' + xMods('Var\u00F3n de 58 a\u00F1os, VIH desde hace 80 a\u00F1os.'), 'true false');
+
+  console.groupEnd();
+
+  console.group('Y \u2014 Modifier scope and magnitude');
+
+  var ySig = function (id, focus, conf) { return { cascade_id: id, risk_focus: focus, confidence: conf, index_drug: '', cascade_drug: '' }; };
+  var yMod = function (id, affects, effect) { return { id: id, name_en: id, affects: affects, effect: effect }; };
+  var yOut = applyClinicalModifiers([ySig('A', ['safety'], 'low'), ySig('B', ['gastrointestinal'], 'low')],
+    [yMod('FALL', { risk_focus: ['safety'] }, { priority_upgrade: true, upgrade_magnitude: 'two_levels' })]);
+  assert('Y1: modifier applies only inside its risk_focus scope', yOut[0].confidence + ' ' + yOut[1].confidence, 'high low');
+  assert('Y2: modifier_effects records scope and change',
+    yOut[0].modifier_effects[0].scope.kind + ' ' + yOut[0].modifier_effects[0].from + '>' + yOut[0].modifier_effects[0].to, 'risk_focus low>high');
+  yOut = applyClinicalModifiers([ySig('A', [], 'low'), ySig('B', [], 'high')],
+    [yMod('CAP', ['all_cascades'], { priority_upgrade: true, upgrade_magnitude: 'two_levels', cap: 'medium' })]);
+  assert('Y3: cap holds an upgrade', yOut[0].confidence + ' ' + yOut[0].modifier_effects[0].capped + ' ' + yOut[1].confidence, 'medium true high');
+  yOut = applyClinicalModifiers([ySig('A', [], 'high')],
+    [yMod('DOWN', { cascade_ids: ['A'] }, { priority_downgrade: true, downgrade_magnitude: 'two_levels', floor: 'medium' })]);
+  assert('Y4: downgrade stops at its floor', yOut[0].confidence, 'medium');
+  var yKw = function (note) {
+    var m = detectClinicalContextModifiers(note).find(function (x) { return x.id === 'CM008'; });
+    return m ? m.matched_keyword + ' ' + note.slice(m.span.start, m.span.end) : null;
+  };
+  assert('Y5: keywords match whole words ("CAD" not in "cascada", "IC" not in "vesical")',
+    yKw('Posible cascada de prescripci\u00F3n. Sonda vesical.'), null);
+  assert('Y6: keyword span points at the note text', yKw('Antecedentes: IC con FEVI reducida.'), 'IC IC');
+  assert('Y7: keywords still match without accents', yKw('Hipertension arterial.'), 'Hipertension Hipertension');
+
+  console.groupEnd();
+
+  console.group('Y2 \u2014 Medication burden (ACB)');
+
+  var acbNote = 'Tratamiento: paroxetina 20 mg cada 24 h, furosemida 40 mg cada 24 h. Suspendida oxibutinina.';
+  var acbOut = computeAnticholinergicBurden(acbNote);
+  assert('AB1: ACB total sums active drugs only',
+    acbOut.total + ' ' + acbOut.drugs.map(function (d) { return d.drug + ':' + d.score; }).join(','), '4 paroxetine:3,furosemide:1');
+  assert('AB2: a medication condition meets the total',
+    !!medicationConditionMet({ source: 'medication', field: 'acb_total', op: '>=', value: 3 }, getMedicationBurden(acbNote)), true);
+  assert('AB3: below the threshold it does not',
+    medicationConditionMet({ source: 'medication', field: 'acb_total', op: '>=', value: 3 }, getMedicationBurden('Furosemida 40 mg.')), null);
+
+  console.groupEnd();
+
+  console.group('Y3 \u2014 Medication burden (fall risk, CNS depressants)');
+
+  var loadNote = 'Tratamiento: tramadol 50 mg cada 8 h, pregabalina 75 mg cada 12 h, sertralina 50 mg cada 24 h.';
+  assert('FL1: fall-risk load counts every tagged drug',
+    computeRiskTagLoad(loadNote, 'fall_risk').drugs.map(function (d) { return d.drug; }).sort().join(','), 'pregabalin,sertraline,tramadol');
+  assert('FL2: CNS-depressant load leaves the SSRI out', computeRiskTagLoad(loadNote, 'cns_depressant').total, 2);
+  var loadBurden = getMedicationBurden(loadNote);
+  assert('FL3: both loads meet their medication conditions',
+    !!medicationConditionMet({ source: 'medication', field: 'fall_risk_load', op: '>=', value: 3 }, loadBurden) &&
+    !!medicationConditionMet({ source: 'medication', field: 'cns_depressant_load', op: '>=', value: 2 }, loadBurden), true);
+
+  console.groupEnd();
+
+  console.group('Y4 \u2014 QT risk aggregation');
+
+  var qtOut = computeQtRisk('Tratamiento: darunavir/ritonavir 800/100 mg cada 24 h, citalopram 20 mg cada 24 h, quetiapina 25 mg por la noche.');
+  assert('QT1: QT drugs by category, then the booster that raises them',
+    qtOut.drugs.map(function (d) { return d.drug + ':' + d.category + (d.boosted ? '+' : ''); }).join(',') + ' | ' + qtOut.boosters.join(','),
+    'citalopram:known,quetiapine:conditional+ | ritonavir');
+  assert('QT2: the booster counts towards the alert', qtOut.total + ' ' + qtOut.alert, '3 true');
+  assert('QT3: a single QT drug without a booster raises no alert',
+    computeQtRisk('Citalopram 20 mg cada 24 h.').alert, false);
+  assert('QT4: conditional-risk drugs alone raise no alert',
+    computeQtRisk('Omeprazol 20 mg cada 24 h, furosemida 40 mg cada 24 h.').alert, false);
+
+  console.groupEnd();
+
+  console.group('Z \u2014 Priority scoring');
+
+  var zSaved = state.scoringProfile;
+  var zSig = { signal_type: 'symptom_bridge', confidence: 'medium', ade_en: 'Ankle oedema' };
+  var zEv = { hasClinicalSupport: true, temporality: { status: 'supportive' } };
+  var zPrio = function (id) { state.scoringProfile = id; return derivePharmacyPriority(zSig, 'Stop the CCB', zEv); };
+  if (state.kb.scoringProfiles) {
+    assert('Z1: balanced profile keeps the reference score', zPrio('balanced').score + ' ' + zPrio('balanced').level, '6 alta');
+    assert('Z2: conservative thresholds lower the same signal', zPrio('conservative').level, 'intermedia');
+    assert('Z3: unknown profile id falls back to the default', zPrio('no-such-profile').profile, state.kb.scoringProfiles.default_profile);
+  }
+  var zFile = state.kb.scoringProfiles;
+  state.kb.scoringProfiles = null;
+  assert('Z4: built-in weights without the scoring file', zPrio(null).score + ' ' + getScoringProfile().id, '6 balanced');
+  state.kb.scoringProfiles = zFile;
+  state.scoringProfile = zSaved;
+  var zBreak = derivePharmacyPriority(zSig, '', { hasClinicalSupport: false, temporality: { status: 'none' }, occasionalUse: true });
+  assert('Z5: factor deltas add up to the score',
+    zBreak.factors.reduce(function (sum, f) { return sum + f.delta; }, 0) === zBreak.score && zBreak.factors.length > 2, true);
+  assert('Z6: each factor names its source', zBreak.factors.map(function (f) { return f.source; }).indexOf('evidence.occasionalUse') !== -1, true);
+
+  console.groupEnd();
+
   console.log('─────────────────────────────────────');
   console.log('Results: ' + PASS + ' passed, ' + FAIL + ' failed out of ' + (PASS + FAIL));
   console.groupEnd();
@@ -7,11 +7,15 @@
  *   buildOperationalKB(kbSource)          — returns normalised KB + report for export
  *
  * Browser globals (always):  window.validateKBStrict, window.validateKBOperational,
- *                             window.buildOperationalKB
+ *                             window.buildOperationalKB,
+ *                             window.validateAlternativeIndications,
+ *                             window.validateSaferAlternatives
  * Browser global (DEV only): window.normalizeBilingualCascades
  *                             (set window.__KB_DEV_MODE = true before script load)
  * Node: module.exports = { validateKBStrict, validateKBOperational,
- *                           buildOperationalKB, normalizeBilingualFields }
+ *                           buildOperationalKB, normalizeBilingualFields,
+ *                           validateAlternativeIndications,
+ *                           validateSaferAlternatives }
  *
  * Missing-value semantics for bilingual fields
  * ─────────────────────────────────────────────
@@ -54,6 +58,8 @@
     root.validateKBStrict      = api.validateKBStrict;
     root.validateKBOperational = api.validateKBOperational;
     root.buildOperationalKB    = api.buildOperationalKB;
+    root.validateAlternativeIndications = api.validateAlternativeIndications;
+    root.validateSaferAlternatives      = api.validateSaferAlternatives;
     /* DEV-only utility — hidden in production to avoid misuse */
     if (root.__KB_DEV_MODE === true) {
       root.normalizeBilingualCascades = api.normalizeBilingualFields;
@@ -86,6 +92,15 @@
   var VALID_AGE_SENS        = ['high', 'medium', 'low'];
   var VALID_APPROPRIATENESS = ['often_appropriate', 'context_dependent', 'often_inappropriate'];
 
+  /* kb_alternative_indications.json entries */
+  var ALT_INDICATION_REQUIRED = ['id', 'name_en', 'reason_en'];
+  var ALT_INDICATION_SCOPES   = ['cascade_ids', 'drug_classes'];
+
+  /* kb_safer_alternatives.json entries */
+  var SAFER_ALT_REQUIRED = ['id', 'name_en', 'reason_en'];
+  var SAFER_ALT_SCOPES   = ['cascade_ids', 'ddi_ids'];
+  var SAFER_ALT_REPLACES = ['drugs', 'drug_classes'];
+
   /* Bilingual fill pairs — order: required fields first, optional last */
   var BILINGUAL_FILL_PAIRS = [
     ['name_es',                     'name_en'],
@@ -296,6 +311,190 @@
     });
   }
 
+  /* ── Scope helpers for the auxiliary KB files ─────────────────────────── */
+  /* entry[objField] must be an object whose `fields` are arrays naming at
+   * least one id overall; ids missing from a non-null known[field] list are
+   * errors.                                                                  */
+  function validateIdLists(entry, objField, fields, known, label, errors) {
+    var obj = entry[objField];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      errors.push('[' + label + '] Missing "' + objField + '" object.');
+      return;
+    }
+    var count = 0;
+    fields.forEach(function (field) {
+      if (obj[field] === undefined) return;
+      if (!Array.isArray(obj[field])) {
+        errors.push('[' + label + '] "' + objField + '.' + field + '" must be an array.');
+        return;
+      }
+      obj[field].forEach(function (value) {
+        count++;
+        if (known[field] && known[field].indexOf(value) === -1) {
+          errors.push('[' + label + '] "' + objField + '.' + field + '" names unknown id "' + value + '".');
+        }
+      });
+    });
+    if (count === 0) errors.push('[' + label + '] "' + objField + '" lists no ' + fields.join(' or ') + '.');
+  }
+
+  function validateReferences(entry, label, errors, warnings) {
+    if (entry.references === undefined) {
+      warnings.push('[' + label + '] Missing "references".');
+    } else if (!Array.isArray(entry.references)) {
+      errors.push('[' + label + '] Optional field "references" must be an array if present.');
+    }
+  }
+
+  /* ── Alternative-indication validator ─────────────────────────────────── */
+  /**
+   * validateAlternativeIndications(kbSource [, opts])
+   *
+   * Structural check for kb_alternative_indications.json.  Every entry needs
+   * an id, name_en, reason_en, at least one keyword and an `applies_to` scope
+   * naming cascade_ids and/or drug_classes.  Missing *_es text is a warning
+   * (the app falls back to English), as are missing references.
+   *
+   * opts.cascadeIds {string[]} — known cascade ids; unknown ones are errors
+   * opts.classIds   {string[]} — known class taxonomy ids; unknown ones are errors
+   * Either list may be omitted to skip that cross-reference.
+   *
+   * Returns: { ok, errors, warnings }
+   */
+  function validateAlternativeIndications(kbSource, opts) {
+    var options = opts || {};
+    var errors = [], warnings = [];
+
+    if (!kbSource || typeof kbSource !== 'object' || !Array.isArray(kbSource.alternative_indications)) {
+      errors.push('Alternative-indication KB missing "alternative_indications" array at top level.');
+      return { ok: false, errors: errors, warnings: warnings };
+    }
+    if (!kbSource.version) {
+      warnings.push('Alternative-indication KB missing top-level "version" field.');
+    }
+
+    var known = {
+      cascade_ids:  options.cascadeIds || null,
+      drug_classes: options.classIds   || null
+    };
+    var seenIds = {};
+    kbSource.alternative_indications.forEach(function (entry, idx) {
+      var label = entry && entry.id ? entry.id : 'alternative_indications[' + idx + ']';
+      if (!entry || typeof entry !== 'object') {
+        errors.push('[' + label + '] Entry is not a valid object.');
+        return;
+      }
+      if (entry.id) {
+        if (seenIds[entry.id]) errors.push('[' + label + '] Duplicate id "' + entry.id + '".');
+        seenIds[entry.id] = true;
+      }
+
+      ALT_INDICATION_REQUIRED.forEach(function (field) {
+        if (isMissing(entry[field])) errors.push('[' + label + '] Missing required field: "' + field + '".');
+      });
+      ['name_es', 'reason_es'].forEach(function (field) {
+        if (isMissing(entry[field])) warnings.push('[' + label + '] Missing "' + field + '"; English text will be shown.');
+      });
+
+      var keywordCount = 0;
+      ['keywords_es', 'keywords_en'].forEach(function (field) {
+        if (entry[field] === undefined) return;
+        if (!Array.isArray(entry[field])) {
+          errors.push('[' + label + '] Field "' + field + '" must be an array.');
+          return;
+        }
+        entry[field].forEach(function (kw, i) {
+          if (typeof kw !== 'string' || isMissing(kw)) {
+            errors.push('[' + label + '] "' + field + '[' + i + ']" must be a non-blank string.');
+          } else {
+            keywordCount++;
+          }
+        });
+      });
+      if (keywordCount === 0) errors.push('[' + label + '] No keywords_es / keywords_en to match in the note.');
+
+      validateIdLists(entry, 'applies_to', ALT_INDICATION_SCOPES, known, label, errors);
+      validateReferences(entry, label, errors, warnings);
+    });
+
+    return { ok: errors.length === 0, errors: errors, warnings: warnings };
+  }
+
+  /* ── Safer-alternative validator ──────────────────────────────────────── */
+  /**
+   * validateSaferAlternatives(kbSource [, opts])
+   *
+   * Structural check for kb_safer_alternatives.json.  Every entry needs an
+   * id, name_en and reason_en, an `applies_to` naming cascade_ids and/or
+   * ddi_ids, a `replaces` naming drugs and/or drug_classes, and at least one
+   * alternative with a `drug`.  Alternatives missing from the drug dictionary
+   * are warnings: they cannot be checked for interactions.
+   *
+   * opts.cascadeIds {string[]} — known cascade ids
+   * opts.ddiIds     {string[]} — known ddi_watchlist ids
+   * opts.classIds   {string[]} — known class taxonomy ids
+   * opts.drugNames  {string[]} — normalised dictionary variants
+   * Any list may be omitted to skip that cross-reference.
+   *
+   * Returns: { ok, errors, warnings }
+   */
+  function validateSaferAlternatives(kbSource, opts) {
+    var options = opts || {};
+    var errors = [], warnings = [];
+
+    if (!kbSource || typeof kbSource !== 'object' || !Array.isArray(kbSource.safer_alternatives)) {
+      errors.push('Safer-alternative KB missing "safer_alternatives" array at top level.');
+      return { ok: false, errors: errors, warnings: warnings };
+    }
+    if (!kbSource.version) {
+      warnings.push('Safer-alternative KB missing top-level "version" field.');
+    }
+
+    var known = {
+      cascade_ids:  options.cascadeIds || null,
+      ddi_ids:      options.ddiIds     || null,
+      drug_classes: options.classIds   || null
+    };
+    var seenIds = {};
+    kbSource.safer_alternatives.forEach(function (entry, idx) {
+      var label = entry && entry.id ? entry.id : 'safer_alternatives[' + idx + ']';
+      if (!entry || typeof entry !== 'object') {
+        errors.push('[' + label + '] Entry is not a valid object.');
+        return;
+      }
+      if (entry.id) {
+        if (seenIds[entry.id]) errors.push('[' + label + '] Duplicate id "' + entry.id + '".');
+        seenIds[entry.id] = true;
+      }
+
+      SAFER_ALT_REQUIRED.forEach(function (field) {
+        if (isMissing(entry[field])) errors.push('[' + label + '] Missing required field: "' + field + '".');
+      });
+      ['name_es', 'reason_es'].forEach(function (field) {
+        if (isMissing(entry[field])) warnings.push('[' + label + '] Missing "' + field + '"; English text will be shown.');
+      });
+
+      validateIdLists(entry, 'applies_to', SAFER_ALT_SCOPES, known, label, errors);
+      validateIdLists(entry, 'replaces', SAFER_ALT_REPLACES, known, label, errors);
+
+      if (!Array.isArray(entry.alternatives) || entry.alternatives.length === 0) {
+        errors.push('[' + label + '] "alternatives" must be a non-empty array.');
+      } else {
+        entry.alternatives.forEach(function (alt, i) {
+          if (!alt || typeof alt !== 'object' || isMissing(alt.drug)) {
+            errors.push('[' + label + '] "alternatives[' + i + ']" needs a "drug".');
+          } else if (options.drugNames && options.drugNames.indexOf(String(alt.drug).trim().toLowerCase()) === -1) {
+            warnings.push('[' + label + '] Alternative "' + alt.drug + '" is not in the drug dictionary; its interactions cannot be checked.');
+          }
+        });
+      }
+
+      validateReferences(entry, label, errors, warnings);
+    });
+
+    return { ok: errors.length === 0, errors: errors, warnings: warnings };
+  }
+
   /* ── Public API ───────────────────────────────────────────────────────── */
 
   /**
@@ -384,6 +583,8 @@
     validateKBStrict:         validateKBStrict,
     validateKBOperational:    validateKBOperational,
     buildOperationalKB:       buildOperationalKB,
-    normalizeBilingualFields: normalizeBilingualFields
+    normalizeBilingualFields: normalizeBilingualFields,
+    validateAlternativeIndications: validateAlternativeIndications,
+    validateSaferAlternatives:      validateSaferAlternatives
   };
 }));